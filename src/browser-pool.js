@@ -0,0 +1,143 @@
+const fs = require('fs').promises;
+const puppeteer = require('puppeteer');
+
+class BrowserPool {
+    constructor(options = {}) {
+        this.size = Math.max(1, options.size || 5);
+        this.launchOptions = options.launchOptions || {
+            headless: 'new',
+            args: ['--no-sandbox', '--disable-setuid-sandbox']
+        };
+        // Recycle the browser after this many pages, or once its main process grows past maxMemoryMb
+        this.recycleAfter = options.recycleAfter || 100;
+        this.maxMemoryMb = options.maxMemoryMb || 1024;
+        this.logger = options.logger || console;
+
+        this.browser = null;
+        this.launching = null;
+        this.active = 0;
+        this.pagesServed = 0;
+        this.needsRecycle = false;
+        this.recycling = false;
+        this.closed = false;
+        this.waiters = [];
+        this.stats = { launches: 0, crashes: 0, recycles: 0 };
+    }
+
+    async getBrowser() {
+        if (this.browser && this.browser.isConnected()) return this.browser;
+        if (!this.launching) {
+            this.launching = this.launch().finally(() => {
+                this.launching = null;
+            });
+        }
+        return this.launching;
+    }
+
+    async launch() {
+        const browser = await puppeteer.launch(this.launchOptions);
+        this.stats.launches++;
+        this.pagesServed = 0;
+
+        browser.on('disconnected', () => {
+            if (this.browser !== browser) return;
+            this.browser = null;
+            if (!this.recycling && !this.closed) {
+                this.stats.crashes++;
+                this.logger.warn('Browser disconnected unexpectedly; a new one will be launched');
+            }
+        });
+
+        this.browser = browser;
+        return browser;
+    }
+
+    // Resolves with { page, release } on a fresh incognito context; release() must always be called
+    async acquire(options = {}) {
+        while (!this.closed && (this.active >= this.size || this.recycling || (this.needsRecycle && this.active > 0))) {
+            await new Promise(resolve => this.waiters.push(resolve));
+        }
+        if (this.closed) throw new Error('Browser pool is closed');
+
+        this.active++;
+        let context;
+        try {
+            if (this.needsRecycle) await this.recycle();
+
+            const browser = await this.getBrowser();
+            context = await browser.createIncognitoBrowserContext(
+                options.proxyServer ? { proxyServer: options.proxyServer } : {}
+            );
+            const page = await context.newPage();
+            this.pagesServed++;
+
+            let released = false;
+            const release = async () => {
+                if (released) return;
+                released = true;
+                await this.checkHealth();
+                await context.close().catch(() => {});
+                this.active--;
+                this.notify();
+            };
+
+            return { page, release };
+        } catch (error) {
+            if (context) await context.close().catch(() => {});
+            this.active--;
+            this.notify();
+            throw error;
+        }
+    }
+
+    async checkHealth() {
+        if (this.pagesServed >= this.recycleAfter) {
+            this.needsRecycle = true;
+            return;
+        }
+
+        const pid = this.browser && this.browser.process() && this.browser.process().pid;
+        if (!pid) return;
+
+        try {
+            const status = await fs.readFile(`/proc/${pid}/status`, 'utf8');
+            const rssKb = parseInt((/VmRSS:\s+(\d+)/.exec(status) || [])[1]);
+            if (rssKb / 1024 > this.maxMemoryMb) {
+                this.logger.warn(`Browser using ${Math.round(rssKb / 1024)}MB; recycling`);
+                this.needsRecycle = true;
+            }
+        } catch (error) {
+            // /proc is Linux-only; page-count recycling still applies elsewhere
+        }
+    }
+
+    async recycle() {
+        this.recycling = true;
+        try {
+            const browser = this.browser;
+            this.browser = null;
+            if (browser) await browser.close().catch(() => {});
+            this.stats.recycles++;
+            this.logger.info(`Browser recycled after ${this.pagesServed} pages`);
+        } finally {
+            this.needsRecycle = false;
+            this.recycling = false;
+        }
+    }
+
+    notify() {
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    async close() {
+        this.closed = true;
+        this.notify();
+        const browser = this.browser;
+        this.browser = null;
+        if (browser) await browser.close().catch(() => {});
+    }
+}
+
+module.exports = BrowserPool;
@@ -0,0 +1,68 @@
+const DEFAULT_TRACKING_PARAMS = [
+    'utm_*',
+    'gclid',
+    'dclid',
+    'fbclid',
+    'msclkid',
+    'mc_cid',
+    'mc_eid',
+    '_ga',
+    '_gl',
+    'yclid',
+    'igshid'
+];
+
+// Code-point order, so the result doesn't depend on the host's locale
+function compare(a, b) {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+}
+
+class UrlCanonicalizer {
+    constructor(options = {}) {
+        this.stripParams = [...DEFAULT_TRACKING_PARAMS, ...(options.stripParams || [])];
+        this.trailingSlash = options.trailingSlash !== false;
+
+        // Entries ending in * strip every parameter with that prefix
+        this.exactParams = new Set(this.stripParams.filter(name => !name.endsWith('*')).map(name => name.toLowerCase()));
+        this.prefixParams = this.stripParams.filter(name => name.endsWith('*')).map(name => name.slice(0, -1).toLowerCase());
+    }
+
+    isTrackingParam(name) {
+        const lower = name.toLowerCase();
+        return this.exactParams.has(lower) || this.prefixParams.some(prefix => lower.startsWith(prefix));
+    }
+
+    // Returns the canonical form of url, resolved against base; null if it cannot be parsed
+    canonicalize(url, base) {
+        let parsed;
+        try {
+            parsed = base ? new URL(url, base) : new URL(url);
+        } catch (error) {
+            return null;
+        }
+
+        // Only hierarchical web URLs get normalised; mailto:, javascript: etc. pass through
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return parsed.href;
+        }
+
+        // WHATWG URL already lowercases the scheme and host and drops default ports
+        parsed.hash = '';
+
+        const params = [...parsed.searchParams.entries()]
+            .filter(([name]) => !this.isTrackingParam(name))
+            .sort(([a, aValue], [b, bValue]) => compare(a, b) || compare(aValue, bValue));
+        parsed.search = new URLSearchParams(params).toString();
+
+        if (this.trailingSlash && parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+            parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+        }
+
+        return parsed.href;
+    }
+}
+
+UrlCanonicalizer.DEFAULT_TRACKING_PARAMS = DEFAULT_TRACKING_PARAMS;
+
+module.exports = UrlCanonicalizer;
@@ -0,0 +1,172 @@
+const fs = require('fs').promises;
+const path = require('path');
+const cheerio = require('cheerio');
+const ContentExtractor = require('./content-extractor');
+
+class ChangeDetector {
+    constructor(options = {}) {
+        this.baselineDir = options.baselineDir || path.join(__dirname, '../data/baselines');
+        // CSS selectors whose matched text is compared on every page
+        this.selectors = [].concat(options.selectors || []);
+        this.maxLines = options.maxLines || 20;
+        this.contentExtractor = new ContentExtractor();
+    }
+
+    baselinePath(name) {
+        return path.join(this.baselineDir, `${name.replace(/[^a-z0-9_-]/gi, '_')}.json`);
+    }
+
+    async loadBaseline(name) {
+        try {
+            return JSON.parse(await fs.readFile(this.baselinePath(name), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async saveBaseline(name, snapshot) {
+        await fs.mkdir(this.baselineDir, { recursive: true });
+        await fs.writeFile(this.baselinePath(name), JSON.stringify(snapshot, null, 2));
+    }
+
+    // Reduces crawled pages to what is compared between runs
+    snapshot(pages) {
+        const snapshot = { timestamp: new Date().toISOString(), pages: {} };
+
+        for (const page of pages) {
+            const $ = cheerio.load(page.html || '');
+            $('script, style, noscript, template').remove();
+
+            const elements = {};
+            for (const selector of this.selectors) {
+                elements[selector] = $(selector).toArray()
+                    .map(element => ChangeDetector.normalize($(element).text()))
+                    .filter(Boolean);
+            }
+
+            snapshot.pages[page.url] = {
+                title: page.title,
+                // One line per block element, so minified HTML still diffs paragraph by paragraph
+                text: page.html
+                    ? this.contentExtractor.blockText($, $('body')).split('\n\n').filter(Boolean)
+                    : ChangeDetector.lines(page.text),
+                elements,
+                links: [...new Set((page.links || []).map(link => link.url))].sort()
+            };
+        }
+
+        return snapshot;
+    }
+
+    // Copies previous entries for urls into snapshot, so pages that failed to fetch this run are
+    // neither reported as removed nor, on the next run, as added
+    static retain(snapshot, previous, urls) {
+        for (const url of urls) {
+            if (previous.pages?.[url] && !snapshot.pages[url]) {
+                snapshot.pages[url] = previous.pages[url];
+            }
+        }
+        return snapshot;
+    }
+
+    static normalize(text) {
+        return String(text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    static lines(text) {
+        return String(text || '').split(/\r?\n/).map(ChangeDetector.normalize).filter(Boolean);
+    }
+
+    // Lines present in `after` but not `before` and vice versa; repeated lines are counted
+    static diffLines(before = [], after = []) {
+        const count = lines => lines.reduce((counts, line) => counts.set(line, (counts.get(line) || 0) + 1), new Map());
+        const remaining = (lines, other) => {
+            const counts = count(other);
+            return lines.filter(line => {
+                if (counts.get(line) > 0) {
+                    counts.set(line, counts.get(line) - 1);
+                    return false;
+                }
+                return true;
+            });
+        };
+
+        return { added: remaining(after, before), removed: remaining(before, after) };
+    }
+
+    compare(previous, current) {
+        const before = previous.pages || {};
+        const after = current.pages || {};
+        const diff = { changed: false, since: previous.timestamp, added: [], removed: [], pages: [] };
+
+        for (const url of Object.keys(after)) {
+            if (!before[url]) diff.added.push(url);
+        }
+        for (const url of Object.keys(before)) {
+            if (!after[url]) diff.removed.push(url);
+        }
+
+        for (const url of Object.keys(after)) {
+            if (!before[url]) continue;
+
+            const old = before[url];
+            const page = after[url];
+            const changes = {};
+
+            if (old.title !== page.title) {
+                changes.title = { before: old.title, after: page.title };
+            }
+
+            const text = ChangeDetector.diffLines(old.text, page.text);
+            if (text.added.length || text.removed.length) changes.text = text;
+
+            const elements = {};
+            for (const selector of new Set([...Object.keys(old.elements || {}), ...Object.keys(page.elements || {})])) {
+                const elementDiff = ChangeDetector.diffLines(old.elements?.[selector], page.elements?.[selector]);
+                if (elementDiff.added.length || elementDiff.removed.length) elements[selector] = elementDiff;
+            }
+            if (Object.keys(elements).length) changes.elements = elements;
+
+            const links = ChangeDetector.diffLines(old.links, page.links);
+            if (links.added.length || links.removed.length) changes.links = links;
+
+            if (Object.keys(changes).length) diff.pages.push({ url, ...changes });
+        }
+
+        diff.changed = diff.added.length > 0 || diff.removed.length > 0 || diff.pages.length > 0;
+        return diff;
+    }
+
+    // Plain-text rendering of compare() output, for webhooks and logs
+    format(diff) {
+        const output = [
+            `${diff.pages.length} page(s) changed, ${diff.added.length} added, ${diff.removed.length} removed since ${diff.since}`
+        ];
+        const section = (label, { added, removed }) => {
+            const lines = [...removed.map(line => `    - ${line}`), ...added.map(line => `    + ${line}`)];
+            output.push(`  ${label}:`, ...lines.slice(0, this.maxLines));
+            if (lines.length > this.maxLines) {
+                output.push(`    ... ${lines.length - this.maxLines} more`);
+            }
+        };
+
+        for (const page of diff.pages) {
+            output.push('', `~ ${page.url}`);
+            if (page.title) output.push(`  title: "${page.title.before}" -> "${page.title.after}"`);
+            if (page.text) section('text', page.text);
+            for (const [selector, elementDiff] of Object.entries(page.elements || {})) {
+                section(selector, elementDiff);
+            }
+            if (page.links) section('links', page.links);
+        }
+
+        if (diff.added.length || diff.removed.length) output.push('');
+        diff.added.forEach(url => output.push(`+ ${url} (new page)`));
+        diff.removed.forEach(url => output.push(`- ${url} (no longer crawled)`));
+
+        return output.join('\n');
+    }
+}
+
+module.exports = ChangeDetector;
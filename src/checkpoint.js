@@ -0,0 +1,83 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const STATE_FILE = 'state.json';
+const PAGES_FILE = 'pages.ndjson';
+
+class CrawlCheckpoint {
+    constructor(stateDir) {
+        this.stateDir = path.resolve(stateDir);
+        this.pagesSaved = 0;
+        this.pending = null;
+    }
+
+    static async load(stateDir) {
+        const checkpoint = new CrawlCheckpoint(stateDir);
+        const state = await checkpoint.read();
+        return { checkpoint, state };
+    }
+
+    async read() {
+        let raw;
+        try {
+            raw = await fs.readFile(path.join(this.stateDir, STATE_FILE), 'utf8');
+        } catch (error) {
+            throw new Error(`No crawl state found in ${this.stateDir}: ${error.message}`);
+        }
+        const state = JSON.parse(raw);
+
+        // Pages are appended before state.json is replaced, so anything past pagesSaved
+        // belongs to a checkpoint that never completed
+        let pages = [];
+        try {
+            const lines = (await fs.readFile(path.join(this.stateDir, PAGES_FILE), 'utf8')).split('\n');
+            pages = lines.filter(Boolean).slice(0, state.pagesSaved).map(line => JSON.parse(line));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        this.pagesSaved = pages.length;
+        await this.truncatePages(pages);
+
+        return { ...state, pages };
+    }
+
+    async truncatePages(pages) {
+        const data = pages.map(page => JSON.stringify(page) + '\n').join('');
+        await fs.writeFile(path.join(this.stateDir, PAGES_FILE), data);
+    }
+
+    // Serialises saves so a timer tick and a SIGINT never write at the same time
+    save(state, pages) {
+        // Capture the page count now so it matches the visited set in this snapshot
+        const count = pages.length;
+        const run = () => this.write(state, pages, count);
+        this.pending = (this.pending || Promise.resolve()).then(run, run);
+        return this.pending;
+    }
+
+    async write(state, pages, count) {
+        await fs.mkdir(this.stateDir, { recursive: true });
+
+        const newPages = pages.slice(this.pagesSaved, count);
+        if (newPages.length > 0) {
+            const data = newPages.map(page => JSON.stringify(page) + '\n').join('');
+            await fs.appendFile(path.join(this.stateDir, PAGES_FILE), data);
+        }
+        const pagesSaved = count;
+
+        const statePath = path.join(this.stateDir, STATE_FILE);
+        const tmpPath = `${statePath}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify({
+            ...state,
+            pagesSaved,
+            savedAt: new Date().toISOString()
+        }));
+        await fs.rename(tmpPath, statePath);
+
+        this.pagesSaved = pagesSaved;
+        return statePath;
+    }
+}
+
+module.exports = CrawlCheckpoint;
@@ -0,0 +1,249 @@
+const cheerio = require('cheerio');
+const TurndownService = require('turndown');
+const { gfm } = require('turndown-plugin-gfm');
+
+// Never part of the main content
+const REMOVE_SELECTORS = [
+    'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'form', 'button', 'input', 'select',
+    'nav', 'aside', 'footer', 'header:not(article header)', 'dialog',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]', '[role="dialog"]',
+    '[aria-hidden="true"]', '[hidden]'
+].join(', ');
+const UNLIKELY = /banner|breadcrumb|combx|comment|community|cookie|disqus|extra|foot|gdpr|header|legends|menu|modal|nav|newsletter|pager|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|tags|tool|widget|ad-break|advert/i;
+const LIKELY = /and|article|body|column|content|main|shadow|entry|post|story|text|blog/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+const NEGATIVE = /hidden|banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget|social|subscribe/i;
+const BLOCKS = 'p, pre, td, blockquote, li, h2, h3, h4, h5, h6, dd, figcaption';
+
+// Readability-style extraction of an article's body, byline and publish date
+class ContentExtractor {
+    constructor(options = {}) {
+        this.markdown = Boolean(options.markdown);
+        this.minLength = options.minLength || 140;
+
+        this.turndown = new TurndownService({
+            headingStyle: 'atx',
+            codeBlockStyle: 'fenced',
+            bulletListMarker: '-',
+            emDelimiter: '*'
+        });
+        this.turndown.use(gfm);
+    }
+
+    // Returns { content, markdown? } for the page; url is used to absolutize links
+    extract(html, url) {
+        const $ = cheerio.load(html || '');
+        const metadata = this.extractMetadata($);
+
+        this.clean($);
+        const $article = this.findArticle($);
+        this.absolutize($, $article, url);
+
+        const text = this.blockText($, $article);
+        const result = {
+            content: {
+                title: metadata.title,
+                byline: metadata.byline || this.findByline($, $article),
+                publishedAt: metadata.publishedAt || this.findDate($, $article),
+                excerpt: metadata.excerpt || text.split('\n\n').find(paragraph => paragraph.length > 40) || '',
+                text,
+                length: text.length
+            }
+        };
+
+        if (this.markdown) {
+            result.markdown = this.toMarkdown($, $article);
+        }
+        return result;
+    }
+
+    // Metadata is read before cleaning, since most of it lives in <head> and JSON-LD
+    extractMetadata($) {
+        const meta = (...names) => {
+            for (const name of names) {
+                const value = $(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`).attr('content');
+                if (value && value.trim()) return value.trim();
+            }
+            return null;
+        };
+
+        const jsonLd = this.readJsonLd($);
+        const ldAuthor = [].concat(jsonLd.author || [])
+            .map(author => (typeof author === 'string' ? author : author && author.name))
+            .filter(Boolean)
+            .join(', ');
+
+        return {
+            title: meta('og:title', 'twitter:title') || jsonLd.headline
+                || $('h1').first().text().trim() || $('title').text().trim() || '',
+            byline: meta('author', 'article:author', 'parsely-author', 'dc.creator') || ldAuthor || null,
+            publishedAt: ContentExtractor.toDate(meta('article:published_time', 'datePublished', 'date', 'pubdate',
+                'publishdate', 'dc.date.issued', 'dc.date', 'parsely-pub-date') || jsonLd.datePublished),
+            excerpt: meta('og:description', 'description', 'twitter:description')
+        };
+    }
+
+    // First Article-like JSON-LD object on the page, or {}
+    readJsonLd($) {
+        const candidates = [];
+        $('script[type="application/ld+json"]').each((i, element) => {
+            try {
+                const data = JSON.parse($(element).contents().text());
+                candidates.push(...[].concat(data['@graph'] || data));
+            } catch (error) {
+                // malformed JSON-LD is common; ignore it
+            }
+        });
+
+        return candidates.find(item => item && /Article|Posting|Report|Blog/i.test([].concat(item['@type']).join(' ')))
+            || candidates.find(item => item && (item.author || item.datePublished))
+            || {};
+    }
+
+    static toDate(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    clean($) {
+        $(REMOVE_SELECTORS).remove();
+        $('*').contents().filter((i, node) => node.type === 'comment').remove();
+
+        $('body *').each((i, element) => {
+            const $element = $(element);
+            if ($element.is('html, body, article, main, [role="main"], [itemprop="articleBody"]')) return;
+
+            const signature = `${$element.attr('class') || ''} ${$element.attr('id') || ''}`;
+            if (UNLIKELY.test(signature) && !LIKELY.test(signature)) {
+                $element.remove();
+            }
+        });
+    }
+
+    findArticle($) {
+        // Explicit markup wins when it holds a real amount of text
+        for (const selector of ['[itemprop="articleBody"]', 'article', 'main', '[role="main"]']) {
+            const $best = $(selector).toArray()
+                .map(element => $(element))
+                .sort((a, b) => b.text().length - a.text().length)[0];
+            if ($best && this.normalize($best.text()).length >= this.minLength) return $best;
+        }
+
+        // Otherwise score containers by the paragraphs they hold
+        const scores = new Map();
+        const addScore = (element, score) => {
+            if (!element || element.type !== 'tag') return;
+            if (!scores.has(element)) scores.set(element, this.classWeight($(element)));
+            scores.set(element, scores.get(element) + score);
+        };
+
+        $(BLOCKS).each((i, element) => {
+            const text = this.normalize($(element).text());
+            if (text.length < 25) return;
+
+            const score = 1 + text.split(/[,，、]/).length + Math.min(Math.floor(text.length / 100), 3);
+            addScore(element.parent, score);
+            addScore(element.parent && element.parent.parent, score / 2);
+        });
+
+        let best = null;
+        let bestScore = 0;
+        for (const [element, score] of scores) {
+            const adjusted = score * (1 - this.linkDensity($, $(element)));
+            if (adjusted > bestScore) {
+                best = element;
+                bestScore = adjusted;
+            }
+        }
+
+        return best ? $(best) : $('body');
+    }
+
+    classWeight($element) {
+        const signature = `${$element.attr('class') || ''} ${$element.attr('id') || ''}`;
+        return (POSITIVE.test(signature) ? 25 : 0) - (NEGATIVE.test(signature) ? 25 : 0);
+    }
+
+    linkDensity($, $element) {
+        const length = this.normalize($element.text()).length;
+        if (length === 0) return 0;
+        const linkLength = $element.find('a').toArray()
+            .reduce((sum, link) => sum + this.normalize($(link).text()).length, 0);
+        return linkLength / length;
+    }
+
+    findByline($, $article) {
+        const $byline = $article.find('[rel="author"], [itemprop="author"], .byline, .author, .post-author').first();
+        const byline = this.normalize($byline.text()).replace(/^by\s+/i, '');
+        return byline && byline.length < 100 ? byline : null;
+    }
+
+    findDate($, $article) {
+        const $time = $article.find('time[datetime], [itemprop="datePublished"]').first();
+        return ContentExtractor.toDate($time.attr('datetime') || $time.attr('content') || $time.text().trim())
+            || ContentExtractor.toDate($('time[datetime]').first().attr('datetime'));
+    }
+
+    absolutize($, $article, url) {
+        if (!url) return;
+        $article.find('a[href], img[src]').each((i, element) => {
+            const attribute = element.name === 'a' ? 'href' : 'src';
+            try {
+                $(element).attr(attribute, new URL($(element).attr(attribute), url).href);
+            } catch (error) {
+                // leave unparseable URLs as they are
+            }
+        });
+    }
+
+    normalize(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    // Text with one blank line between blocks instead of the whitespace runs of .text()
+    blockText($, $article) {
+        const blocks = [];
+        const walk = element => {
+            $(element).contents().each((i, node) => {
+                if (node.type === 'text') {
+                    blocks.push({ inline: true, text: node.data });
+                } else if (node.type === 'tag') {
+                    if (/^(p|div|section|article|main|h[1-6]|li|pre|blockquote|tr|dt|dd|figcaption|table|ul|ol|dl)$/.test(node.name)) {
+                        blocks.push({ inline: false });
+                        walk(node);
+                        blocks.push({ inline: false });
+                    } else if (node.name === 'br') {
+                        blocks.push({ inline: false });
+                    } else if (node.name === 'td' || node.name === 'th') {
+                        walk(node);
+                        blocks.push({ inline: true, text: ' ' });
+                    } else {
+                        walk(node);
+                    }
+                }
+            });
+        };
+        walk($article);
+
+        const paragraphs = [];
+        let current = '';
+        for (const block of blocks) {
+            if (block.inline) {
+                current += block.text;
+            } else {
+                if (this.normalize(current)) paragraphs.push(this.normalize(current));
+                current = '';
+            }
+        }
+        if (this.normalize(current)) paragraphs.push(this.normalize(current));
+
+        return paragraphs.join('\n\n');
+    }
+
+    toMarkdown($, $article) {
+        return this.turndown.turndown($.html($article) || '').trim();
+    }
+}
+
+module.exports = ContentExtractor;
@@ -0,0 +1,257 @@
+const cheerio = require('cheerio');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Parses non-HTML responses (JSON, XML/RSS/Atom, PDF, text) and records binaries by size and hash
+class ContentHandlers {
+    constructor(options = {}) {
+        // Patterns like 'text/html', 'image/*' or '*/*'; an empty list allows everything
+        this.allowedTypes = [].concat(options.allowedTypes || [])
+            .flatMap(type => String(type).split(','))
+            .map(type => type.trim().toLowerCase())
+            .filter(Boolean);
+        this.downloadDir = options.downloadDir || null;
+        this.maxItems = options.maxItems || 500;
+    }
+
+    static mimeType(contentType) {
+        return (contentType || '').split(';')[0].trim().toLowerCase();
+    }
+
+    static charset(contentType) {
+        const match = /charset\s*=\s*"?([^";\s]+)/i.exec(contentType || '');
+        return match ? match[1].toLowerCase() : 'utf-8';
+    }
+
+    // Decodes a body with the charset from the Content-Type, falling back to UTF-8
+    static decode(body, contentType) {
+        try {
+            return new TextDecoder(ContentHandlers.charset(contentType)).decode(body);
+        } catch (error) {
+            return body.toString('utf8');
+        }
+    }
+
+    // Picks a handler from the Content-Type, or from the first bytes when the server sends none
+    static kindOf(contentType, body) {
+        const type = ContentHandlers.mimeType(contentType);
+        if (type === 'text/html' || type === 'application/xhtml+xml') return 'html';
+        if (type === 'application/json' || type === 'text/json' || type.endsWith('+json')) return 'json';
+        if (type === 'application/xml' || type === 'text/xml' || type.endsWith('+xml')) return 'xml';
+        if (type === 'application/pdf') return 'pdf';
+        if (type.startsWith('text/')) return 'text';
+        if (type && type !== 'application/octet-stream') return 'binary';
+
+        const head = body.subarray(0, 512).toString('utf8').trimStart();
+        if (head.startsWith('%PDF-')) return 'pdf';
+        if (/^<(!doctype html|html|head|body)/i.test(head)) return 'html';
+        if (head.startsWith('<?xml') || /^<(rss|feed|rdf:RDF)\b/.test(head)) return 'xml';
+        if (body.subarray(0, 1024).includes(0)) return 'binary';
+        if (/^[[{]/.test(head)) return 'json';
+        // Untyped text has always been treated as HTML
+        return type ? 'binary' : 'html';
+    }
+
+    isAllowed(contentType) {
+        if (this.allowedTypes.length === 0) return true;
+        const type = ContentHandlers.mimeType(contentType) || 'application/octet-stream';
+        return this.allowedTypes.some(pattern => (
+            pattern === '*/*'
+            || pattern === type
+            || (pattern.endsWith('/*') && type.startsWith(pattern.slice(0, -1)))
+        ));
+    }
+
+    // Resolves with the page fields for a non-HTML body: title, text, links and the parsed content
+    async handle(kind, body, { url, contentType }) {
+        switch (kind) {
+            case 'json':
+                return this.handleJson(body, contentType);
+            case 'xml':
+                return this.handleXml(body, contentType, url);
+            case 'pdf':
+                return this.handlePdf(body);
+            case 'text':
+                return { text: ContentHandlers.decode(body, contentType).trim() };
+            default:
+                return this.handleBinary(body, url);
+        }
+    }
+
+    handleJson(body, contentType) {
+        const text = ContentHandlers.decode(body, contentType).replace(/^\uFEFF/, '');
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            // Malformed JSON, or another body labelled as JSON: keep it as text, since refetching won't help
+            return { text: text.trim(), parseError: error.message };
+        }
+        return {
+            title: data && typeof data.title === 'string' ? data.title : '',
+            data
+        };
+    }
+
+    handleXml(body, contentType, url) {
+        const $ = cheerio.load(ContentHandlers.decode(body, contentType), { xmlMode: true });
+        const root = $.root().children().first();
+        const rootName = root.length ? root[0].name : '';
+
+        const feed = this.parseFeed($, root, rootName, url);
+        if (feed) {
+            return {
+                title: feed.title,
+                text: feed.items.map(item => [item.title, item.summary].filter(Boolean).join('\n')).join('\n\n'),
+                links: feed.items.filter(item => item.url).map(item => ({ text: item.title, url: item.url })),
+                feed
+            };
+        }
+
+        return {
+            title: root.children('title').first().text().trim(),
+            text: root.text().replace(/\s+/g, ' ').trim(),
+            data: { [rootName]: this.xmlToObject($, root) }
+        };
+    }
+
+    // RSS 2.0, RSS 1.0 (RDF) and Atom feeds, with item links made absolute
+    parseFeed($, root, rootName, url) {
+        const absolute = href => {
+            try {
+                return href ? new URL(href, url).href : null;
+            } catch (error) {
+                return null;
+            }
+        };
+        const text = ($element, selector) => $element.children(selector).first().text().trim();
+
+        if (rootName === 'rss' || rootName === 'rdf:RDF') {
+            const channel = root.find('channel').first();
+            return {
+                format: rootName === 'rss' ? 'rss' : 'rdf',
+                title: text(channel, 'title'),
+                description: text(channel, 'description'),
+                url: absolute(text(channel, 'link')),
+                items: root.find('item').slice(0, this.maxItems).toArray().map(element => {
+                    const $item = $(element);
+                    return {
+                        title: text($item, 'title'),
+                        url: absolute(text($item, 'link')),
+                        published: ContentHandlers.toDate(text($item, 'pubDate') || text($item, 'dc\\:date')),
+                        summary: text($item, 'description')
+                    };
+                })
+            };
+        }
+
+        if (rootName === 'feed') {
+            const link = $element => absolute(
+                $element.children('link[rel="alternate"]').attr('href') || $element.children('link').not('[rel]').attr('href')
+                || $element.children('link').attr('href')
+            );
+            return {
+                format: 'atom',
+                title: text(root, 'title'),
+                description: text(root, 'subtitle'),
+                url: link(root),
+                items: root.children('entry').slice(0, this.maxItems).toArray().map(element => {
+                    const $entry = $(element);
+                    return {
+                        title: text($entry, 'title'),
+                        url: link($entry),
+                        published: ContentHandlers.toDate(text($entry, 'published') || text($entry, 'updated')),
+                        summary: text($entry, 'summary') || text($entry, 'content')
+                    };
+                })
+            };
+        }
+
+        return null;
+    }
+
+    // Attributes under '@', repeated elements as arrays, text-only elements as strings
+    xmlToObject($, $element) {
+        const children = $element.children().toArray();
+        const attributes = $element[0].attribs || {};
+        if (children.length === 0 && Object.keys(attributes).length === 0) {
+            return $element.text().trim();
+        }
+
+        const object = {};
+        if (Object.keys(attributes).length > 0) object['@'] = { ...attributes };
+        for (const child of children) {
+            const value = this.xmlToObject($, $(child));
+            if (child.name in object) {
+                object[child.name] = [].concat(object[child.name], [value]);
+            } else {
+                object[child.name] = value;
+            }
+        }
+        if (children.length === 0) {
+            const text = $element.text().trim();
+            if (text) object['#text'] = text;
+        }
+        return object;
+    }
+
+    async handlePdf(body) {
+        // Loaded on first use; it pulls in a full PDF engine
+        const pdfParse = require('pdf-parse');
+        const result = await pdfParse(body);
+        const info = result.info || {};
+
+        return {
+            title: info.Title || '',
+            text: result.text.trim(),
+            meta: {
+                description: info.Subject || '',
+                keywords: info.Keywords || '',
+                author: info.Author || ''
+            },
+            pdf: {
+                pages: result.numpages,
+                version: info.PDFFormatVersion || null,
+                creator: info.Creator || null,
+                producer: info.Producer || null,
+                createdAt: ContentHandlers.pdfDate(info.CreationDate),
+                modifiedAt: ContentHandlers.pdfDate(info.ModDate)
+            }
+        };
+    }
+
+    async handleBinary(body, url) {
+        const sha256 = crypto.createHash('sha256').update(body).digest('hex');
+        const file = { size: body.length, sha256, path: null };
+
+        if (this.downloadDir) {
+            // Named by content hash, so the same file linked from many URLs is stored once
+            const extension = path.extname(new URL(url).pathname).toLowerCase();
+            file.path = path.join(this.downloadDir, `${sha256}${/^\.[a-z0-9]{1,8}$/.test(extension) ? extension : ''}`);
+            await fs.mkdir(this.downloadDir, { recursive: true });
+            await fs.writeFile(file.path, body, { flag: 'wx' }).catch(error => {
+                if (error.code !== 'EEXIST') throw error;
+            });
+        }
+        return { file };
+    }
+
+    static toDate(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    // PDF dates look like D:20090626094504+03'00'
+    static pdfDate(value) {
+        const match = /^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Z+-])?(\d{2})?'?(\d{2})?/.exec(value || '');
+        if (!match) return null;
+
+        const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHours, offsetMinutes] = match;
+        const offset = sign && sign !== 'Z' ? `${sign}${offsetHours || '00'}:${offsetMinutes || '00'}` : 'Z';
+        return ContentHandlers.toDate(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+    }
+}
+
+module.exports = ContentHandlers;
@@ -0,0 +1,115 @@
+// Cookie store for sessions, following the RFC 6265 domain, path, expiry and Secure rules
+class CookieJar {
+    constructor() {
+        this.cookies = new Map(); // `${domain}\t${path}\t${name}` -> cookie
+    }
+
+    get size() {
+        this.removeExpired();
+        return this.cookies.size;
+    }
+
+    // Parses one Set-Cookie header received from url. Returns null for malformed cookies and
+    // for cookies the host may not set, e.g. for a domain it does not belong to
+    static parse(header, url) {
+        const { hostname, pathname } = new URL(url);
+        const [pair, ...attributes] = String(header).split(';');
+        const index = pair.indexOf('=');
+        if (index <= 0) return null;
+
+        const cookie = {
+            name: pair.slice(0, index).trim(),
+            value: pair.slice(index + 1).trim(),
+            domain: hostname.toLowerCase(),
+            hostOnly: true,
+            // Default path: the directory of the request path
+            path: pathname.lastIndexOf('/') > 0 ? pathname.slice(0, pathname.lastIndexOf('/')) : '/',
+            expires: null, // ms since the epoch; null for a session cookie
+            secure: false,
+            httpOnly: false
+        };
+
+        let maxAge = null;
+        for (const attribute of attributes) {
+            const separator = attribute.indexOf('=');
+            const name = (separator === -1 ? attribute : attribute.slice(0, separator)).trim().toLowerCase();
+            const value = separator === -1 ? '' : attribute.slice(separator + 1).trim();
+
+            if (name === 'domain' && value) {
+                const domain = value.replace(/^\./, '').toLowerCase();
+                if (!CookieJar.domainMatches(cookie.domain, domain)) return null;
+                cookie.domain = domain;
+                cookie.hostOnly = false;
+            } else if (name === 'path' && value.startsWith('/')) {
+                cookie.path = value;
+            } else if (name === 'expires') {
+                const time = Date.parse(value);
+                if (!Number.isNaN(time)) cookie.expires = time;
+            } else if (name === 'max-age' && /^-?\d+$/.test(value)) {
+                maxAge = parseInt(value);
+            } else if (name === 'secure') {
+                cookie.secure = true;
+            } else if (name === 'httponly') {
+                cookie.httpOnly = true;
+            }
+        }
+        // Max-Age wins over Expires
+        if (maxAge !== null) cookie.expires = Date.now() + maxAge * 1000;
+        return cookie;
+    }
+
+    static domainMatches(hostname, domain) {
+        return hostname === domain || hostname.endsWith(`.${domain}`);
+    }
+
+    static pathMatches(requestPath, cookiePath) {
+        return requestPath === cookiePath
+            || (requestPath.startsWith(cookiePath) && (cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/'));
+    }
+
+    // Stores the Set-Cookie headers of a response from url; an expired cookie deletes its match
+    setCookies(headers, url) {
+        for (const header of [].concat(headers || [])) {
+            const cookie = CookieJar.parse(header, url);
+            if (!cookie) continue;
+
+            const key = `${cookie.domain}\t${cookie.path}\t${cookie.name}`;
+            if (cookie.expires !== null && cookie.expires <= Date.now()) {
+                this.cookies.delete(key);
+            } else {
+                this.cookies.set(key, cookie);
+            }
+        }
+    }
+
+    // Cookies to send to url, longest path first
+    cookiesFor(url) {
+        const { protocol, hostname, pathname } = new URL(url);
+        this.removeExpired();
+        return [...this.cookies.values()]
+            .filter(cookie => (cookie.hostOnly
+                ? hostname.toLowerCase() === cookie.domain
+                : CookieJar.domainMatches(hostname.toLowerCase(), cookie.domain)))
+            .filter(cookie => CookieJar.pathMatches(pathname || '/', cookie.path))
+            .filter(cookie => !cookie.secure || protocol === 'https:')
+            .sort((a, b) => b.path.length - a.path.length);
+    }
+
+    // The Cookie header for a request to url; empty when no cookie applies
+    getCookieHeader(url) {
+        return this.cookiesFor(url).map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+    }
+
+    removeExpired() {
+        const now = Date.now();
+        for (const [key, cookie] of this.cookies) {
+            if (cookie.expires !== null && cookie.expires <= now) this.cookies.delete(key);
+        }
+    }
+
+    clear() {
+        this.cookies.clear();
+    }
+}
+
+module.exports = CookieJar;
@@ -1,8 +1,10 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
-const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
+const os = require('os');
+const http = require('http');
+const { spawn } = require('child_process');
 const winston = require('winston');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const { Command } = require('commander');
@@ -10,6 +12,34 @@ const chalk = require('chalk');
 const ora = require('ora');
 const UserAgent = require('user-agents');
 const robotsParser = require('robots-parser');
+const UrlFrontier = require('./frontier');
+const CrawlCheckpoint = require('./checkpoint');
+const CrawlScope = require('./scope');
+const UrlCanonicalizer = require('./canonicalizer');
+const PolitenessScheduler = require('./politeness');
+const SitemapReader = require('./sitemap');
+const ProxyPool = require('./proxy-pool');
+const BrowserPool = require('./browser-pool');
+const SchemaExtractor = require('./extractor');
+const ContentExtractor = require('./content-extractor');
+const HttpCache = require('./http-cache');
+const NdjsonSink = require('./ndjson-sink');
+const WarcWriter = require('./warc-writer');
+const LinkGraph = require('./link-graph');
+const ContentHandlers = require('./content-handlers');
+const CookieJar = require('./cookie-jar');
+const PageActions = require('./page-actions');
+const Paginator = require('./paginator');
+const InfiniteScroller = require('./infinite-scroll');
+
+// Tab-separated so it parses the same on older curl versions without %{json}
+const CURL_WRITE_OUT = [
+    '%{http_code}', '%{url_effective}', '%{num_redirects}', '%{time_namelookup}', '%{time_connect}',
+    '%{time_appconnect}', '%{time_starttransfer}', '%{time_total}', '%{size_download}'
+].join('\t');
+
+const OUTPUT_FORMATS = ['json', 'csv', 'ndjson', 'sqlite', 'warc'];
+const GRAPH_FORMATS = ['graphml', 'dot', 'json'];
 
 class WebCrawler {
     constructor(options = {}) {
@@ -28,18 +58,218 @@ class WebCrawler {
             loginUrl: options.loginUrl || null,
             loginData: options.loginData || null,
             sessionCookies: options.sessionCookies || null,
+            // Checkpointing options
+            stateDir: options.stateDir || null,
+            checkpointInterval: options.checkpointInterval || 30000,
+            // Scope options
+            domainPolicy: options.domainPolicy || 'host', // 'host'|'domain'|'any'
+            include: options.include || [],
+            exclude: options.exclude || [],
+            allowedSchemes: options.allowedSchemes || ['http', 'https'],
+            // Canonicalization options
+            stripParams: options.stripParams || [], // added to the default tracking parameters
+            // Politeness options; `delay` is the minimum gap between requests to one host
+            perHostConcurrency: options.perHostConcurrency || 2,
+            rateLimit: options.rateLimit, // { requests, window }; RATE_LIMIT_* env vars without one
+            // Proxy options; without a proxy or proxyFile, HTTP_PROXY/HTTPS_PROXY/NO_PROXY apply
+            proxy: options.proxy || null, // proxy URL or array of proxy URLs
+            proxyFile: options.proxyFile || null,
+            proxyRotation: options.proxyRotation || 'request', // 'request'|'host'
+            proxyMaxFailures: options.proxyMaxFailures || 3,
+            // Puppeteer options; the browser pool is sized by `concurrent`
+            screenshots: options.screenshots !== false,
+            browserRecycleAfter: options.browserRecycleAfter || 100,
+            browserMaxMemoryMb: options.browserMaxMemoryMb || 1024,
+            // Action scripts run before extraction: path to a JSON/YAML file, or the scripts themselves
+            actionScript: options.actionScript || null,
+            // Infinite scroll: scroll until no new content appears, scrollItemSelector matches
+            // reach scrollMaxItems (0: no limit) or scrollTimeLimit ms have passed
+            autoScroll: options.autoScroll || false,
+            scrollItemSelector: options.scrollItemSelector || null,
+            scrollMaxItems: options.scrollMaxItems || 0,
+            scrollTimeLimit: options.scrollTimeLimit || 30000,
+            // Pagination (every method): follow nextSelector, or rel=next links without one, for up
+            // to maxPaginationPages pages and group them into the first page's result
+            paginate: options.paginate || false,
+            nextSelector: options.nextSelector || null,
+            maxPaginationPages: options.maxPaginationPages || 10,
+            // Extraction schema: path to a JSON/YAML file, or the schema object itself
+            extractionSchema: options.extractionSchema || null,
+            // Main-content extraction (article body, byline, date); markdown implies it
+            mainContent: options.mainContent || false,
+            markdown: options.markdown || false,
+            // Directory for the ETag/Last-Modified cache; null disables conditional requests
+            cacheDir: options.cacheDir || null,
+            // Output formats; ndjson and sqlite are written page by page while crawling
+            output: options.output || ['json', 'csv'],
+            // Shared by the streaming outputs so a resumed crawl appends to the same files
+            outputId: options.outputId || new Date().toISOString().replace(/[:.]/g, '-'),
+            warcMaxSizeMb: options.warcMaxSizeMb || 1024, // WARC files roll over past this size
+            // Content-type handling: bodies over the limit and types outside the allowlist are skipped
+            maxBodySizeMb: options.maxBodySizeMb || 10,
+            contentTypes: options.contentTypes || [], // e.g. ['text/html', 'application/pdf', 'image/*']; empty allows all
+            downloadDir: options.downloadDir || null, // where binary responses are saved; null records them only
+            // Link graph exports written by saveData(): any of graphml, dot, json
+            graph: options.graph || [],
             ...options
         };
 
+        // Resolved after the spread so an explicit `rateLimit: undefined` still falls back to the env
+        this.options.rateLimit = this.options.rateLimit || PolitenessScheduler.fromEnv();
+        this.options.output = WebCrawler.parseOutput(this.options.output);
+        this.options.graph = WebCrawler.parseGraphFormats(this.options.graph);
+
+        this.logger = this.setupLogger();
+
         this.visitedUrls = new Set();
         this.crawledData = [];
+        this.pageDepths = new Map(); // url -> depth it was queued at
+        this.seedUrl = null;
+        this.skippedUrls = new Map(); // url -> { url, reason, source }
+        this.failedUrls = new Map(); // url -> error message for urls that still failed after their retries
+        this.canonicalizer = new UrlCanonicalizer({ stripParams: this.options.stripParams });
+        this.proxyPool = new ProxyPool({
+            proxies: [
+                ...[].concat(this.options.proxy || []),
+                ...(this.options.proxyFile ? ProxyPool.readFile(this.options.proxyFile) : [])
+            ],
+            rotation: this.options.proxyRotation,
+            maxFailures: this.options.proxyMaxFailures,
+            logger: this.logger
+        });
+        this.politeness = new PolitenessScheduler({
+            minInterval: this.options.delay,
+            maxPerHost: this.options.perHostConcurrency,
+            rateLimit: this.options.rateLimit
+        });
         this.robotsCache = new Map();
-        this.sessionCookies = null; // Cache for form auth session cookies
+        this.httpCache = this.options.cacheDir ? new HttpCache(this.options.cacheDir) : null;
+        // Form auth session: cookies from every response, and a counter bumped on each login
+        // so requests that saw the old session expire trigger one re-login between them
+        this.cookieJar = new CookieJar();
+        this.loggedIn = false;
+        this.loginGeneration = 0;
+        this.loginPromise = null;
+        this.oauthToken = null; // { accessToken, tokenType, refreshToken, refreshAt }
+        this.checkpoint = this.options.stateDir ? new CrawlCheckpoint(this.options.stateDir) : null;
+        this.activeCrawl = null;
+        this.browserPool = null;
+        this.extractor = this.createExtractor(this.options.extractionSchema);
+        this.pageActions = this.createPageActions(this.options.actionScript);
+        this.scroller = this.options.autoScroll
+            ? new InfiniteScroller({
+                itemSelector: this.options.scrollItemSelector,
+                maxItems: this.options.scrollMaxItems,
+                timeLimit: this.options.scrollTimeLimit
+            })
+            : null;
+        this.paginator = this.options.paginate
+            ? new Paginator({
+                selector: this.options.nextSelector,
+                maxPages: this.options.maxPaginationPages
+            })
+            : null;
+        this.contentHandlers = new ContentHandlers({
+            allowedTypes: this.options.contentTypes,
+            downloadDir: this.options.downloadDir
+        });
+        this.contentExtractor = this.options.mainContent || this.options.markdown
+            ? new ContentExtractor({ markdown: this.options.markdown })
+            : null;
+        this.sinks = this.createSinks(this.options.output);
+        this.warc = this.options.output.includes('warc')
+            ? new WarcWriter({
+                dir: path.join(__dirname, '../data'),
+                prefix: `crawl-${this.options.outputId}`,
+                maxSize: this.options.warcMaxSizeMb * 1024 * 1024,
+                info: {
+                    robots: this.options.respectRobots ? 'obey' : 'ignore',
+                    'http-header-user-agent': this.options.userAgent
+                }
+            })
+            : null;
 
-        this.logger = this.setupLogger();
         this.setupDirectories();
     }
 
+    // Accepts 'json,csv', 'both' or an array of formats
+    static parseOutput(output) {
+        const formats = [].concat(output)
+            .flatMap(value => String(value).split(','))
+            .map(format => format.trim().toLowerCase())
+            .filter(Boolean)
+            .flatMap(format => (format === 'both' ? ['json', 'csv'] : [format]));
+
+        const unknown = formats.filter(format => !OUTPUT_FORMATS.includes(format));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown output format: ${unknown.join(', ')} (expected ${OUTPUT_FORMATS.join('|')}|both)`);
+        }
+        return [...new Set(formats)];
+    }
+
+    // Accepts 'graphml,dot', true for every format, or an array
+    static parseGraphFormats(graph) {
+        if (graph === true) return [...GRAPH_FORMATS];
+        const formats = [].concat(graph || [])
+            .flatMap(value => String(value).split(','))
+            .map(format => format.trim().toLowerCase())
+            .filter(Boolean);
+
+        const unknown = formats.filter(format => !GRAPH_FORMATS.includes(format));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown graph format: ${unknown.join(', ')} (expected ${GRAPH_FORMATS.join('|')})`);
+        }
+        return [...new Set(formats)];
+    }
+
+    createSinks(formats) {
+        const dataDir = path.join(__dirname, '../data');
+        const sinks = [];
+        if (formats.includes('ndjson')) {
+            sinks.push(new NdjsonSink(path.join(dataDir, `crawl-data-${this.options.outputId}.ndjson`)));
+        }
+        if (formats.includes('sqlite')) {
+            // Native module; only loaded when SQLite output is asked for
+            const SqliteSink = require('./sqlite-sink');
+            sinks.push(new SqliteSink(path.join(dataDir, `crawl-data-${this.options.outputId}.sqlite`)));
+        }
+        return sinks;
+    }
+
+    // Streams a crawled page to the sinks. Without JSON output nothing needs the full page
+    // afterwards, so only a summary without html and text stays in memory
+    recordPage(pageData) {
+        if (this.pageDepths.has(pageData.url)) {
+            pageData.depth = this.pageDepths.get(pageData.url);
+        }
+
+        for (const sink of this.sinks) {
+            try {
+                sink.write(pageData);
+            } catch (error) {
+                this.logger.error(`Writing ${pageData.url} to ${sink.format} output failed: ${error.message}`);
+            }
+        }
+
+        if (this.options.output.includes('json')) {
+            this.crawledData.push(pageData);
+        } else {
+            const { html, text, ...summary } = pageData;
+            this.crawledData.push(summary);
+        }
+    }
+
+    createExtractor(schema) {
+        if (!schema) return null;
+        return typeof schema === 'string' ? SchemaExtractor.fromFile(schema) : new SchemaExtractor(schema);
+    }
+
+    createPageActions(script) {
+        if (!script) return null;
+        const options = { logger: this.logger };
+        return typeof script === 'string' ? PageActions.fromFile(script, options) : new PageActions(script, options);
+    }
+
     setupLogger() {
         const logDir = path.join(__dirname, '../logs');
 
@@ -81,124 +311,434 @@ class WebCrawler {
     }
 
     async crawlWithAxios(url, options = {}) {
-        const spinner = ora(`Crawling ${url}`).start();
+        return this.crawl(url, options, 'axios',
+            pageUrl => this.crawlPageWithAxios(pageUrl, { retries: options.retries }));
+    }
+
+    async crawlWithPuppeteer(url, options = {}) {
+        this.browserPool = new BrowserPool({
+            size: this.options.concurrent,
+            recycleAfter: this.options.browserRecycleAfter,
+            maxMemoryMb: this.options.browserMaxMemoryMb,
+            logger: this.logger
+        });
 
         try {
+            // One retry by default so a page lost to a browser crash is fetched again
+            const retries = options.retries !== undefined ? options.retries : 1;
+            return await this.crawl(url, options, 'puppeteer',
+                pageUrl => this.crawlPageWithPuppeteer(pageUrl, { retries }));
+        } finally {
+            this.logger.info('Browser pool closed', this.browserPool.stats);
+            await this.browserPool.close();
+            this.browserPool = null;
+        }
+    }
+
+    // Breadth-first crawl from url shared by every method; fetchPage(url) resolves with pageData or null
+    async crawl(url, options, method, fetchPage) {
+        // The frontier and visited set use canonical URLs. Discovered pages are fetched and stored
+        // under the URL they were linked as; the seed is stored canonical, as audits and mirrors expect
+        url = this.canonicalize(url) || url;
+        this.seedUrl = this.seedUrl || url;
+        const maxDepth = options.resume
+            ? options.resume.maxDepth
+            : Math.min(options.depth || 0, this.options.maxDepth);
+        const frontier = new UrlFrontier({
+            maxDepth,
+            maxPages: this.options.maxPages,
+            visited: this.visitedUrls,
+            reserved: this.crawledData.length
+        });
+        const scope = new CrawlScope(url, this.options);
+
+        if (options.resume) {
+            frontier.restore(options.resume);
+        } else {
             if (this.visitedUrls.has(url)) {
-                spinner.succeed(chalk.yellow(`Already visited: ${url}`));
+                ora().succeed(chalk.yellow(`Already visited: ${url}`));
                 return null;
             }
 
-            if (this.visitedUrls.size >= this.options.maxPages) {
-                spinner.warn(chalk.yellow(`Max pages reached: ${this.options.maxPages}`));
+            if (!frontier.add(url, 0)) {
+                ora().warn(chalk.yellow(`Max pages reached: ${this.options.maxPages}`));
                 return null;
             }
 
-            // Check robots.txt
-            if (this.options.respectRobots) {
-                const canCrawl = await this.checkRobotsTxt(url);
-                if (!canCrawl) {
-                    spinner.warn(chalk.red(`Blocked by robots.txt: ${url}`));
-                    return null;
+            if (options.sitemap) {
+                await this.seedFromSitemaps(url, frontier, scope);
+            }
+        }
+
+        const spinner = ora(`Crawling ${url}`).start();
+        const pagesBefore = this.crawledData.length;
+        let seedData = this.crawledData.find(page => page.url === url) || null;
+
+        this.activeCrawl = { url, method, frontier, scope };
+        const timer = this.checkpoint
+            ? setInterval(() => this.saveCheckpoint(), this.options.checkpointInterval)
+            : null;
+
+        try {
+            await this.runWorkers(frontier, async ({ url: pageUrl, depth, sitemap, requestedUrl = pageUrl }) => {
+                // Already crawled as a later page of a paginated listing
+                if (this.visitedUrls.has(pageUrl)) {
+                    frontier.release();
+                    return;
+                }
+
+                spinner.text = `Crawling ${pageUrl} (${this.crawledData.length}/${this.options.maxPages}, depth ${depth})`;
+
+                if (this.options.respectRobots && !(await this.checkRobotsTxt(requestedUrl))) {
+                    this.logger.warn(`Blocked by robots.txt: ${requestedUrl}`);
+                    this.recordSkip(pageUrl, 'robots-txt');
+                    return;
+                }
+
+                this.pageDepths.set(requestedUrl, depth);
+                const pageData = await fetchPage(requestedUrl);
+                if (!pageData) {
+                    // Duplicates of a declared canonical URL only show up once fetched; their slot goes
+                    // to another page so maxPages counts distinct pages
+                    if (this.skippedUrls.get(requestedUrl)?.reason.startsWith('duplicate-of:')) frontier.release();
+                    return;
+                }
+                this.visitedUrls.add(pageUrl);
+
+                if (sitemap) pageData.sitemap = sitemap;
+
+                if (pageUrl === url) seedData = pageData;
+
+                if (depth < maxDepth) {
+                    for (const link of pageData.links) {
+                        // Also offered when the frontier is full: it keeps some for slots given back
+                        if (frontier.has(link.url)) continue;
+
+                        const reason = scope.check(link.url);
+                        if (reason) {
+                            this.recordSkip(link.url, reason, pageUrl);
+                            continue;
+                        }
+                        frontier.add(link.url, depth + 1, { requestedUrl: link.href || link.url });
+                    }
                 }
+            });
+        } finally {
+            if (timer) clearInterval(timer);
+        }
+
+        await this.saveCheckpoint();
+        this.activeCrawl = null;
+
+        spinner.succeed(chalk.green(`Crawled ${this.crawledData.length - pagesBefore} pages from ${url}`));
+        return seedData;
+    }
+
+    // Queues sitemap URLs at depth 0 behind the seed URL, highest priority first
+    async seedFromSitemaps(url, frontier, scope) {
+        const entries = await this.discoverSitemapUrls(url);
+        entries.sort((a, b) => (b.priority ?? 0.5) - (a.priority ?? 0.5));
+
+        let queued = 0;
+        for (const { url: pageUrl, requestedUrl, lastmod, priority, changefreq } of entries) {
+            if (pageUrl === url || frontier.has(pageUrl)) continue;
+            if (frontier.isFull()) break;
+
+            const reason = scope.check(pageUrl);
+            if (reason) {
+                this.recordSkip(pageUrl, reason, 'sitemap');
+                continue;
             }
+            if (frontier.add(pageUrl, 0, { requestedUrl, sitemap: { lastmod, priority, changefreq } })) queued++;
+        }
 
-            const response = await this.makeRequest(url);
-            const $ = cheerio.load(response.data);
+        this.logger.info(`Seeded ${queued} URLs from sitemaps`, { found: entries.length });
+        return queued;
+    }
 
-            const pageData = this.extractPageData($, url, response);
+    async saveCheckpoint() {
+        if (!this.checkpoint || !this.activeCrawl) return null;
 
-            this.crawledData.push(pageData);
+        const { url, method, frontier } = this.activeCrawl;
+        // Credentials are never written to disk; pass them (and proxies) again when resuming
+        const { auth, loginData, sessionCookies, proxy, ...options } = this.options;
+        // Action scripts and schemas are kept by path and read again on resume: inline ones may
+        // hold passwords for `type` steps, so they are left out and must be passed again too
+        for (const name of ['actionScript', 'extractionSchema']) {
+            if (typeof options[name] !== 'string') delete options[name];
+        }
+
+        try {
+            const statePath = await this.checkpoint.save({
+                version: 1,
+                url,
+                method,
+                options,
+                frontier: frontier.snapshot(),
+                visited: [...this.visitedUrls],
+                skipped: [...this.skippedUrls.values()]
+            }, this.crawledData);
+            this.logger.info(`Checkpoint saved: ${statePath}`);
+            return statePath;
+        } catch (error) {
+            this.logger.error(`Checkpoint failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Loads a checkpoint written by saveCheckpoint() and returns what crawlWithAxios needs to continue
+    async loadCheckpoint(stateDir = this.options.stateDir) {
+        const { checkpoint, state } = await CrawlCheckpoint.load(stateDir);
+        this.checkpoint = checkpoint;
+        this.options.stateDir = checkpoint.stateDir;
+
+        for (const url of state.visited) {
+            this.visitedUrls.add(url);
+        }
+        this.crawledData.push(...state.pages);
+        for (const skip of state.skipped || []) {
+            this.skippedUrls.set(skip.url, skip);
+        }
+
+        this.logger.info(`Resuming crawl of ${state.url}`, {
+            visited: this.visitedUrls.size,
+            queued: state.frontier.queue.length
+        });
+
+        return state;
+    }
+
+    canonicalize(url, base) {
+        return this.canonicalizer.canonicalize(url, base);
+    }
+
+    // Marks a page's declared canonical URL as visited so it is not fetched again.
+    // Returns false when another crawled page already claimed it, i.e. this page is a duplicate
+    claimCanonical(url, canonicalUrl) {
+        if (!canonicalUrl || canonicalUrl === url || canonicalUrl === this.canonicalize(url)) return true;
+
+        if (this.visitedUrls.has(canonicalUrl)) {
+            this.visitedUrls.add(url);
+            this.recordSkip(url, `duplicate-of:${canonicalUrl}`);
+            this.logger.info(`Duplicate of ${canonicalUrl}: ${url}`);
+            return false;
+        }
+
+        this.visitedUrls.add(canonicalUrl);
+        return true;
+    }
+
+    // Keeps the first reason a URL was left out of the crawl, and the page that linked to it
+    recordSkip(url, reason, source = null) {
+        if (this.skippedUrls.has(url)) return;
+        this.skippedUrls.set(url, { url, reason, source });
+        this.logger.debug(`Skipped ${url}: ${reason}`);
+    }
+
+    // Follows the pages after pageData when pagination is on, and returns them grouped into it.
+    // fetchNext(next) fetches one page with the crawl's method without recording it
+    async paginate(pageData, fetchNext, canClick = false) {
+        if (!this.paginator || pageData.contentKind !== 'html') return pageData;
+
+        const grouped = await this.paginator.follow(pageData, async next => {
+            const nextData = await fetchNext(next);
+            if (nextData && nextData.statusCode >= 400) {
+                throw new Error(`${nextData.url} returned status ${nextData.statusCode}`);
+            }
+            return nextData;
+        }, {
+            canClick,
+            check: url => this.paginationBlocker(url)
+        });
+        if (!grouped.pagination) return grouped;
+
+        // Later pages belong to this result and are not crawled on their own
+        for (const page of grouped.pagination.pages.slice(1)) {
+            this.visitedUrls.add(page.url);
+            this.visitedUrls.add(this.canonicalize(page.url) || page.url);
+        }
+        this.logger.info(`Grouped ${grouped.pagination.pageCount} pages from ${pageData.url} (${grouped.pagination.stoppedBy})`);
+        return grouped;
+    }
+
+    // Why a next-page URL is not followed: the same reasons a link is left out of the crawl
+    async paginationBlocker(url) {
+        const reason = this.activeCrawl?.scope?.check(url);
+        if (reason) return reason;
+        if (this.options.respectRobots && !(await this.checkRobotsTxt(url))) return 'robots-txt';
+        return null;
+    }
+
+    // Runs `concurrent` workers that pull entries from the frontier until it drains
+    async runWorkers(frontier, handler) {
+        const worker = async () => {
+            let entry;
+            while ((entry = await frontier.take()) !== null) {
+                try {
+                    await handler(entry);
+                } catch (error) {
+                    this.logger.error(`Worker error on ${entry.url}: ${error.message}`);
+                } finally {
+                    frontier.done(entry);
+                }
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.max(1, this.options.concurrent); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+    }
+
+    async crawlPageWithAxios(url, options = {}) {
+        try {
+            let pageData = await this.fetchPageWithAxios(url);
+            if (!pageData) return null;
+
+            if (!this.claimCanonical(url, pageData.canonicalUrl)) {
+                return null;
+            }
+
+            pageData = await this.paginate(pageData, next => this.fetchPageWithAxios(next.url));
+            this.recordPage(pageData);
             this.visitedUrls.add(url);
 
-            spinner.succeed(chalk.green(`Crawled: ${url}`));
             this.logger.info(`Successfully crawled: ${url}`, {
                 title: pageData.title,
                 links: pageData.links.length,
                 images: pageData.images.length
             });
 
-            // Crawl linked pages
-            if (options.depth > 0) {
-                const links = this.extractLinks($, url);
-                for (const link of links.slice(0, this.options.concurrent)) {
-                    await this.delay(this.options.delay);
-                    await this.crawlWithAxios(link.url, { depth: options.depth - 1 });
-                }
-            }
-
             return pageData;
 
         } catch (error) {
-            spinner.fail(chalk.red(`Failed to crawl: ${url}`));
+            if (WebCrawler.isBodyTooLarge(error)) {
+                this.visitedUrls.add(url);
+                this.recordSkip(url, 'too-large');
+                this.logger.warn(`Skipped ${url}: body larger than ${this.options.maxBodySizeMb} MB`);
+                return null;
+            }
             this.logger.error(`Error crawling ${url}: ${error.message}`);
 
-            if (options.retries > 0) {
+            if (options.retries > 0 && !error.sessionExpired) {
                 this.logger.info(`Retrying ${url} (${options.retries} attempts left)`);
                 await this.delay(this.options.delay * 2);
-                return this.crawlWithAxios(url, { ...options, retries: options.retries - 1 });
+                return this.crawlPageWithAxios(url, { ...options, retries: options.retries - 1 });
             }
 
+            this.failedUrls.set(url, error.message);
             return null;
         }
     }
 
-    async crawlWithPuppeteer(url, options = {}) {
-        const spinner = ora(`Crawling with Puppeteer: ${url}`).start();
-        let browser;
+    // pageData for url without recording it, or null for a skipped response
+    async fetchPageWithAxios(url) {
+        const response = await this.makeRequest(url, {
+            responseType: 'arraybuffer',
+            maxContentLength: this.options.maxBodySizeMb * 1024 * 1024
+        });
+        const pageData = await this.extractResponseData(url, response, Buffer.from(response.data));
+        if (!pageData) return null;
+        // follow-redirects keeps the hop count on the request it wraps
+        pageData.finalUrl = this.redactUrl(response.request?.res?.responseUrl) || url;
+        pageData.redirects = response.request?._redirectable?._redirectCount || 0;
+        return pageData;
+    }
 
-        try {
-            browser = await puppeteer.launch({
-                headless: 'new',
-                args: ['--no-sandbox', '--disable-setuid-sandbox']
-            });
+    async crawlPageWithPuppeteer(url, options = {}) {
+        const proxy = this.proxyPool.select(url);
+        let lease;
 
-            const page = await browser.newPage();
+        try {
+            lease = await this.browserPool.acquire({ proxyServer: this.getBrowserProxyServer(proxy) });
+            const { page } = lease;
             await page.setUserAgent(this.options.userAgent);
 
-            await page.goto(url, {
-                waitUntil: 'networkidle2',
-                timeout: this.options.timeout
-            });
-
-            // Wait for dynamic content
-            await page.waitForTimeout(2000);
+            const proxyCredentials = this.getProxyCredentials(proxy);
+            if (proxyCredentials) {
+                await page.authenticate(proxyCredentials);
+            }
+            await this.applyBrowserAuth(page, url, proxyCredentials);
+            const loginGeneration = this.loginGeneration;
 
-            const pageData = await page.evaluate(() => {
-                const data = {
-                    title: document.title,
-                    url: window.location.href,
-                    timestamp: new Date().toISOString(),
-                    text: document.body.innerText,
-                    html: document.documentElement.outerHTML,
-                    links: Array.from(document.querySelectorAll('a[href]')).map(a => ({
-                        text: a.textContent.trim(),
-                        url: a.href,
-                        title: a.title
-                    })),
-                    images: Array.from(document.querySelectorAll('img')).map(img => ({
-                        src: img.src,
-                        alt: img.alt,
-                        title: img.title
-                    })),
-                    meta: {
-                        description: document.querySelector('meta[name="description"]')?.content || '',
-                        keywords: document.querySelector('meta[name="keywords"]')?.content || '',
-                        author: document.querySelector('meta[name="author"]')?.content || ''
-                    }
+            const release = await this.politeness.acquire(url, this.getCrawlDelay(url));
+            const startTime = Date.now();
+            let response;
+            try {
+                response = await page.goto(this.authorizeUrl(url), {
+                    waitUntil: 'networkidle2',
+                    timeout: this.options.timeout
+                });
+            } finally {
+                release();
+            }
+            if (this.warc && response) {
+                await this.archivePuppeteerResponse(response, startTime);
+            }
+            if (response && this.hasSession()) {
+                const { loggedOutSelector } = this.options.auth.credentials;
+                const state = {
+                    status: response.status(),
+                    finalUrl: response.url(),
+                    body: loggedOutSelector ? await page.content() : null,
+                    contentType: response.headers()['content-type']
                 };
-                return data;
-            });
+                if (this.sessionExpired(url, state, options.reauthenticated)) {
+                    await this.reauthenticate(loginGeneration);
+                    await lease.release();
+                    lease = null;
+                    return this.crawlPageWithPuppeteer(url, { ...options, reauthenticated: true });
+                }
+            }
 
-            // Take screenshot
-            const screenshotPath = path.join(__dirname, '../screenshots',
-                `${Date.now()}-${pageData.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.png`);
-            await page.screenshot({ path: screenshotPath, fullPage: true });
+            // Documents and binaries go through the same handlers as with axios and curl
+            const contentType = response ? response.headers()['content-type'] || '' : '';
+            if (response && ContentHandlers.kindOf(contentType, Buffer.alloc(0)) !== 'html') {
+                const body = await response.buffer();
+                if (body.length > this.options.maxBodySizeMb * 1024 * 1024) {
+                    this.visitedUrls.add(url);
+                    this.recordSkip(url, 'too-large');
+                    return null;
+                }
 
-            this.crawledData.push(pageData);
+                const pageData = await this.extractResponseData(url, { status: response.status(), headers: response.headers() }, body);
+                if (!pageData) return null;
+                pageData.finalUrl = this.redactUrl(response.url());
+                pageData.redirects = response.request().redirectChain().length;
+
+                this.recordPage(pageData);
+                this.visitedUrls.add(url);
+                this.proxyPool.reportSuccess(proxy);
+                this.logger.info(`Puppeteer success: ${url}`, { title: pageData.title, contentKind: pageData.contentKind });
+                return pageData;
+            }
+            if (!this.contentHandlers.isAllowed(contentType || 'text/html')) {
+                this.visitedUrls.add(url);
+                this.recordSkip(url, `content-type:${ContentHandlers.mimeType(contentType)}`);
+                return null;
+            }
+
+            const prepared = await this.preparePage(page, url);
+            let pageData = await this.extractBrowserPage(page, url, response, prepared);
+
+            if (!this.claimCanonical(url, pageData.canonicalUrl)) {
+                return null;
+            }
+
+            if (this.options.screenshots) {
+                const screenshotPath = path.join(__dirname, '../screenshots',
+                    `${Date.now()}-${pageData.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.png`);
+                await page.screenshot({ path: screenshotPath, fullPage: true });
+                pageData.screenshot = screenshotPath;
+            }
+
+            pageData = await this.paginate(pageData, next => this.fetchNextWithPuppeteer(page, next), true);
+            this.recordPage(pageData);
             this.visitedUrls.add(url);
 
-            spinner.succeed(chalk.green(`Puppeteer crawled: ${url}`));
+            this.proxyPool.reportSuccess(proxy);
+
             this.logger.info(`Puppeteer success: ${url}`, {
                 title: pageData.title,
                 links: pageData.links.length,
@@ -208,57 +748,471 @@ class WebCrawler {
             return pageData;
 
         } catch (error) {
-            spinner.fail(chalk.red(`Puppeteer failed: ${url}`));
             this.logger.error(`Puppeteer error ${url}: ${error.message}`);
+            if (/ERR_PROXY|ERR_TUNNEL|ERR_SOCKS/.test(error.message)) {
+                this.proxyPool.reportFailure(proxy, error);
+            }
+
+            // A crashed or recycled browser closes the page under us; the pool relaunches on retry
+            if (options.retries > 0 && !error.sessionExpired) {
+                this.logger.info(`Retrying ${url} (${options.retries} attempts left)`);
+                if (lease) await lease.release();
+                lease = null;
+                return this.crawlPageWithPuppeteer(url, { ...options, retries: options.retries - 1 });
+            }
+
+            this.failedUrls.set(url, error.message);
             return null;
         } finally {
-            if (browser) await browser.close();
+            if (lease) await lease.release();
         }
     }
 
-    async crawlWithCurl(url) {
-        const spinner = ora(`Crawling with curl: ${url}`).start();
+    // Action scripts and infinite scroll do their own waiting; other pages get a fixed wait for
+    // dynamic content
+    async preparePage(page, url) {
+        const actions = this.pageActions ? await this.runPageActions(page, url) : null;
+        const scroll = this.scroller ? await this.scroller.scroll(page) : null;
+        if (!actions && !scroll) {
+            await page.waitForTimeout(2000);
+        }
+        return { actions, scroll };
+    }
 
-        try {
-            const { exec } = require('child_process');
-            const util = require('util');
-            const execPromise = util.promisify(exec);
+    // pageData for the HTML document open in page; response is null after a click
+    async extractBrowserPage(page, url, response, prepared = {}) {
+        const pageData = await page.evaluate(() => {
+            const data = {
+                title: document.title,
+                url: window.location.href,
+                timestamp: new Date().toISOString(),
+                text: document.body.innerText,
+                html: document.documentElement.outerHTML,
+                links: Array.from(document.querySelectorAll('a[href]')).map(a => ({
+                    text: a.textContent.trim(),
+                    url: a.href,
+                    title: a.title
+                })),
+                images: Array.from(document.querySelectorAll('img')).map(img => ({
+                    src: img.src,
+                    alt: img.alt,
+                    title: img.title
+                })),
+                meta: {
+                    description: document.querySelector('meta[name="description"]')?.content || '',
+                    keywords: document.querySelector('meta[name="keywords"]')?.content || '',
+                    author: document.querySelector('meta[name="author"]')?.content || ''
+                },
+                declaredCanonical: document.querySelector('link[rel="canonical"]')?.href || '',
+                seo: {
+                    title: document.querySelector('title')?.textContent.trim() || '',
+                    h1: Array.from(document.querySelectorAll('h1')).map(h1 => h1.textContent.trim()),
+                    robots: document.querySelector('meta[name="robots"]')?.content || '',
+                    viewport: Boolean(document.querySelector('meta[name="viewport"]')),
+                    canonical: document.querySelector('link[rel="canonical"]')?.href || '',
+                    imagesWithoutAlt: Array.from(document.querySelectorAll('img[src]:not([alt])')).map(img => img.src)
+                }
+            };
+            return data;
+        });
 
-            const curlCommand = `curl -s -L -A "${this.options.userAgent}" --max-time ${this.options.timeout / 1000} "${url}"`;
-            const { stdout, stderr } = await execPromise(curlCommand);
+        // Same URL identity as the cheerio path: requested URL plus canonical URL
+        const { declaredCanonical } = pageData;
+        delete pageData.declaredCanonical;
+        pageData.finalUrl = this.redactUrl(pageData.url);
+        pageData.url = url;
+        pageData.canonicalUrl = (declaredCanonical && this.canonicalize(declaredCanonical)) || this.canonicalize(url) || url;
+        pageData.links = pageData.links.map(link => ({ ...link, url: this.canonicalize(link.url) || link.url, href: link.url }));
+        pageData.statusCode = response ? response.status() : 200;
+        pageData.contentType = (response && response.headers()['content-type']) || 'text/html';
+        pageData.contentKind = 'html';
+        pageData.redirects = response ? response.request().redirectChain().length : 0;
+        if (response && response.headers()['x-robots-tag']) {
+            pageData.seo.robots = [pageData.seo.robots, response.headers()['x-robots-tag']].filter(Boolean).join(', ');
+        }
+        if (this.extractor) {
+            pageData.records = this.extractor.extract(cheerio.load(pageData.html), url);
+        }
+        if (this.contentExtractor) {
+            Object.assign(pageData, this.contentExtractor.extract(pageData.html, pageData.finalUrl));
+        }
+        if (prepared.actions) {
+            pageData.actions = prepared.actions;
+        }
+        if (prepared.scroll) {
+            pageData.scroll = prepared.scroll;
+        }
+        return pageData;
+    }
 
-            if (stderr) {
-                this.logger.warn(`curl stderr for ${url}: ${stderr}`);
+    // The next page of a paginated listing, in the page already open: navigates to next.url, or
+    // clicks the next-page button when it has no href
+    async fetchNextWithPuppeteer(page, next) {
+        let response = null;
+        if (next.url) {
+            const release = await this.politeness.acquire(next.url, this.getCrawlDelay(next.url));
+            const startTime = Date.now();
+            try {
+                response = await page.goto(this.authorizeUrl(next.url), {
+                    waitUntil: 'networkidle2',
+                    timeout: this.options.timeout
+                });
+            } finally {
+                release();
+            }
+            if (this.warc && response) {
+                await this.archivePuppeteerResponse(response, startTime);
             }
+            if (response && ContentHandlers.kindOf(response.headers()['content-type'] || '', Buffer.alloc(0)) !== 'html') {
+                return null;
+            }
+        } else {
+            await page.click(this.options.nextSelector);
+            await page.waitForNetworkIdle({ idleTime: 500, timeout: this.options.timeout }).catch(() => {});
+        }
 
-            const $ = cheerio.load(stdout);
-            const pageData = this.extractPageData($, url, { data: stdout });
+        const url = next.url || this.redactUrl(page.url());
+        return this.extractBrowserPage(page, url, response, await this.preparePage(page, url));
+    }
 
-            this.crawledData.push(pageData);
+    runPageActions(page, url) {
+        const { host } = new URL(url);
+        return this.pageActions.run(page, url, {
+            timeout: this.options.timeout,
+            // Navigations in a script wait their turn with the host like any other request
+            goto: async (target, options) => {
+                const release = await this.politeness.acquire(target, this.getCrawlDelay(target));
+                try {
+                    return await page.goto(new URL(target).host === host ? this.authorizeUrl(target) : target, options);
+                } finally {
+                    release();
+                }
+            }
+        });
+    }
+
+    // Chromium doesn't expose the raw exchange, so the WARC records are rebuilt from the parsed ones
+    async archivePuppeteerResponse(response, startTime) {
+        const request = response.request();
+        const headerPairs = headers => Object.entries(headers)
+            .flatMap(([name, value]) => value.split('\n').map(line => [name, line]));
+        await this.archiveRedirects(request.redirectChain()
+            .filter(hop => hop.response())
+            .map(hop => ({
+                url: hop.url(),
+                requestHead: WarcWriter.requestHead(hop.method(), hop.url(), hop.headers()),
+                statusLine: `HTTP/1.1 ${hop.response().status()} ${hop.response().statusText()}`.trim(),
+                headers: headerPairs(hop.response().headers())
+            })), 'puppeteer');
+
+        // Bodies of some error pages are unavailable
+        const body = await response.buffer().catch(() => Buffer.alloc(0));
+        const headers = headerPairs(response.headers());
+
+        await this.archive({
+            url: response.url(),
+            requestHead: WarcWriter.requestHead(request.method(), response.url(), request.headers()),
+            statusLine: `HTTP/1.1 ${response.status()} ${response.statusText()}`.trim(),
+            headers,
+            body,
+            notModified: response.status() === 304,
+            metadata: { fetchTimeMs: Date.now() - startTime, crawlMethod: 'puppeteer' }
+        });
+    }
+
+    async crawlWithCurl(url, options = {}) {
+        return this.crawl(url, options, 'curl',
+            pageUrl => this.crawlPageWithCurl(pageUrl, { retries: options.retries }));
+    }
+
+    async crawlPageWithCurl(url, options = {}) {
+        try {
+            let pageData = await this.fetchPageWithCurl(url);
+            if (!pageData) return null;
+
+            if (!this.claimCanonical(url, pageData.canonicalUrl)) {
+                return null;
+            }
+
+            pageData = await this.paginate(pageData, next => this.fetchPageWithCurl(next.url));
+            this.recordPage(pageData);
             this.visitedUrls.add(url);
 
-            spinner.succeed(chalk.green(`Curl crawled: ${url}`));
             this.logger.info(`Curl success: ${url}`, {
                 title: pageData.title,
+                statusCode: pageData.statusCode,
                 links: pageData.links.length
             });
 
             return pageData;
 
         } catch (error) {
-            spinner.fail(chalk.red(`Curl failed: ${url}`));
+            if (WebCrawler.isBodyTooLarge(error)) {
+                this.visitedUrls.add(url);
+                this.recordSkip(url, 'too-large');
+                this.logger.warn(`Skipped ${url}: body larger than ${this.options.maxBodySizeMb} MB`);
+                return null;
+            }
             this.logger.error(`Curl error ${url}: ${error.message}`);
+
+            if (options.retries > 0 && !error.sessionExpired) {
+                this.logger.info(`Retrying ${url} (${options.retries} attempts left)`);
+                await this.delay(this.options.delay * 2);
+                return this.crawlPageWithCurl(url, { ...options, retries: options.retries - 1 });
+            }
+
+            this.failedUrls.set(url, error.message);
             return null;
         }
     }
 
-    async makeRequest(url, options = {}) {
-        // Get authentication headers if configured
-        const authHeaders = await this.authenticate();
+    // curl counterpart of makeRequest(): same retries, politeness, proxies and auth,
+    // resolving with { status, headers, data, finalUrl, redirects, timing }
+    async fetchPageWithCurl(url) {
+        const response = await this.curlRequest(url);
+        const pageData = await this.extractResponseData(url, response, response.body);
+        if (!pageData) return null;
+        pageData.finalUrl = this.redactUrl(response.finalUrl);
+        pageData.redirects = response.redirects;
+        pageData.timing = response.timing;
+        return pageData;
+    }
+
+    async curlRequest(url, reauthenticated = false) {
+        for (let attempt = 1; attempt <= this.options.retries; attempt++) {
+            const release = await this.politeness.acquire(url, this.getCrawlDelay(url));
+            let proxy = null;
+            try {
+                // Inside the try so a pool with every proxy removed still releases the host slot
+                proxy = this.proxyPool.select(url);
+                const authArgs = await this.getCurlAuthArgs(url);
+                const loginGeneration = this.loginGeneration;
+                const response = await this.runCurl(url, proxy, authArgs);
+                this.proxyPool.reportSuccess(proxy);
+                if (this.warc) {
+                    await this.archiveCurlResponse(response);
+                }
+                if (this.usesCookieJar()) {
+                    this.storeCurlCookies(url, response.rawHeaders);
+                }
+                const { status, headers, finalUrl, body } = response;
+                const state = { status, location: headers.location, finalUrl, body, contentType: headers['content-type'] };
+                if (this.sessionExpired(url, state, reauthenticated)) {
+                    await this.reauthenticate(loginGeneration);
+                    return this.curlRequest(url, true);
+                }
+
+                if (response.status < 200 || response.status >= 300) {
+                    const error = new Error(`Request failed with status code ${response.status}`);
+                    error.response = response;
+                    throw error;
+                }
+                return response;
+            } catch (error) {
+                // Exit codes for an unresolvable/unreachable proxy, a failed CONNECT and a SOCKS failure
+                if (proxy && [5, 7, 56, 97].includes(error.code)) {
+                    this.proxyPool.reportFailure(proxy, error);
+                }
+                if (attempt === this.options.retries || WebCrawler.isBodyTooLarge(error) || error.sessionExpired) throw error;
+                // Client errors won't change on retry, except timeouts and rate limiting
+                const status = error.response?.status;
+                if (status >= 400 && status < 500 && status !== 408 && status !== 429) throw error;
+
+                this.logger.warn(`curl attempt ${attempt} failed for ${url}: ${error.message}`);
+                release();
+                await this.delay(this.options.delay * attempt);
+            } finally {
+                release();
+            }
+        }
+    }
+
+    // Runs curl without a shell: every value is its own argv entry, so URLs and credentials are never interpreted
+    async runCurl(url, proxy, authArgs = []) {
+        const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'crawler-curl-'));
+        const headersPath = path.join(tmpDir, 'headers');
+        const bodyPath = path.join(tmpDir, 'body');
+        const tracePath = path.join(tmpDir, 'trace');
+
+        const args = [
+            '--silent', '--show-error', '--compressed',
+            '--proto', '=http,https', '--proto-redir', '=http,https',
+            '--user-agent', this.options.userAgent,
+            '--max-time', String(this.options.timeout / 1000),
+            '--connect-timeout', String(Math.min(this.options.timeout, 10000) / 1000),
+            '--dump-header', headersPath,
+            '--output', bodyPath,
+            '--write-out', CURL_WRITE_OUT,
+            '--max-filesize', String(this.options.maxBodySizeMb * 1024 * 1024)
+        ];
+        if (this.options.followRedirects) {
+            args.push('--location', '--max-redirs', '5');
+        }
+        if (proxy) {
+            args.push('--proxy', proxy);
+        }
+        if (this.warc) {
+            // The trace is the only place curl reports the request headers it actually sent
+            args.push('--trace-ascii', tracePath);
+        }
+        args.push(...authArgs, '--url', this.authorizeUrl(url));
+
+        try {
+            const { stdout } = await this.spawnProcess('curl', args);
+            const [status, finalUrl, redirects, dns, connect, tls, firstByte, total, size] = stdout.trim().split('\t');
+
+            const rawHeaders = await fs.readFile(headersPath, 'utf8').catch(() => '');
+            const body = await fs.readFile(bodyPath).catch(() => Buffer.alloc(0));
+            // Older curl only enforces --max-filesize when the Content-Length is known
+            if (body.length > this.options.maxBodySizeMb * 1024 * 1024) {
+                const error = new Error('Maximum file size exceeded');
+                error.code = 63;
+                throw error;
+            }
+
+            const toMs = seconds => Math.round(parseFloat(seconds) * 1000);
+            return {
+                status: parseInt(status),
+                headers: this.parseRawHeaders(rawHeaders),
+                rawHeaders,
+                data: body.toString('utf8'),
+                body,
+                ...(this.warc && {
+                    raw: {
+                        url: this.authorizeUrl(url),
+                        headers: rawHeaders,
+                        body,
+                        requestHeads: this.parseCurlTrace(await fs.readFile(tracePath, 'utf8').catch(() => ''))
+                    }
+                }),
+                finalUrl,
+                redirects: parseInt(redirects),
+                timing: {
+                    dns: toMs(dns),
+                    connect: toMs(connect),
+                    tls: toMs(tls),
+                    firstByte: toMs(firstByte),
+                    total: toMs(total),
+                    size: parseInt(size)
+                }
+            };
+        } finally {
+            await fs.rm(tmpDir, { recursive: true, force: true });
+        }
+    }
+
+    spawnProcess(command, args) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+            let stdout = '';
+            let stderr = '';
+
+            child.stdout.on('data', chunk => { stdout += chunk; });
+            child.stderr.on('data', chunk => { stderr += chunk; });
+            child.on('error', reject);
+            child.on('close', code => {
+                if (code === 0) return resolve({ stdout, stderr });
+
+                const error = new Error(`${command} exited with code ${code}: ${stderr.trim()}`);
+                error.code = code;
+                reject(error);
+            });
+        });
+    }
+
+    // Rebuilds the request header blocks, one per redirect hop, from a --trace-ascii dump. Each data
+    // line is "<hex offset>: <text>"; when the next offset skips two extra bytes the line ended in CRLF.
+    // CONNECT requests to a proxy are left out
+    parseCurlTrace(trace) {
+        const sections = trace.split(/^(?==>|<=|==)/m).filter(section => section.startsWith('=> Send header'));
+
+        return sections.map(section => {
+            const lines = section.split('\n').slice(1)
+                .map(line => /^([0-9a-f]+): (.*)$/.exec(line))
+                .filter(Boolean)
+                .map(([, offset, text]) => ({ offset: parseInt(offset, 16), text }));
+
+            const total = parseInt((/, (\d+) bytes/.exec(section) || [])[1]) || 0;
+            return lines.map((line, index) => {
+                const next = index + 1 < lines.length ? lines[index + 1].offset : total;
+                return next - line.offset > line.text.length ? `${line.text}\r\n` : line.text;
+            }).join('');
+        }).filter(head => !/^CONNECT /.test(head));
+    }
+
+    async archiveCurlResponse(response) {
+        const blocks = response.raw.headers.split(/\r?\n\r?\n/).filter(block => /^HTTP\//.test(block.trim()));
+        const parseBlock = block => {
+            const [statusLine, ...headerLines] = block.trim().split(/\r?\n/);
+            const headers = headerLines
+                .filter(line => line.includes(':'))
+                .map(line => [line.slice(0, line.indexOf(':')).trim(), line.slice(line.indexOf(':') + 1).trim()]);
+            return { statusLine, headers };
+        };
+        const { requestHeads } = response.raw;
+        const fallbackHead = url => WarcWriter.requestHead('GET', url, {
+            'User-Agent': this.options.userAgent,
+            Accept: '*/*'
+        });
+
+        // Earlier blocks are redirects, or a proxy's answer to CONNECT; curl doesn't save redirect bodies
+        const redirects = blocks.slice(0, -1)
+            .map(parseBlock)
+            .filter(({ statusLine, headers }) => /^HTTP\/\S+ 3\d\d/.test(statusLine) && headers.some(([name]) => name.toLowerCase() === 'location'));
+        const pairedHeads = requestHeads.length === redirects.length + 1;
+        let current = response.raw.url;
+        await this.archiveRedirects(redirects.map((hop, index) => {
+            const url = current;
+            current = new URL(hop.headers.find(([name]) => name.toLowerCase() === 'location')[1], url).href;
+            return { ...hop, url, requestHead: pairedHeads ? requestHeads[index] : fallbackHead(url) };
+        }), 'curl');
+
+        const { statusLine = `HTTP/1.1 ${response.status}`, headers } = blocks.length > 0 ? parseBlock(blocks[blocks.length - 1]) : { headers: [] };
+        await this.archive({
+            url: response.finalUrl,
+            requestHead: requestHeads[requestHeads.length - 1] || fallbackHead(response.finalUrl),
+            statusLine,
+            headers,
+            body: response.raw.body,
+            metadata: {
+                fetchTimeMs: response.timing.total,
+                dnsTimeMs: response.timing.dns,
+                connectTimeMs: response.timing.connect,
+                firstByteTimeMs: response.timing.firstByte,
+                crawlMethod: 'curl'
+            }
+        });
+    }
+
+    // With --location curl dumps one header block per hop; the last one belongs to the final response
+    parseRawHeaders(rawHeaders) {
+        const blocks = rawHeaders.split(/\r?\n\r?\n/).filter(block => /^HTTP\//.test(block.trim()));
+        const headers = {};
+        if (blocks.length === 0) return headers;
+
+        for (const line of blocks[blocks.length - 1].trim().split(/\r?\n/).slice(1)) {
+            const index = line.indexOf(':');
+            if (index === -1) continue;
+
+            const name = line.slice(0, index).trim().toLowerCase();
+            const value = line.slice(index + 1).trim();
+            if (name === 'set-cookie') {
+                headers[name] = [...(headers[name] || []), value];
+            } else {
+                headers[name] = headers[name] ? `${headers[name]}, ${value}` : value;
+            }
+        }
+        return headers;
+    }
+
+    // reauthenticated is set on the retry after a login session or access token expired
+    async makeRequest(url, options = {}, reauthenticated = false) {
+        let loginGeneration = this.loginGeneration;
+        const cached = this.httpCache ? await this.httpCache.get(url) : null;
 
         const config = {
             method: 'GET',
-            url: url,
+            url: this.authorizeUrl(url),
             headers: {
                 'User-Agent': this.options.userAgent,
                 'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
@@ -266,32 +1220,227 @@ class WebCrawler {
                 'Accept-Encoding': 'gzip, deflate',
                 'Connection': 'keep-alive',
                 'Upgrade-Insecure-Requests': '1',
-                ...(authHeaders || {}),
+                ...(cached ? this.httpCache.conditionalHeaders(cached) : {}),
                 ...options.headers
             },
             timeout: this.options.timeout,
             maxRedirects: this.options.followRedirects ? 5 : 0,
-            validateStatus: (status) => status >= 200 && status < 300,
+            validateStatus: (status) => (status >= 200 && status < 300) || (Boolean(cached) && status === 304),
+            // The WARC needs the exact bytes; archiveResponse() decodes them afterwards
+            ...(this.warc ? { responseType: 'arraybuffer' } : {}),
+            ...(this.usesCookieJar() ? this.cookieConfig(url) : {}),
             ...options
         };
 
         for (let attempt = 1; attempt <= this.options.retries; attempt++) {
+            const release = await this.politeness.acquire(url, this.getCrawlDelay(url));
+            const startTime = Date.now();
+            const redirects = [];
+            let proxy = null;
             try {
-                const response = await axios(config);
-                return response;
+                // Authenticated after the politeness wait, so a token renewed meanwhile is the one sent
+                const authHeaders = await this.authenticate(url);
+                loginGeneration = this.loginGeneration;
+                const proxyConfig = this.proxyPool.axiosConfig(url);
+                proxy = proxyConfig.proxy;
+                const headers = { ...config.headers, ...(authHeaders || {}) };
+                let response = await axios({
+                    ...config,
+                    headers,
+                    ...proxyConfig.config,
+                    ...(this.warc && { beforeRedirect: this.recordRedirects(config, headers, redirects) })
+                });
+                this.proxyPool.reportSuccess(proxy);
+                if (this.warc) {
+                    await this.archiveRedirects(redirects, 'axios');
+                    response = await this.archiveResponse(response, startTime, options.responseType);
+                }
+                if (this.usesCookieJar()) {
+                    this.storeCookies(response, url);
+                }
+                if (this.sessionExpired(url, this.responseState(response, url), reauthenticated)) {
+                    await this.reauthenticate(loginGeneration);
+                    return this.makeRequest(url, options, true);
+                }
+                return this.httpCache ? await this.cacheResponse(url, response, cached, options.responseType) : response;
             } catch (error) {
-                if (attempt === this.options.retries) throw error;
+                if (this.warc && error.response) {
+                    await this.archiveRedirects(redirects, 'axios');
+                    await this.archiveResponse(error.response, startTime, options.responseType);
+                }
+                if (error.response) {
+                    if (this.usesCookieJar()) {
+                        this.storeCookies(error.response, url);
+                    }
+                    if (this.sessionExpired(url, this.responseState(error.response, url), reauthenticated)) {
+                        await this.reauthenticate(loginGeneration);
+                        return this.makeRequest(url, options, true);
+                    }
+                }
+                if (proxy && ProxyPool.isProxyError(error)) {
+                    this.proxyPool.reportFailure(proxy, error);
+                }
+                if (attempt === this.options.retries || WebCrawler.isBodyTooLarge(error) || error.sessionExpired) throw error;
+                // Client errors won't change on retry, except timeouts and rate limiting
+                const status = error.response?.status;
+                if (status >= 400 && status < 500 && status !== 408 && status !== 429) throw error;
 
                 this.logger.warn(`Request attempt ${attempt} failed for ${url}: ${error.message}`);
+                release();
                 await this.delay(this.options.delay * attempt);
+            } finally {
+                release();
             }
         }
     }
 
+    // Writes an axios exchange to the WARC, using the raw request and response headers
+    // from the final hop, then decodes the body unless the caller asked for a buffer
+    async archiveResponse(response, startTime, responseType) {
+        const request = response.request || {};
+        const incoming = request.res || {};
+        const url = incoming.responseUrl || response.config.url;
+        const body = Buffer.from(response.data || '');
+
+        const headers = [];
+        const rawHeaders = incoming.rawHeaders || [];
+        for (let i = 0; i < rawHeaders.length; i += 2) {
+            headers.push([rawHeaders[i], rawHeaders[i + 1]]);
+        }
+
+        await this.archive({
+            url,
+            requestHead: typeof request._header === 'string'
+                ? request._header
+                : WarcWriter.requestHead('GET', url, response.config.headers),
+            statusLine: `HTTP/${incoming.httpVersion || '1.1'} ${response.status} ${response.statusText || ''}`.trim(),
+            headers,
+            body,
+            notModified: response.status === 304,
+            metadata: { fetchTimeMs: Date.now() - startTime, crawlMethod: 'axios' }
+        });
+
+        if (responseType !== 'arraybuffer') {
+            response.data = body.toString('utf8');
+        }
+        return response;
+    }
+
+    // beforeRedirect hook noting each redirect hop of an axios request for the WARC, around the
+    // config's own hook (the cookie jar's). follow-redirects discards the bodies of redirects
+    recordRedirects(config, headers, redirects) {
+        let current = { url: config.url, headers };
+        return (options, { headers: responseHeaders, statusCode }) => {
+            redirects.push({
+                url: current.url,
+                requestHead: WarcWriter.requestHead('GET', current.url,
+                    Object.fromEntries(Object.entries(current.headers).filter(([, value]) => value !== undefined && value !== null))),
+                statusLine: `HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode] || ''}`.trim(),
+                headers: Object.entries(responseHeaders).flatMap(([name, value]) => [].concat(value).map(line => [name, line]))
+            });
+            if (config.beforeRedirect) config.beforeRedirect(options, { headers: responseHeaders, statusCode });
+            current = { url: options.href, headers: { ...options.headers } };
+        };
+    }
+
+    // Redirect hops are archived with their status line and headers and an empty body
+    async archiveRedirects(redirects, crawlMethod) {
+        for (const redirect of redirects) {
+            await this.archive({ ...redirect, metadata: { crawlMethod } });
+        }
+    }
+
+    async archive(exchange) {
+        try {
+            await this.warc.writeExchange(this.redactExchange(exchange));
+        } catch (error) {
+            this.logger.error(`WARC write failed for ${exchange.url}: ${error.message}`);
+        }
+    }
+
+    // A 304 is answered from the cache; other responses refresh it.
+    // Sets response.fromCache and response.unchanged either way
+    async cacheResponse(url, response, cached, responseType) {
+        if (response.status === 304) {
+            const { entry, body } = await this.httpCache.revalidate(url, cached, response);
+            return {
+                ...response,
+                status: entry.status,
+                headers: entry.headers,
+                data: responseType === 'arraybuffer' ? body : body.toString('utf8'),
+                fromCache: true,
+                unchanged: true
+            };
+        }
+
+        let unchanged = false;
+        try {
+            ({ unchanged } = await this.httpCache.store(url, response, cached));
+        } catch (error) {
+            this.logger.warn(`Could not cache ${url}: ${error.message}`);
+        }
+        return Object.assign(response, { fromCache: false, unchanged });
+    }
+
+    // axios aborts past maxContentLength; curl exits with 63 past --max-filesize
+    static isBodyTooLarge(error) {
+        return error.code === 63 || (!error.response && /maxContentLength/.test(error.message));
+    }
+
+    // Dispatches a response on its content type. Resolves with pageData, or null when the
+    // type is not in the allowlist
+    async extractResponseData(url, response, body) {
+        const contentType = response.headers?.['content-type'] || '';
+        if (!this.contentHandlers.isAllowed(contentType)) {
+            this.visitedUrls.add(url);
+            this.recordSkip(url, `content-type:${ContentHandlers.mimeType(contentType) || 'none'}`);
+            return null;
+        }
+
+        const kind = ContentHandlers.kindOf(contentType, body);
+        if (kind === 'html') {
+            const $ = cheerio.load(ContentHandlers.decode(body, contentType));
+            return { ...this.extractPageData($, url, response), contentKind: kind };
+        }
+        return this.extractDocumentData(url, response, kind, body);
+    }
+
+    // pageData for JSON, XML, PDF, text and binary responses, shaped like extractPageData()'s
+    async extractDocumentData(url, response, kind, body) {
+        const { title, text, links = [], meta, ...content } = await this.contentHandlers.handle(kind, body, {
+            url,
+            contentType: response.headers?.['content-type'] || ''
+        });
+
+        return {
+            title: title || new URL(url).pathname.split('/').filter(Boolean).pop() || 'No Title',
+            url: url,
+            canonicalUrl: this.canonicalize(url) || url,
+            timestamp: new Date().toISOString(),
+            text: text || '',
+            html: '',
+            links: links
+                .map(link => ({ text: link.text || '', url: this.canonicalize(link.url), href: link.url, title: '', target: '_self' }))
+                .filter(link => link.url),
+            images: [],
+            meta: { description: '', keywords: '', author: '', ...meta },
+            statusCode: response.status || 200,
+            contentType: response.headers?.['content-type'] || '',
+            contentKind: kind,
+            size: body.length,
+            fromCache: Boolean(response.fromCache),
+            unchanged: Boolean(response.unchanged),
+            ...content
+        };
+    }
+
     extractPageData($, url, response) {
+        const declaredCanonical = $('link[rel="canonical"]').attr('href');
+
         return {
             title: $('title').text().trim() || $('h1').first().text().trim() || 'No Title',
             url: url,
+            canonicalUrl: (declaredCanonical && this.canonicalize(declaredCanonical, url)) || this.canonicalize(url) || url,
             timestamp: new Date().toISOString(),
             text: $('body').text().trim(),
             html: $.html(),
@@ -304,8 +1453,27 @@ class WebCrawler {
                 viewport: $('meta[name="viewport"]').attr('content') || '',
                 charset: $('meta[charset]').attr('charset') || $('meta[http-equiv="Content-Type"]').attr('content') || ''
             },
+            // Raw on-page signals for the SEO audit
+            seo: {
+                title: $('title').first().text().trim(),
+                h1: $('h1').map((i, element) => $(element).text().trim()).get(),
+                robots: [$('meta[name="robots"]').attr('content'), response.headers?.['x-robots-tag']].filter(Boolean).join(', '),
+                viewport: $('meta[name="viewport"]').length > 0,
+                canonical: declaredCanonical || '',
+                imagesWithoutAlt: $('img[src]:not([alt])').map((i, element) => {
+                    try {
+                        return new URL($(element).attr('src'), url).href;
+                    } catch (error) {
+                        return null;
+                    }
+                }).get()
+            },
             statusCode: response.status || 200,
-            contentType: response.headers?.['content-type'] || 'text/html'
+            contentType: response.headers?.['content-type'] || 'text/html',
+            fromCache: Boolean(response.fromCache),
+            unchanged: Boolean(response.unchanged),
+            ...(this.extractor && { records: this.extractor.extract($, url) }),
+            ...(this.contentExtractor && this.contentExtractor.extract($.html(), response.finalUrl || url))
         };
     }
 
@@ -315,15 +1483,16 @@ class WebCrawler {
             const $element = $(element);
             const href = $element.attr('href');
             if (href) {
-                try {
-                    const absoluteUrl = new URL(href, baseUrl).href;
+                const absoluteUrl = this.canonicalize(href, baseUrl);
+                if (absoluteUrl) {
                     links.push({
                         text: $element.text().trim(),
                         url: absoluteUrl,
+                        href: new URL(href, baseUrl).href, // as linked; url is the canonical form
                         title: $element.attr('title') || '',
                         target: $element.attr('target') || '_self'
                     });
-                } catch (error) {
+                } else {
                     this.logger.warn(`Invalid URL: ${href}`);
                 }
             }
@@ -356,21 +1525,78 @@ class WebCrawler {
 
     async checkRobotsTxt(url) {
         try {
-            const parsedUrl = new URL(url);
-            const robotsUrl = `${parsedUrl.protocol}//${parsedUrl.host}/robots.txt`;
+            const robots = await this.getRobots(url);
+            // If robots.txt doesn't exist or can't be parsed, allow crawling
+            return robots ? robots.isAllowed(url) !== false : true;
+        } catch (error) {
+            return true;
+        }
+    }
 
-            if (this.robotsCache.has(robotsUrl)) {
-                return this.robotsCache.get(robotsUrl).isAllowed(url);
-            }
+    // Fetches and caches the parsed robots.txt for url's host; null when there is none
+    async getRobots(url) {
+        const parsedUrl = new URL(url);
+        const robotsUrl = `${parsedUrl.protocol}//${parsedUrl.host}/robots.txt`;
 
-            const response = await axios.get(robotsUrl);
-            const robots = robotsParser(robotsUrl, response.data);
-            this.robotsCache.set(robotsUrl, robots);
+        if (this.robotsCache.has(robotsUrl)) {
+            return this.robotsCache.get(robotsUrl);
+        }
 
-            return robots.isAllowed(url);
+        let robots = null;
+        try {
+            const response = await axios.get(robotsUrl, {
+                timeout: this.options.timeout,
+                ...this.proxyPool.axiosConfig(robotsUrl).config
+            });
+            robots = robotsParser(robotsUrl, response.data);
         } catch (error) {
-            // If robots.txt doesn't exist or can't be parsed, allow crawling
-            return true;
+            this.logger.debug(`No robots.txt at ${robotsUrl}: ${error.message}`);
+        }
+        this.robotsCache.set(robotsUrl, robots);
+
+        return robots;
+    }
+
+    async discoverSitemapUrls(url) {
+        return new SitemapReader(this).discover(url);
+    }
+
+    // Chromium takes the proxy per incognito context, without credentials in the URL
+    getBrowserProxyServer(proxy) {
+        if (!proxy) return null;
+
+        const parsed = new URL(proxy);
+        const scheme = { 'socks:': 'socks5', 'socks5h:': 'socks5', 'socks4a:': 'socks4' }[parsed.protocol]
+            || parsed.protocol.replace(/:$/, '');
+        return `${scheme}://${parsed.host}`;
+    }
+
+    getProxyCredentials(proxy) {
+        if (!proxy) return null;
+
+        const parsed = new URL(proxy);
+        if (!parsed.username) return null;
+        if (parsed.protocol.startsWith('socks')) {
+            this.logger.warn('Chromium does not support authenticated SOCKS proxies; credentials ignored');
+            return null;
+        }
+        return {
+            username: decodeURIComponent(parsed.username),
+            password: decodeURIComponent(parsed.password)
+        };
+    }
+
+    // Crawl-delay from an already fetched robots.txt, in milliseconds
+    getCrawlDelay(url) {
+        if (!this.options.respectRobots) return 0;
+
+        try {
+            const parsedUrl = new URL(url);
+            const robots = this.robotsCache.get(`${parsedUrl.protocol}//${parsedUrl.host}/robots.txt`);
+            const crawlDelay = robots && robots.getCrawlDelay(this.options.userAgent);
+            return crawlDelay ? crawlDelay * 1000 : 0;
+        } catch (error) {
+            return 0;
         }
     }
 
@@ -378,7 +1604,8 @@ class WebCrawler {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    async authenticate() {
+    // Headers for a request to url; url only matters for form auth, whose cookies depend on it
+    async authenticate(url) {
         if (!this.options.auth) return null;
 
         const { type, credentials } = this.options.auth;
@@ -392,7 +1619,11 @@ class WebCrawler {
                 case 'cookie':
                     return this.authenticateCookie(credentials);
                 case 'form':
-                    return this.authenticateForm(credentials);
+                    return this.authenticateForm(credentials, url);
+                case 'oauth2':
+                    return this.authenticateOAuth2(credentials);
+                case 'apikey':
+                    return this.authenticateApiKey(credentials);
                 default:
                     this.logger.warn(`Unknown authentication type: ${type}`);
                     return null;
@@ -403,6 +1634,87 @@ class WebCrawler {
         }
     }
 
+    // Applies the configured auth to a Puppeteer page before it navigates to url
+    async applyBrowserAuth(page, url, proxyCredentials) {
+        const authHeaders = await this.authenticate(url);
+        if (!authHeaders || Object.keys(authHeaders).length === 0) return;
+
+        const { type, credentials } = this.options.auth;
+        switch (type) {
+            case 'basic':
+                // page.authenticate() also answers proxy challenges, so send basic auth up front when a proxy needs it
+                if (proxyCredentials) {
+                    await this.setOriginHeaders(page, url, authHeaders);
+                } else {
+                    await page.authenticate({ username: credentials.username, password: credentials.password });
+                }
+                break;
+            case 'cookie':
+            case 'form':
+                await page.setCookie(...this.getAuthCookies(credentials, authHeaders, url));
+                break;
+            default:
+                await this.setOriginHeaders(page, url, authHeaders);
+        }
+    }
+
+    // Adds headers only to requests for url's origin; setExtraHTTPHeaders() would also send them to
+    // third-party scripts, CDNs and cross-origin redirects
+    async setOriginHeaders(page, url, headers) {
+        const { origin } = new URL(url);
+        const extraHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+            if (request.isInterceptResolutionHandled()) return;
+
+            let sameOrigin = false;
+            try {
+                sameOrigin = new URL(request.url()).origin === origin;
+            } catch (error) {
+                // data: and other opaque URLs never get the headers
+            }
+            request.continue(sameOrigin ? { headers: { ...request.headers(), ...extraHeaders } } : {});
+        });
+    }
+
+    // Cookie objects for page.setCookie(); plain name=value pairs are scoped to url
+    getAuthCookies(credentials, authHeaders, url) {
+        if (Array.isArray(credentials.cookies)) {
+            return credentials.cookies.map(cookie => (cookie.domain ? cookie : { ...cookie, url }));
+        }
+        return this.parseCookieHeader(authHeaders.Cookie).map(cookie => ({ ...cookie, url }));
+    }
+
+    parseCookieHeader(cookieHeader = '') {
+        return cookieHeader.split(';')
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map(part => {
+                const index = part.indexOf('=');
+                return index === -1
+                    ? { name: part, value: '' }
+                    : { name: part.slice(0, index).trim(), value: part.slice(index + 1).trim() };
+            });
+    }
+
+    // curl arguments for the configured auth
+    async getCurlAuthArgs(url) {
+        const authHeaders = await this.authenticate(url);
+        if (!authHeaders) return [];
+
+        const { type, credentials } = this.options.auth;
+        switch (type) {
+            case 'basic':
+                return ['-u', `${credentials.username}:${credentials.password}`];
+            case 'cookie':
+            case 'form':
+                return ['--cookie', authHeaders.Cookie];
+            default:
+                return Object.entries(authHeaders).flatMap(([name, value]) => ['-H', `${name}: ${value}`]);
+        }
+    }
+
     authenticateBasic(credentials) {
         const { username, password } = credentials;
         if (!username || !password) {
@@ -429,6 +1741,9 @@ class WebCrawler {
         let cookieString;
         if (Array.isArray(cookies)) {
             cookieString = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+        } else if (cookies.trim().startsWith('[')) {
+            // --auth-cookies also accepts a JSON array of { name, value } objects
+            cookieString = JSON.parse(cookies).map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
         } else {
             cookieString = cookies;
         }
@@ -436,84 +1751,456 @@ class WebCrawler {
         return { Cookie: cookieString };
     }
 
-    async authenticateForm(credentials) {
-        // Return cached cookies if already authenticated
-        if (this.sessionCookies) {
-            this.logger.info('Using cached session cookies for authentication');
-            return { Cookie: this.sessionCookies };
+    // Bearer token from an OAuth2 token endpoint, renewed shortly before it expires
+    async authenticateOAuth2(credentials) {
+        const { tokenUrl, clientId, refreshToken, accessToken } = credentials;
+        if (!tokenUrl || !(clientId || refreshToken)) {
+            throw new Error('OAuth2 auth requires tokenUrl and clientId (or a refreshToken)');
+        }
+
+        // A token passed in is used until it expires or is rejected
+        if (!this.oauthToken && accessToken) {
+            this.oauthToken = { accessToken, tokenType: 'Bearer', refreshToken: refreshToken || null, refreshAt: null };
+            this.loggedIn = true;
+        }
+        if (!this.loggedIn || (this.oauthToken.refreshAt && Date.now() >= this.oauthToken.refreshAt)) {
+            await this.login(credentials);
+        }
+        return { Authorization: `${this.oauthToken.tokenType} ${this.oauthToken.accessToken}` };
+    }
+
+    // Client-credentials or refresh-token grant (RFC 6749). The grant defaults to
+    // refresh_token when a refresh token is known
+    async requestToken(credentials) {
+        const { tokenUrl, clientId, clientSecret, scope, audience, clientAuth = 'basic' } = credentials;
+        const refreshToken = this.oauthToken?.refreshToken || credentials.refreshToken;
+        const grantType = credentials.grantType || (refreshToken ? 'refresh_token' : 'client_credentials');
+
+        const body = new URLSearchParams({ grant_type: grantType });
+        if (grantType === 'refresh_token') {
+            if (!refreshToken) throw new Error('OAuth2 refresh_token grant requires a refreshToken');
+            body.set('refresh_token', refreshToken);
+        }
+        if (scope) body.set('scope', scope);
+        if (audience) body.set('audience', audience);
+
+        const headers = {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Accept': 'application/json',
+            'User-Agent': this.options.userAgent
+        };
+        if (clientId && clientSecret && clientAuth === 'basic') {
+            const encode = value => encodeURIComponent(value).replace(/%20/g, '+');
+            headers.Authorization = `Basic ${Buffer.from(`${encode(clientId)}:${encode(clientSecret)}`).toString('base64')}`;
+        } else if (clientId) {
+            body.set('client_id', clientId);
+            if (clientSecret) body.set('client_secret', clientSecret);
+        }
+
+        let data;
+        try {
+            ({ data } = await axios.post(tokenUrl, body.toString(), {
+                headers,
+                timeout: this.options.timeout,
+                ...this.proxyPool.axiosConfig(tokenUrl).config
+            }));
+        } catch (error) {
+            // A refresh token the server issued to a confidential client may expire before the
+            // client does; start over with the client-credentials grant then
+            const issuedRefreshToken = this.oauthToken?.refreshToken && this.oauthToken.refreshToken !== credentials.refreshToken;
+            if (grantType === 'refresh_token' && !credentials.grantType && clientSecret && issuedRefreshToken) {
+                this.oauthToken = { ...this.oauthToken, refreshToken: null };
+                return this.requestToken(credentials);
+            }
+            const reason = error.response?.data?.error;
+            const description = error.response?.data?.error_description;
+            throw new Error(`OAuth2 token request failed: ${reason ? `${reason}${description ? ` (${description})` : ''}` : error.message}`);
+        }
+        if (!data || !data.access_token) {
+            throw new Error('OAuth2 token response has no access_token');
+        }
+
+        // Renew a minute early, or a tenth of the lifetime early for short-lived tokens
+        const lifetime = Number(data.expires_in) > 0 ? Number(data.expires_in) * 1000 : null;
+        this.oauthToken = {
+            accessToken: data.access_token,
+            tokenType: /^bearer$/i.test(data.token_type || 'bearer') ? 'Bearer' : data.token_type,
+            // Servers that rotate refresh tokens send a new one with each response
+            refreshToken: data.refresh_token || refreshToken || null,
+            refreshAt: lifetime ? Date.now() + lifetime - Math.min(60000, lifetime / 10) : null
+        };
+        this.logger.info(`OAuth2 access token received (${grantType})${lifetime ? `, expires in ${lifetime / 1000}s` : ''}`);
+    }
+
+    // The key goes in a header (X-API-Key by default), or in the query string when
+    // `param` is set; see authorizeUrl()
+    authenticateApiKey(credentials) {
+        const { key, header = 'X-API-Key', param } = credentials;
+        if (!key) {
+            throw new Error('API key auth requires key');
+        }
+        return param ? {} : { [header]: key };
+    }
+
+    // url with the API key added when it is sent as a query parameter
+    authorizeUrl(url) {
+        if (this.options.auth?.type !== 'apikey' || !this.options.auth.credentials.param) return url;
+
+        const { key, param } = this.options.auth.credentials;
+        const authorized = new URL(url);
+        authorized.searchParams.set(param, key);
+        return authorized.href;
+    }
+
+    // Removes a query-parameter API key from URLs that are stored or logged
+    redactUrl(url) {
+        if (!url || this.options.auth?.type !== 'apikey' || !this.options.auth.credentials.param) return url;
+        try {
+            const redacted = new URL(url);
+            redacted.searchParams.delete(this.options.auth.credentials.param);
+            return redacted.href;
+        } catch (error) {
+            return url;
         }
+    }
 
+    // Removes a query-parameter API key from the target URI, request line and Location headers
+    // of a WARC exchange; the request line and Location may hold a path rather than a full URL
+    redactExchange(exchange) {
+        if (this.options.auth?.type !== 'apikey' || !this.options.auth.credentials.param) return exchange;
+
+        const { param } = this.options.auth.credentials;
+        const redactTarget = target => {
+            try {
+                const redacted = new URL(target, exchange.url);
+                if (!redacted.searchParams.has(param)) return target;
+                redacted.searchParams.delete(param);
+                return /^[a-z][a-z\d+.-]*:/i.test(target) ? redacted.href : `${redacted.pathname}${redacted.search}`;
+            } catch (error) {
+                return target;
+            }
+        };
+
+        return {
+            ...exchange,
+            url: this.redactUrl(exchange.url),
+            requestHead: exchange.requestHead.replace(/^(\S+) (\S+)/, (line, method, target) => `${method} ${redactTarget(target)}`),
+            headers: exchange.headers.map(([name, value]) => [name, name.toLowerCase() === 'location' ? redactTarget(value) : value])
+        };
+    }
+
+    // Cookie header from the jar for url, logging in first when there is no session
+    async authenticateForm(credentials, url = credentials.loginUrl) {
         const { loginUrl, loginData } = credentials;
         if (!loginUrl || !loginData) {
             throw new Error('Form auth requires loginUrl and loginData');
         }
 
+        if (!this.loggedIn) {
+            await this.login(credentials);
+        }
+        const cookie = this.cookieJar.getCookieHeader(url || loginUrl);
+        return cookie ? { Cookie: cookie } : null;
+    }
+
+    // Concurrent callers share one login attempt (or token request, for oauth2)
+    login(credentials) {
+        if (!this.loginPromise) {
+            const attempt = this.options.auth.type === 'oauth2'
+                ? this.requestToken(credentials)
+                : this.submitLoginForm(credentials);
+            this.loginPromise = attempt
+                .then(() => {
+                    this.loggedIn = true;
+                    this.loginGeneration++;
+                })
+                .finally(() => {
+                    this.loginPromise = null;
+                });
+        }
+        return this.loginPromise;
+    }
+
+    // GETs the login page for its cookies and hidden inputs (CSRF tokens and the like), then
+    // posts them with loginData to the form's action
+    async submitLoginForm(credentials) {
+        const { loginUrl, loginData, formSelector, loggedOutSelector } = credentials;
+        const request = async (config) => {
+            const cookie = this.cookieJar.getCookieHeader(config.url);
+            const response = await axios({
+                ...config,
+                headers: {
+                    'User-Agent': this.options.userAgent,
+                    ...config.headers,
+                    ...(cookie && { Cookie: cookie })
+                },
+                timeout: this.options.timeout,
+                responseType: 'text',
+                maxRedirects: 5,
+                validateStatus: () => true,
+                ...this.cookieConfig(config.url),
+                ...this.proxyPool.axiosConfig(config.url).config
+            });
+            this.storeCookies(response, config.url);
+            return { ...response, finalUrl: response.request?.res?.responseUrl || config.url };
+        };
+
         try {
-            // Properly URL-encode the form data (axios sends objects as JSON by default)
-            const formBody = new URLSearchParams(loginData).toString();
             this.logger.info(`Attempting form login at: ${loginUrl}`);
+            const page = await request({ method: 'GET', url: loginUrl, headers: { Accept: 'text/html,*/*;q=0.8' } });
+            const $ = cheerio.load(typeof page.data === 'string' ? page.data : '');
+            let $form = formSelector ? $(formSelector).first() : $('form').has('input[type="password"]').first();
+            if ($form.length === 0) $form = $('form').first();
+
+            const fields = {};
+            $form.find('input[type="hidden"][name]').each((i, element) => {
+                fields[$(element).attr('name')] = $(element).attr('value') || '';
+            });
+            if ($form.length === 0) {
+                this.logger.warn(`No login form found at ${loginUrl}; posting loginData as is`);
+            }
 
-            const response = await axios.post(loginUrl, formBody, {
+            const action = $form.attr('action') ? new URL($form.attr('action'), page.finalUrl).href : loginUrl;
+            const response = await request({
+                method: 'POST',
+                url: action,
+                // Properly URL-encode the form data (axios sends objects as JSON by default)
+                data: new URLSearchParams({ ...fields, ...loginData }).toString(),
                 headers: {
                     'Content-Type': 'application/x-www-form-urlencoded',
-                    'User-Agent': this.options.userAgent
-                },
-                maxRedirects: 0, // Don't follow redirects — capture Set-Cookie from 302
-                validateStatus: (status) => status >= 200 && status < 400
+                    'Referer': page.finalUrl
+                }
             });
 
-            // Extract cookies from response
-            const setCookieHeaders = response.headers['set-cookie'];
-            if (setCookieHeaders && setCookieHeaders.length > 0) {
-                const cookies = setCookieHeaders.map(cookie => cookie.split(';')[0]).join('; ');
-                this.sessionCookies = cookies; // Cache for future requests
-                this.logger.info('Form authentication successful, session cookies cached');
-                return { Cookie: cookies };
+            if (response.status >= 400) {
+                throw new Error(`login returned status ${response.status}`);
+            }
+            // A rejected login usually lands on the login form again
+            const $result = cheerio.load(typeof response.data === 'string' ? response.data : '');
+            if ((this.isLoginUrl(response.finalUrl) && $result('input[type="password"]').length > 0)
+                || (loggedOutSelector && $result(loggedOutSelector).length > 0)) {
+                throw new Error('still on the login page, check loginData');
             }
 
-            this.logger.warn('Form login succeeded but no Set-Cookie headers received');
-            return null;
+            if (this.cookieJar.size === 0) {
+                this.logger.warn('Form login succeeded but no cookies were set');
+            } else {
+                this.logger.info('Form authentication successful, session cookies stored');
+            }
         } catch (error) {
             throw new Error(`Form authentication failed: ${error.message}`);
         }
     }
 
+    usesCookieJar() {
+        return this.options.auth?.type === 'form';
+    }
+
+    // Auth types whose session can expire mid-crawl and be renewed
+    hasSession() {
+        return ['form', 'oauth2'].includes(this.options.auth?.type);
+    }
+
+    // axios options that store the cookies set on every redirect hop and send the jar's
+    // cookies for the next one
+    cookieConfig(url) {
+        let current = url;
+        return {
+            beforeRedirect: (options, { headers }) => {
+                this.cookieJar.setCookies(headers['set-cookie'], current);
+                current = options.href;
+                delete options.headers.cookie;
+                delete options.headers.Cookie;
+                const cookie = this.cookieJar.getCookieHeader(current);
+                if (cookie) options.headers.Cookie = cookie;
+            }
+        };
+    }
+
+    storeCookies(response, url) {
+        this.cookieJar.setCookies(response.headers?.['set-cookie'], response.request?.res?.responseUrl || url);
+    }
+
+    // curl dumps one header block per redirect hop; each block's cookies belong to that hop's URL
+    storeCurlCookies(url, rawHeaders = '') {
+        let current = url;
+        for (const block of rawHeaders.split(/\r?\n\r?\n/).filter(part => /^HTTP\//.test(part.trim()))) {
+            const headers = this.parseRawHeaders(block);
+            this.cookieJar.setCookies(headers['set-cookie'], current);
+            if (headers.location) current = new URL(headers.location, current).href;
+        }
+    }
+
+    isLoginUrl(url) {
+        try {
+            const target = new URL(url);
+            const login = new URL(this.options.auth.credentials.loginUrl);
+            return target.origin === login.origin && target.pathname === login.pathname;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    responseState(response, url) {
+        return {
+            status: response.status,
+            location: response.headers?.location,
+            finalUrl: response.request?.res?.responseUrl || url,
+            body: response.data,
+            contentType: response.headers?.['content-type']
+        };
+    }
+
+    // For form auth, a 401, a redirect to the login page, or the configured logged-out marker
+    // on the page means the session has ended. For oauth2, a 401 means the token was rejected
+    isLoggedOut(url, { status, location, finalUrl, body, contentType }) {
+        if (this.options.auth?.type === 'oauth2') return status === 401;
+        if (!this.usesCookieJar() || this.isLoginUrl(url)) return false;
+        if (status === 401) return true;
+
+        const redirectTarget = location ? this.canonicalize(location, url) : null;
+        if ([finalUrl, redirectTarget].some(target => target && this.isLoginUrl(target))) return true;
+
+        const { loggedOutSelector } = this.options.auth.credentials;
+        if (loggedOutSelector && body && /html/i.test(contentType || 'text/html')) {
+            return cheerio.load(Buffer.isBuffer(body) ? body.toString('utf8') : String(body))(loggedOutSelector).length > 0;
+        }
+        return false;
+    }
+
+    // Whether to retry a request after logging in again. Only once: a request that is still
+    // logged out afterwards fails without retries, so the login page is not stored in its place
+    sessionExpired(url, state, reauthenticated) {
+        if (!this.isLoggedOut(url, state)) return false;
+        if (reauthenticated) {
+            const error = new Error('Session expired after re-login');
+            error.sessionExpired = true;
+            throw error;
+        }
+        return true;
+    }
+
+    // Logs in again unless another request already did since this one was sent
+    async reauthenticate(loginGeneration) {
+        if (this.loginGeneration === loginGeneration && !this.loginPromise) {
+            this.logger.warn(this.options.auth.type === 'oauth2'
+                ? 'Access token rejected, requesting a new one'
+                : 'Form login session expired, logging in again');
+            this.loggedIn = false;
+        }
+        await this.authenticate();
+    }
+
     async saveData() {
         const dataDir = path.join(__dirname, '../data');
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const graph = new LinkGraph(this.crawledData, this.seedUrl || undefined);
 
         // Save as JSON
-        const jsonPath = path.join(dataDir, `crawl-data-${timestamp}.json`);
-        await fs.writeFile(jsonPath, JSON.stringify(this.crawledData, null, 2));
-        this.logger.info(`Data saved to JSON: ${jsonPath}`);
+        let jsonPath = null;
+        if (this.options.output.includes('json')) {
+            jsonPath = path.join(dataDir, `crawl-data-${timestamp}.json`);
+            await fs.writeFile(jsonPath, JSON.stringify(this.crawledData, null, 2));
+            this.logger.info(`Data saved to JSON: ${jsonPath}`);
+        }
 
         // Save as CSV
-        const csvPath = path.join(dataDir, `crawl-data-${timestamp}.csv`);
-        const csvWriter = createCsvWriter({
-            path: csvPath,
-            header: [
-                { id: 'title', title: 'Title' },
-                { id: 'url', title: 'URL' },
-                { id: 'timestamp', title: 'Timestamp' },
-                { id: 'statusCode', title: 'Status Code' },
-                { id: 'links', title: 'Links Count' },
-                { id: 'images', title: 'Images Count' }
-            ]
-        });
+        let csvPath = null;
+        if (this.options.output.includes('csv')) {
+            csvPath = path.join(dataDir, `crawl-data-${timestamp}.csv`);
+            const csvWriter = createCsvWriter({
+                path: csvPath,
+                header: [
+                    { id: 'title', title: 'Title' },
+                    { id: 'url', title: 'URL' },
+                    { id: 'timestamp', title: 'Timestamp' },
+                    { id: 'statusCode', title: 'Status Code' },
+                    { id: 'links', title: 'Links Count' },
+                    { id: 'images', title: 'Images Count' },
+                    { id: 'depth', title: 'Crawl Depth' },
+                    { id: 'clickDepth', title: 'Click Depth' },
+                    { id: 'inDegree', title: 'In Degree' },
+                    { id: 'outDegree', title: 'Out Degree' },
+                    { id: 'pageRank', title: 'PageRank' }
+                ]
+            });
+
+            const csvData = this.crawledData.map(page => {
+                const metrics = graph.metrics.get(page.url);
+                return {
+                    title: page.title,
+                    url: page.url,
+                    timestamp: page.timestamp,
+                    statusCode: page.statusCode,
+                    links: page.links.length,
+                    images: page.images.length,
+                    depth: page.depth ?? '',
+                    clickDepth: metrics.clickDepth ?? '',
+                    inDegree: metrics.inDegree,
+                    outDegree: metrics.outDegree,
+                    pageRank: metrics.pageRank.toFixed(6)
+                };
+            });
+
+            await csvWriter.writeRecords(csvData);
+            this.logger.info(`Data saved to CSV: ${csvPath}`);
+        }
+
+        // Streaming outputs already hold every page; closing flushes them
+        const streamed = await this.closeSinks();
 
-        const csvData = this.crawledData.map(page => ({
-            title: page.title,
-            url: page.url,
-            timestamp: page.timestamp,
-            statusCode: page.statusCode,
-            links: page.links.length,
-            images: page.images.length
-        }));
+        // Save skipped URLs so the crawl scope can be audited
+        let skippedPath = null;
+        if (this.skippedUrls.size > 0) {
+            skippedPath = path.join(dataDir, `crawl-skipped-${timestamp}.json`);
+            await fs.writeFile(skippedPath, JSON.stringify([...this.skippedUrls.values()], null, 2));
+            this.logger.info(`Skipped URLs saved to JSON: ${skippedPath}`);
+        }
 
-        await csvWriter.writeRecords(csvData);
-        this.logger.info(`Data saved to CSV: ${csvPath}`);
+        // Save schema records as one flat list, independent of the page dump
+        let recordsPath = null;
+        const records = this.crawledData.flatMap(page => page.records || []);
+        if (records.length > 0) {
+            recordsPath = path.join(dataDir, `crawl-records-${timestamp}.json`);
+            await fs.writeFile(recordsPath, JSON.stringify(records, null, 2));
+            this.logger.info(`Extracted records saved to JSON: ${recordsPath}`);
+        }
 
-        return { jsonPath, csvPath };
+        // Save the internal link graph for site-architecture tools
+        const graphPaths = {};
+        const graphWriters = {
+            graphml: () => graph.toGraphML(),
+            dot: () => graph.toDot(),
+            json: () => JSON.stringify(graph.toJSON(), null, 2)
+        };
+        for (const format of this.options.graph) {
+            const graphPath = path.join(dataDir, `crawl-graph-${timestamp}.${format}`);
+            await fs.writeFile(graphPath, graphWriters[format]());
+            graphPaths[format] = graphPath;
+            this.logger.info(`Link graph saved to ${format.toUpperCase()}: ${graphPath}`);
+        }
+
+        return { jsonPath, csvPath, ...streamed, skippedPath, recordsPath, graphPaths };
+    }
+
+    // Resolves with { ndjsonPath, sqlitePath } for the sinks that received pages
+    async closeSinks() {
+        const paths = {};
+        for (const sink of this.sinks) {
+            const sinkPath = await sink.close();
+            if (sinkPath) {
+                paths[`${sink.format}Path`] = sinkPath;
+                this.logger.info(`Data saved to ${sink.format.toUpperCase()}: ${sinkPath}`);
+            }
+        }
+        if (this.warc) {
+            const warcPaths = await this.warc.close();
+            if (warcPaths.length > 0) {
+                paths.warcPaths = warcPaths;
+                this.logger.info(`Data saved to WARC: ${warcPaths.join(', ')}`);
+            }
+        }
+        return paths;
     }
 
     getStats() {
@@ -522,6 +2209,12 @@ class WebCrawler {
             totalLinks: this.crawledData.reduce((sum, page) => sum + page.links.length, 0),
             totalImages: this.crawledData.reduce((sum, page) => sum + page.images.length, 0),
             visitedUrls: this.visitedUrls.size,
+            skippedUrls: this.skippedUrls.size,
+            failedUrls: this.failedUrls.size,
+            totalRecords: this.crawledData.reduce((sum, page) => sum + (page.records?.length || 0), 0),
+            proxies: this.proxyPool.getStats(),
+            unchangedPages: this.crawledData.filter(page => page.unchanged).length,
+            cache: this.httpCache ? this.httpCache.getStats() : null,
             averageLoadTime: this.crawledData.reduce((sum, page) => {
                 // Estimate load time based on content size
                 return sum + (page.html?.length || 0) / 1000;
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const CrawlScope = require('./scope');
+
+const FIELD_TYPES = ['string', 'list', 'nested'];
+
+const TRANSFORMS = {
+    trim: value => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : value),
+    lowercase: value => (typeof value === 'string' ? value.toLowerCase() : value),
+    uppercase: value => (typeof value === 'string' ? value.toUpperCase() : value),
+    // "$1,299.00", "1.299,00 €" and "12,5" all parse: with both separators the last one is
+    // the decimal point; a single separator followed by exactly three digits groups thousands
+    number: value => {
+        if (typeof value === 'number' || value === null) return value;
+        const cleaned = String(value).replace(/[^\d.,-]/g, '');
+        const lastSeparator = Math.max(cleaned.lastIndexOf('.'), cleaned.lastIndexOf(','));
+
+        let decimals = false;
+        if (lastSeparator !== -1) {
+            const separators = cleaned.match(/[.,]/g);
+            const mixed = new Set(separators).size > 1;
+            const integerPart = cleaned.slice(0, lastSeparator).replace(/^-/, '');
+            const digitsAfter = cleaned.length - lastSeparator - 1;
+            decimals = mixed || (separators.length === 1 && (digitsAfter !== 3 || /^0*$/.test(integerPart)));
+        }
+
+        const normalized = decimals
+            ? cleaned.slice(0, lastSeparator).replace(/[.,]/g, '') + '.' + cleaned.slice(lastSeparator + 1)
+            : cleaned.replace(/[.,]/g, '');
+        const number = parseFloat(normalized);
+        return Number.isNaN(number) ? null : number;
+    },
+    integer: value => {
+        const number = TRANSFORMS.number(value);
+        return number === null ? null : Math.trunc(number);
+    },
+    boolean: value => !['', 'false', '0', 'no', 'off'].includes(String(value ?? '').trim().toLowerCase()),
+    date: value => {
+        if (!value) return null;
+        const date = new Date(String(value).trim());
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+};
+
+class SchemaExtractor {
+    constructor(schema) {
+        this.rules = SchemaExtractor.validate(schema);
+    }
+
+    static fromFile(filePath) {
+        const raw = fs.readFileSync(filePath, 'utf8');
+        const extension = path.extname(filePath).toLowerCase();
+        const schema = extension === '.yaml' || extension === '.yml' ? yaml.load(raw) : JSON.parse(raw);
+        return new SchemaExtractor(schema);
+    }
+
+    static validate(schema) {
+        const rules = Array.isArray(schema) ? schema : schema && schema.rules;
+        if (!Array.isArray(rules) || rules.length === 0) {
+            throw new Error('Extraction schema needs a non-empty "rules" array');
+        }
+
+        return rules.map((rule, index) => {
+            const name = rule.name || `rule${index + 1}`;
+            if (!rule.fields || typeof rule.fields !== 'object') {
+                throw new Error(`Extraction rule "${name}" needs a "fields" object`);
+            }
+            const patterns = [].concat(rule.match || '**');
+            return {
+                name,
+                patterns: patterns.map(CrawlScope.compilePattern),
+                fields: SchemaExtractor.validateFields(rule.fields, name)
+            };
+        });
+    }
+
+    static validateFields(fields, where) {
+        const validated = {};
+        for (const [name, definition] of Object.entries(fields)) {
+            const field = typeof definition === 'string' ? { selector: definition } : { ...definition };
+            const location = `${where}.${name}`;
+
+            field.type = field.type || (field.fields ? 'nested' : 'string');
+            if (!FIELD_TYPES.includes(field.type)) {
+                throw new Error(`Field "${location}" has unknown type "${field.type}" (expected ${FIELD_TYPES.join('|')})`);
+            }
+            if (!field.selector && !field.fields) {
+                throw new Error(`Field "${location}" needs a "selector"`);
+            }
+
+            field.transforms = [].concat(field.transform || []).map(transform => {
+                if (typeof transform === 'string') {
+                    if (!TRANSFORMS[transform]) {
+                        throw new Error(`Field "${location}" has unknown transform "${transform}"`);
+                    }
+                    return TRANSFORMS[transform];
+                }
+                if (transform && transform.regex) {
+                    const regex = new RegExp(transform.regex, transform.flags || '');
+                    const group = transform.group ?? 1;
+                    return value => {
+                        const match = regex.exec(String(value ?? ''));
+                        return match ? (match[group] ?? match[0]) : null;
+                    };
+                }
+                throw new Error(`Field "${location}" has an invalid transform`);
+            });
+
+            if (field.fields) {
+                field.fields = SchemaExtractor.validateFields(field.fields, location);
+            }
+            validated[name] = field;
+        }
+        return validated;
+    }
+
+    // One { type, url, data } record per rule whose pattern matches url
+    extract($, url) {
+        return this.rules
+            .filter(rule => rule.patterns.some(pattern => pattern.test(url)))
+            .map(rule => ({
+                type: rule.name,
+                url,
+                data: this.extractFields($, $.root(), rule.fields, url)
+            }));
+    }
+
+    extractFields($, $context, fields, url) {
+        const data = {};
+        for (const [name, field] of Object.entries(fields)) {
+            const $matches = field.selector ? $context.find(field.selector) : $context;
+
+            if (field.type === 'list') {
+                data[name] = $matches.toArray().map(element => this.extractValue($, $(element), field, url));
+            } else {
+                data[name] = $matches.length > 0 ? this.extractValue($, $matches.first(), field, url) : null;
+            }
+        }
+        return data;
+    }
+
+    extractValue($, $element, field, url) {
+        if (field.fields) {
+            return this.extractFields($, $element, field.fields, url);
+        }
+
+        let value;
+        if (!field.attr || field.attr === 'text') {
+            value = $element.text();
+        } else if (field.attr === 'html') {
+            value = $element.html();
+        } else {
+            value = $element.attr(field.attr) ?? null;
+            // href/src style attributes are resolved against the page URL
+            if (value && ['href', 'src', 'action', 'data-src'].includes(field.attr)) {
+                try {
+                    value = new URL(value, url).href;
+                } catch (error) {
+                    // keep the raw attribute value
+                }
+            }
+        }
+
+        return field.transforms.reduce((current, transform) => transform(current), value);
+    }
+}
+
+SchemaExtractor.TRANSFORMS = TRANSFORMS;
+
+module.exports = SchemaExtractor;
@@ -0,0 +1,142 @@
+class UrlFrontier {
+    constructor(options = {}) {
+        this.maxDepth = options.maxDepth || 0;
+        this.maxPages = options.maxPages || Infinity;
+        this.visited = options.visited || new Set();
+
+        // Every URL ever accepted or visited. Slots are counted apart from it, so maxPages counts queued
+        // pages as well as crawled ones (reserved: pages crawled before), not every form of their URLs
+        this.seen = new Set(this.visited);
+        this.reserved = options.reserved || 0;
+        // URLs turned away while every slot was taken, next in line for a released slot
+        this.overflow = new Map();
+        this.queue = [];
+        this.head = 0;
+        this.active = new Set();
+        this.waiters = [];
+    }
+
+    get inFlight() {
+        return this.active.size;
+    }
+
+    add(url, depth = 0, meta = {}) {
+        if (depth > this.maxDepth) return false;
+        if (this.seen.has(url) || this.visited.has(url)) return false;
+        if (this.isFull()) {
+            if (this.overflow.size < this.maxPages && !this.overflow.has(url)) {
+                this.overflow.set(url, { url, depth, ...meta });
+            }
+            return false;
+        }
+
+        this.reserved++;
+        this.enqueue({ url, depth, ...meta });
+        return true;
+    }
+
+    enqueue(entry) {
+        this.seen.add(entry.url);
+        this.overflow.delete(entry.url);
+        this.queue.push(entry);
+        this.flush();
+    }
+
+    has(url) {
+        return this.seen.has(url);
+    }
+
+    isFull() {
+        return this.reserved >= this.maxPages;
+    }
+
+    // Gives back the slot of an entry that turned out to duplicate a crawled page, to the first URL
+    // turned away for lack of one if there is any; the duplicate's URL stays seen
+    release() {
+        for (const [url, entry] of this.overflow) {
+            this.overflow.delete(url);
+            if (!this.seen.has(url) && !this.visited.has(url)) {
+                this.enqueue(entry);
+                return;
+            }
+        }
+        this.reserved = Math.max(0, this.reserved - 1);
+        this.flush();
+    }
+
+    get pending() {
+        return this.queue.length - this.head;
+    }
+
+    // Resolves with the next entry, or null once the queue is empty and no worker can add more
+    take() {
+        if (this.pending > 0) {
+            return Promise.resolve(this.activate(this.shift()));
+        }
+        if (this.inFlight === 0) {
+            return Promise.resolve(null);
+        }
+        return new Promise(resolve => this.waiters.push(resolve));
+    }
+
+    done(entry) {
+        this.active.delete(entry);
+        this.flush();
+    }
+
+    activate(entry) {
+        this.active.add(entry);
+        return entry;
+    }
+
+    // In-flight entries go back on the queue: they were not finished when the snapshot was taken
+    snapshot() {
+        return {
+            maxDepth: this.maxDepth,
+            queue: [...this.active, ...this.queue.slice(this.head)],
+            seen: [...this.seen],
+            reserved: this.reserved,
+            overflow: [...this.overflow.values()]
+        };
+    }
+
+    restore(snapshot) {
+        for (const url of snapshot.seen) {
+            this.seen.add(url);
+        }
+        // Checkpoints from before slots were counted
+        this.reserved = snapshot.reserved ?? snapshot.seen.length;
+        for (const entry of snapshot.queue) {
+            if (!this.visited.has(entry.url)) {
+                this.queue.push(entry);
+            }
+        }
+        for (const entry of snapshot.overflow || []) {
+            this.overflow.set(entry.url, entry);
+        }
+        this.flush();
+    }
+
+    shift() {
+        const entry = this.queue[this.head++];
+        // Compact occasionally so long crawls don't keep every dequeued entry alive
+        if (this.head > 1024 && this.head * 2 > this.queue.length) {
+            this.queue = this.queue.slice(this.head);
+            this.head = 0;
+        }
+        return entry;
+    }
+
+    flush() {
+        while (this.waiters.length > 0 && this.pending > 0) {
+            this.waiters.shift()(this.activate(this.shift()));
+        }
+        if (this.inFlight === 0 && this.pending === 0) {
+            while (this.waiters.length > 0) {
+                this.waiters.shift()(null);
+            }
+        }
+    }
+}
+
+module.exports = UrlFrontier;
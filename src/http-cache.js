@@ -0,0 +1,122 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+class HttpCache {
+    constructor(cacheDir) {
+        this.cacheDir = path.resolve(cacheDir);
+        this.stats = { revalidated: 0, unchanged: 0, stored: 0 };
+    }
+
+    keyFor(url) {
+        return crypto.createHash('sha1').update(url).digest('hex');
+    }
+
+    entryPaths(url) {
+        const key = this.keyFor(url);
+        const dir = path.join(this.cacheDir, key.slice(0, 2));
+        return { dir, meta: path.join(dir, `${key}.json`), body: path.join(dir, `${key}.body`) };
+    }
+
+    // Resolves with { url, status, headers, etag, lastModified, hash, storedAt } or null
+    async get(url) {
+        const paths = this.entryPaths(url);
+        try {
+            await fs.access(paths.body);
+            return JSON.parse(await fs.readFile(paths.meta, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async readBody(url) {
+        return fs.readFile(this.entryPaths(url).body);
+    }
+
+    // Validators the server can answer with 304 Not Modified
+    conditionalHeaders(entry) {
+        const headers = {};
+        if (!entry) return headers;
+        if (entry.etag) headers['If-None-Match'] = entry.etag;
+        if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+        return headers;
+    }
+
+    static toBuffer(data) {
+        if (Buffer.isBuffer(data)) return data;
+        if (data instanceof ArrayBuffer) return Buffer.from(data);
+        if (typeof data === 'string') return Buffer.from(data, 'utf8');
+        return Buffer.from(JSON.stringify(data), 'utf8');
+    }
+
+    static hash(body) {
+        return crypto.createHash('sha1').update(body).digest('hex');
+    }
+
+    // Stores a 2xx response. `unchanged` is true when the body matches the previous entry,
+    // which catches unchanged pages on servers that send no validators
+    async store(url, response, previous = null) {
+        const headers = HttpCache.plainHeaders(response.headers);
+        if (/no-store/i.test(headers['cache-control'] || '')) return { entry: null, unchanged: false };
+
+        const body = HttpCache.toBuffer(response.data);
+        const entry = {
+            url,
+            status: response.status,
+            headers,
+            etag: headers.etag || null,
+            lastModified: headers['last-modified'] || null,
+            hash: HttpCache.hash(body),
+            storedAt: new Date().toISOString()
+        };
+        const unchanged = Boolean(previous && previous.hash === entry.hash);
+
+        await this.write(url, entry, body);
+        this.stats.stored++;
+        if (unchanged) this.stats.unchanged++;
+        return { entry, unchanged };
+    }
+
+    // Refreshes validators from a 304 response and returns the cached body
+    async revalidate(url, entry, response) {
+        const headers = HttpCache.plainHeaders(response.headers);
+        const updated = {
+            ...entry,
+            etag: headers.etag || entry.etag,
+            lastModified: headers['last-modified'] || entry.lastModified,
+            storedAt: new Date().toISOString()
+        };
+        const body = await this.readBody(url);
+
+        await this.write(url, updated, null);
+        this.stats.revalidated++;
+        return { entry: updated, body };
+    }
+
+    async write(url, entry, body) {
+        const paths = this.entryPaths(url);
+        await fs.mkdir(paths.dir, { recursive: true });
+
+        // Body first, metadata last, each via rename, so a metadata file always has its body
+        if (body) {
+            await fs.writeFile(`${paths.body}.tmp`, body);
+            await fs.rename(`${paths.body}.tmp`, paths.body);
+        }
+        await fs.writeFile(`${paths.meta}.tmp`, JSON.stringify(entry));
+        await fs.rename(`${paths.meta}.tmp`, paths.meta);
+    }
+
+    static plainHeaders(headers = {}) {
+        const plain = {};
+        for (const [name, value] of Object.entries(typeof headers.toJSON === 'function' ? headers.toJSON() : headers)) {
+            plain[name.toLowerCase()] = Array.isArray(value) ? value.join(', ') : String(value);
+        }
+        return plain;
+    }
+
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+module.exports = HttpCache;
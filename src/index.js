@@ -1,10 +1,17 @@
 #!/usr/bin/env node
 
 const WebCrawler = require('./crawler');
+const CrawlCheckpoint = require('./checkpoint');
+const WarcReader = require('./warc-reader');
+const LinkChecker = require('./link-checker');
+const SeoAudit = require('./seo-audit');
+const SiteMirror = require('./site-mirror');
 const { Command } = require('commander');
 const chalk = require('chalk');
+const ora = require('ora');
 const fs = require('fs').promises;
 const path = require('path');
+const winston = require('winston');
 
 const program = new Command();
 
@@ -16,29 +23,77 @@ program
 program
   .command('crawl')
   .description('Start web crawling')
-  .requiredOption('-u, --url <url>', 'Target URL to crawl')
+  .option('-u, --url <url>', 'Target URL to crawl')
   .option('-d, --depth <number>', 'Maximum crawling depth', '2')
   .option('-m, --max-pages <number>', 'Maximum pages to crawl', '20')
   .option('-t, --timeout <number>', 'Request timeout in milliseconds', '30000')
   .option('-r, --retries <number>', 'Number of retries for failed requests', '3')
   .option('-c, --concurrent <number>', 'Concurrent requests', '5')
   .option('--method <method>', 'Crawling method (axios|puppeteer|curl)', 'axios')
-  .option('--delay <number>', 'Delay between requests in milliseconds', '1000')
+  .option('--delay <number>', 'Minimum delay between requests to the same host in milliseconds', '1000')
+  .option('--per-host-concurrency <number>', 'Maximum concurrent connections per host', '2')
+  .option('--rate-limit <requests>', 'Maximum requests per host per rate-limit window (default: RATE_LIMIT_* env)')
+  .option('--rate-limit-window <ms>', 'Rate-limit window in milliseconds', '60000')
   .option('--no-robots', 'Ignore robots.txt')
-  .option('--output <format>', 'Output format (json|csv|both)', 'both')
+  .option('--output <formats>', 'Comma-separated outputs: json, csv, ndjson, sqlite, warc (both = json,csv)', 'both')
+  .option('--warc-max-size <mb>', 'Start a new WARC file once the current one reaches this size', '1024')
   .option('--screenshots', 'Take screenshots (Puppeteer only)')
+  .option('--browser-recycle-after <number>', 'Relaunch the browser after this many pages (Puppeteer only)', '100')
+  .option('--actions <file>', 'Action script (JSON or YAML) run on matching pages before extraction (Puppeteer only)')
+  .option('--scroll', 'Scroll each page until no new content loads (Puppeteer only)')
+  .option('--scroll-items <selector>', 'Count loaded items with this selector while scrolling')
+  .option('--scroll-max-items <number>', 'Stop scrolling once this many items are loaded (needs --scroll-items)')
+  .option('--scroll-time-limit <ms>', 'Stop scrolling after this long', '30000')
+  .option('--paginate [selector]', 'Follow "next page" links (default: rel=next) and group them into one result')
+  .option('--max-pagination-pages <number>', 'Pages to follow per paginated listing, the first included', '10')
   .option('--user-agent <agent>', 'Custom user agent')
-  .option('--proxy <proxy>', 'Proxy server')
-  .option('--auth-type <type>', 'Authentication type (basic|bearer|cookie|form)', 'basic')
+  .option('--proxy <proxy>', 'Proxy server (http://, https:// or socks5:// URL; default: HTTP_PROXY/HTTPS_PROXY)')
+  .option('--proxy-file <file>', 'File with one proxy URL per line to rotate through')
+  .option('--proxy-rotation <mode>', 'Rotate proxies per request or per host (request|host)', 'request')
+  .option('--proxy-max-failures <number>', 'Consecutive failures before a proxy is taken out of rotation', '3')
+  .option('--auth-type <type>', 'Authentication type (basic|bearer|cookie|form|oauth2|apikey)', 'basic')
   .option('--auth-username <username>', 'Username for authentication')
   .option('--auth-password <password>', 'Password for authentication')
   .option('--auth-token <token>', 'Bearer token for authentication')
   .option('--auth-cookies <cookies>', 'Cookies for authentication (JSON string or semicolon-separated)')
   .option('--login-url <url>', 'Login URL for form-based authentication')
   .option('--login-data <data>', 'Login data for form-based authentication (JSON string)')
+  .option('--login-form <selector>', 'CSS selector of the login form (default: the form with a password field)')
+  .option('--logged-out-selector <selector>', 'CSS selector only present when logged out; triggers a new form login')
+  .option('--oauth-token-url <url>', 'OAuth2 token endpoint')
+  .option('--oauth-client-id <id>', 'OAuth2 client ID')
+  .option('--oauth-client-secret <secret>', 'OAuth2 client secret')
+  .option('--oauth-scope <scope>', 'OAuth2 scope to request')
+  .option('--oauth-refresh-token <token>', 'OAuth2 refresh token (uses the refresh_token grant)')
+  .option('--oauth-grant <grant>', 'OAuth2 grant (client_credentials|refresh_token; default: refresh_token when a refresh token is given)')
+  .option('--api-key <key>', 'API key for apikey authentication')
+  .option('--api-key-header <name>', 'Header carrying the API key', 'X-API-Key')
+  .option('--api-key-param <name>', 'Send the API key as this query parameter instead of a header')
+  .option('--state-dir <dir>', 'Checkpoint the crawl to this directory so it can be resumed')
+  .option('--checkpoint-interval <number>', 'Checkpoint interval in milliseconds', '30000')
+  .option('--resume <state-dir>', 'Resume an interrupted crawl from its state directory')
+  .option('--scope <policy>', 'Domain policy for followed links (host|domain|any)', 'host')
+  .option('--include <patterns...>', 'Only follow URLs matching these globs or /regex/ patterns')
+  .option('--exclude <patterns...>', 'Never follow URLs matching these globs or /regex/ patterns')
+  .option('--schemes <schemes>', 'Comma-separated URL schemes allowed to be followed', 'http,https')
+  .option('--sitemap', 'Seed the crawl with URLs from robots.txt sitemaps and /sitemap.xml')
+  .option('--strip-params <params>', 'Extra comma-separated query parameters to strip from URLs (prefix* allowed)')
+  .option('--cache [dir]', 'Revalidate pages with ETag/Last-Modified against a local cache (default dir: data/http-cache)')
+  .option('--schema <file>', 'Extraction schema (JSON or YAML) turning matching pages into structured records')
+  .option('--main-content', 'Extract the main article body, byline and publish date of each page')
+  .option('--markdown', 'Also store the main content as Markdown (implies --main-content)')
+  .option('--audit', 'Add an SEO audit of the crawled pages to the report')
+  .option('--graph [formats]', 'Export the internal link graph: comma-separated graphml, dot, json (default: all)')
+  .option('--max-body-size <mb>', 'Skip responses larger than this', '10')
+  .option('--content-types <types>', 'Comma-separated allowlist of content types, e.g. text/html,application/pdf,image/* (default: all)')
+  .option('--download [dir]', 'Save images and other binary responses (default dir: data/files)')
   .action(async (options) => {
     try {
       console.log(chalk.blue.bold('\n🕷️  Linux Web Crawler Starting...\n'));
+
+      if (!options.url && !options.resume) {
+        throw new Error('Please provide either --url or --resume');
+      }
       
       // Parse authentication options
       let auth = null;
@@ -81,7 +136,36 @@ program
                 type: 'form',
                 credentials: {
                   loginUrl: options.loginUrl,
-                  loginData: JSON.parse(options.loginData)
+                  loginData: JSON.parse(options.loginData),
+                  formSelector: options.loginForm || null,
+                  loggedOutSelector: options.loggedOutSelector || null
+                }
+              };
+            }
+            break;
+          case 'oauth2':
+            if (options.oauthTokenUrl && (options.oauthClientId || options.oauthRefreshToken)) {
+              auth = {
+                type: 'oauth2',
+                credentials: {
+                  tokenUrl: options.oauthTokenUrl,
+                  clientId: options.oauthClientId || null,
+                  clientSecret: options.oauthClientSecret || null,
+                  scope: options.oauthScope || null,
+                  refreshToken: options.oauthRefreshToken || null,
+                  grantType: options.oauthGrant || null
+                }
+              };
+            }
+            break;
+          case 'apikey':
+            if (options.apiKey) {
+              auth = {
+                type: 'apikey',
+                credentials: {
+                  key: options.apiKey,
+                  header: options.apiKeyHeader,
+                  param: options.apiKeyParam || null
                 }
               };
             }
@@ -89,42 +173,133 @@ program
         }
       }
       
-      const crawler = new WebCrawler({
+      let crawlerOptions = {
         maxDepth: parseInt(options.depth),
         maxPages: parseInt(options.maxPages),
         timeout: parseInt(options.timeout),
         retries: parseInt(options.retries),
         concurrent: parseInt(options.concurrent),
         delay: parseInt(options.delay),
+        perHostConcurrency: parseInt(options.perHostConcurrency),
+        rateLimit: options.rateLimit
+          ? { requests: parseInt(options.rateLimit), window: parseInt(options.rateLimitWindow) }
+          : undefined,
         respectRobots: options.robots,
         userAgent: options.userAgent,
         proxy: options.proxy,
+        proxyFile: options.proxyFile,
+        proxyRotation: options.proxyRotation,
+        proxyMaxFailures: parseInt(options.proxyMaxFailures),
+        screenshots: Boolean(options.screenshots),
+        browserRecycleAfter: parseInt(options.browserRecycleAfter),
+        actionScript: options.actions ? path.resolve(options.actions) : null,
+        autoScroll: Boolean(options.scroll),
+        scrollItemSelector: options.scrollItems || null,
+        scrollMaxItems: parseInt(options.scrollMaxItems) || 0,
+        scrollTimeLimit: parseInt(options.scrollTimeLimit),
+        paginate: Boolean(options.paginate),
+        nextSelector: typeof options.paginate === 'string' ? options.paginate : null,
+        maxPaginationPages: parseInt(options.maxPaginationPages),
+        stateDir: options.stateDir || null,
+        checkpointInterval: parseInt(options.checkpointInterval),
+        domainPolicy: options.scope,
+        include: options.include || [],
+        exclude: options.exclude || [],
+        allowedSchemes: options.schemes.split(',').map(scheme => scheme.trim()).filter(Boolean),
+        stripParams: options.stripParams ? options.stripParams.split(',').map(param => param.trim()).filter(Boolean) : [],
+        extractionSchema: options.schema ? path.resolve(options.schema) : null,
+        mainContent: options.mainContent || false,
+        markdown: options.markdown || false,
+        graph: options.graph || [],
+        maxBodySizeMb: parseFloat(options.maxBodySize),
+        contentTypes: options.contentTypes ? options.contentTypes.split(',').map(type => type.trim()).filter(Boolean) : [],
+        downloadDir: options.download === true ? path.join(__dirname, '../data/files') : options.download || null,
+        output: options.output,
+        warcMaxSizeMb: parseInt(options.warcMaxSize),
+        cacheDir: options.cache === true ? path.join(__dirname, '../data/http-cache') : options.cache || null,
         auth: auth
-      });
+      };
+      let url = options.url;
+      let method = options.method;
+      let resumeState = null;
+
+      if (options.resume) {
+        // The resumed crawl keeps its original settings; only credentials come from this invocation
+        const { state } = await CrawlCheckpoint.load(options.resume);
+        crawlerOptions = { ...crawlerOptions, ...state.options, stateDir: options.resume, auth: auth };
+        url = state.url;
+        method = state.method;
+      }
+
+      const crawler = new WebCrawler(crawlerOptions);
+      if (options.resume) {
+        resumeState = await crawler.loadCheckpoint(options.resume);
+      }
 
       console.log(chalk.cyan('Configuration:'));
-      console.log(`  URL: ${options.url}`);
-      console.log(`  Method: ${options.method}`);
-      console.log(`  Max Depth: ${options.depth}`);
-      console.log(`  Max Pages: ${options.maxPages}`);
-      console.log(`  Timeout: ${options.timeout}ms`);
-      console.log(`  Delay: ${options.delay}ms`);
-      console.log(`  Respect Robots.txt: ${options.robots}`);
+      console.log(`  URL: ${url}`);
+      console.log(`  Method: ${method}`);
+      console.log(`  Output: ${crawler.options.output.join(', ')}`);
+      console.log(`  Max Depth: ${crawler.options.maxDepth}`);
+      console.log(`  Max Pages: ${crawler.options.maxPages}`);
+      console.log(`  Timeout: ${crawler.options.timeout}ms`);
+      console.log(`  Delay: ${crawler.options.delay}ms per host`);
+      console.log(`  Per-host Concurrency: ${crawler.options.perHostConcurrency}`);
+      if (crawler.options.rateLimit) {
+        console.log(`  Rate Limit: ${crawler.options.rateLimit.requests} requests / ${crawler.options.rateLimit.window}ms per host`);
+      }
+      console.log(`  Respect Robots.txt: ${crawler.options.respectRobots}`);
+      console.log(`  Scope: ${crawler.options.domainPolicy}`);
+      if (crawler.proxyPool.enabled) {
+        console.log(`  Proxies: ${crawler.proxyPool.proxies.length} (rotation per ${crawler.options.proxyRotation})`);
+      }
+      if (crawler.httpCache) {
+        console.log(`  HTTP Cache: ${crawler.httpCache.cacheDir}`);
+      }
+      if (crawler.contentExtractor) {
+        console.log(`  Main Content: ${crawler.options.markdown ? 'text + markdown' : 'text'}`);
+      }
+      console.log(`  Max Body Size: ${crawler.options.maxBodySizeMb} MB`);
+      if (crawler.contentHandlers.allowedTypes.length > 0) {
+        console.log(`  Content Types: ${crawler.contentHandlers.allowedTypes.join(', ')}`);
+      }
+      if (crawler.options.stateDir) {
+        console.log(`  State Directory: ${crawler.options.stateDir}`);
+      }
+      if (resumeState) {
+        console.log(`  Resuming: ${resumeState.visited.length} visited, ${resumeState.frontier.queue.length} queued`);
+      }
       console.log('');
 
+      // Save a final checkpoint on Ctrl-C so the crawl can be resumed
+      process.once('SIGINT', async () => {
+        const statePath = await crawler.saveCheckpoint();
+        await crawler.closeSinks();
+        if (statePath) {
+          console.log(chalk.yellow(`\n⏸️  Crawl interrupted. Resume with: --resume "${crawler.options.stateDir}"`));
+        }
+        process.exit(130);
+      });
+
       let result;
       const startTime = Date.now();
 
-      switch (options.method) {
+      const crawlOptions = {
+        depth: crawler.options.maxDepth,
+        sitemap: options.sitemap,
+        resume: resumeState ? resumeState.frontier : null
+      };
+
+      switch (method) {
         case 'puppeteer':
-          result = await crawler.crawlWithPuppeteer(options.url);
+          result = await crawler.crawlWithPuppeteer(url, crawlOptions);
           break;
         case 'curl':
-          result = await crawler.crawlWithCurl(options.url);
+          result = await crawler.crawlWithCurl(url, crawlOptions);
           break;
         case 'axios':
         default:
-          result = await crawler.crawlWithAxios(options.url, { depth: parseInt(options.depth) });
+          result = await crawler.crawlWithAxios(url, crawlOptions);
           break;
       }
 
@@ -140,15 +315,47 @@ program
       console.log(`  Total Pages: ${stats.totalPages}`);
       console.log(`  Total Links: ${stats.totalLinks}`);
       console.log(`  Total Images: ${stats.totalImages}`);
+      console.log(`  Skipped URLs: ${stats.skippedUrls}`);
+      if (stats.cache) {
+        console.log(`  Unchanged Pages: ${stats.unchangedPages} (${stats.cache.revalidated} answered with 304 Not Modified)`);
+      }
+      if (crawler.extractor) {
+        console.log(`  Extracted Records: ${stats.totalRecords}`);
+      }
       console.log(`  Duration: ${duration.toFixed(2)}s`);
       console.log('');
       console.log(chalk.cyan('Files saved:'));
-      console.log(`  JSON: ${savedFiles.jsonPath}`);
-      console.log(`  CSV: ${savedFiles.csvPath}`);
+      if (savedFiles.jsonPath) {
+        console.log(`  JSON: ${savedFiles.jsonPath}`);
+      }
+      if (savedFiles.csvPath) {
+        console.log(`  CSV: ${savedFiles.csvPath}`);
+      }
+      if (savedFiles.ndjsonPath) {
+        console.log(`  NDJSON: ${savedFiles.ndjsonPath}`);
+      }
+      if (savedFiles.sqlitePath) {
+        console.log(`  SQLite: ${savedFiles.sqlitePath}`);
+      }
+      for (const warcPath of savedFiles.warcPaths || []) {
+        console.log(`  WARC: ${warcPath}`);
+      }
+      if (savedFiles.skippedPath) {
+        console.log(`  Skipped: ${savedFiles.skippedPath}`);
+      }
+      if (savedFiles.recordsPath) {
+        console.log(`  Records: ${savedFiles.recordsPath}`);
+      }
+      for (const [format, graphPath] of Object.entries(savedFiles.graphPaths)) {
+        console.log(`  Graph (${format.toUpperCase()}): ${graphPath}`);
+      }
       console.log('');
 
       // Generate summary report
-      await generateReport(crawler.crawledData, stats, duration);
+      const audit = options.audit
+        ? new SeoAudit().audit(crawler.crawledData, crawler.canonicalize(url) || url)
+        : null;
+      await generateReport(crawler.crawledData, stats, duration, audit);
 
     } catch (error) {
       console.error(chalk.red.bold('\n❌ Crawling Failed!'));
@@ -157,6 +364,318 @@ program
     }
   });
 
+program
+  .command('sitemap')
+  .description('List the URLs published in a site\'s sitemaps')
+  .requiredOption('-u, --url <url>', 'Site URL')
+  .option('-t, --timeout <number>', 'Request timeout in milliseconds', '30000')
+  .option('--user-agent <agent>', 'Custom user agent')
+  .option('--json', 'Print entries as JSON with lastmod and priority')
+  .action(async (options) => {
+    try {
+      const crawler = new WebCrawler({
+        timeout: parseInt(options.timeout),
+        userAgent: options.userAgent,
+        delay: 200
+      });
+      // Keep stdout clean for piping
+      crawler.logger.transports.forEach(transport => {
+        if (transport instanceof winston.transports.Console) transport.silent = true;
+      });
+
+      const entries = await crawler.discoverSitemapUrls(options.url);
+
+      if (options.json) {
+        console.log(JSON.stringify(entries, null, 2));
+      } else {
+        for (const entry of entries) {
+          console.log(entry.url);
+        }
+        console.error(chalk.cyan(`\n${entries.length} URLs found`));
+      }
+    } catch (error) {
+      console.error(chalk.red.bold('\n❌ Sitemap discovery failed!'));
+      console.error(chalk.red(error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('warc-index')
+  .description('Build a CDX index of the responses in WARC files')
+  .argument('<files...>', 'WARC files (.warc.gz, one gzip member per record)')
+  .option('-o, --output <file>', 'Write the index to a file instead of stdout')
+  .action(async (files, options) => {
+    try {
+      const cdx = await WarcReader.index(files);
+
+      if (options.output) {
+        await fs.writeFile(options.output, cdx);
+        console.error(chalk.cyan(`${cdx.split('\n').length - 2} records indexed: ${options.output}`));
+      } else {
+        process.stdout.write(cdx);
+      }
+    } catch (error) {
+      console.error(chalk.red.bold('\n❌ WARC indexing failed!'));
+      console.error(chalk.red(error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('check-links')
+  .description('Crawl a site and report broken, redirected and timed-out links')
+  .requiredOption('-u, --url <url>', 'Start URL')
+  .option('-d, --depth <number>', 'Maximum crawling depth', '2')
+  .option('-m, --max-pages <number>', 'Maximum pages to crawl', '50')
+  .option('-t, --timeout <number>', 'Request timeout in milliseconds', '15000')
+  .option('-c, --concurrent <number>', 'Concurrent page fetches while crawling', '5')
+  .option('--method <method>', 'Crawling method (axios|puppeteer|curl)', 'axios')
+  .option('--delay <number>', 'Minimum delay between crawl requests to the same host in milliseconds', '1000')
+  .option('--check-concurrency <number>', 'Links checked at the same time', '10')
+  .option('--per-host-concurrency <number>', 'Maximum concurrent link checks per host', '2')
+  .option('--no-external', 'Only check links inside the crawl scope')
+  .option('--no-robots', 'Ignore robots.txt while crawling')
+  .option('--user-agent <agent>', 'Custom user agent')
+  .option('--scope <policy>', 'Domain policy for crawled pages (host|domain|any)', 'host')
+  .option('--include <patterns...>', 'Only crawl URLs matching these globs or /regex/ patterns')
+  .option('--exclude <patterns...>', 'Never crawl URLs matching these globs or /regex/ patterns')
+  .action(async (options) => {
+    try {
+      console.log(chalk.blue.bold('\n🔗 Link Checker Starting...\n'));
+
+      const crawler = new WebCrawler({
+        maxDepth: parseInt(options.depth),
+        maxPages: parseInt(options.maxPages),
+        timeout: parseInt(options.timeout),
+        concurrent: parseInt(options.concurrent),
+        delay: parseInt(options.delay),
+        respectRobots: options.robots,
+        userAgent: options.userAgent,
+        domainPolicy: options.scope,
+        include: options.include || [],
+        exclude: options.exclude || [],
+        // Only the links of each page are needed
+        output: [],
+        screenshots: false
+      });
+
+      const startTime = Date.now();
+      const crawlOptions = { depth: crawler.options.maxDepth };
+      switch (options.method) {
+        case 'puppeteer':
+          await crawler.crawlWithPuppeteer(options.url, crawlOptions);
+          break;
+        case 'curl':
+          await crawler.crawlWithCurl(options.url, crawlOptions);
+          break;
+        case 'axios':
+        default:
+          await crawler.crawlWithAxios(options.url, crawlOptions);
+          break;
+      }
+
+      const spinner = ora('Checking links').start();
+      const checker = new LinkChecker(crawler, {
+        concurrency: parseInt(options.checkConcurrency),
+        perHostConcurrency: parseInt(options.perHostConcurrency),
+        external: options.external,
+        onProgress: (done, total, result) => {
+          spinner.text = `Checking links (${done}/${total}) ${result.url}`;
+        }
+      });
+      const results = await checker.check(crawler.canonicalize(options.url) || options.url, crawler.crawledData);
+      const summary = LinkChecker.summarize(results);
+      spinner.succeed(chalk.green(`Checked ${summary.checked} links`));
+
+      const report = await LinkChecker.saveReport(options.url, results, path.join(__dirname, '../data'));
+      const duration = (Date.now() - startTime) / 1000;
+
+      console.log(chalk.green.bold('\n✅ Link Check Completed!\n'));
+      console.log(chalk.yellow('Statistics:'));
+      console.log(`  Pages Crawled: ${crawler.crawledData.length}`);
+      console.log(`  Links Checked: ${summary.checked}`);
+      console.log(`  OK: ${summary.ok}`);
+      console.log(`  Redirected: ${summary.redirected}`);
+      console.log(`  Broken: ${summary.broken > 0 ? chalk.red(summary.broken) : 0}`);
+      console.log(`  Timed Out: ${summary.timeout}`);
+      console.log(`  Duration: ${duration.toFixed(2)}s`);
+      console.log('');
+      console.log(chalk.cyan('Files saved:'));
+      console.log(`  JSON: ${report.jsonPath}`);
+      console.log(`  CSV: ${report.csvPath}`);
+      console.log(`  Markdown: ${report.markdownPath}`);
+      console.log('');
+    } catch (error) {
+      console.error(chalk.red.bold('\n❌ Link check failed!'));
+      console.error(chalk.red(error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('audit')
+  .description('Crawl a site and report on-page SEO issues')
+  .requiredOption('-u, --url <url>', 'Start URL')
+  .option('-d, --depth <number>', 'Maximum crawling depth', '3')
+  .option('-m, --max-pages <number>', 'Maximum pages to crawl', '100')
+  .option('-t, --timeout <number>', 'Request timeout in milliseconds', '30000')
+  .option('-c, --concurrent <number>', 'Concurrent requests', '5')
+  .option('--method <method>', 'Crawling method (axios|puppeteer|curl)', 'axios')
+  .option('--delay <number>', 'Minimum delay between requests to the same host in milliseconds', '1000')
+  .option('--no-robots', 'Ignore robots.txt')
+  .option('--user-agent <agent>', 'Custom user agent')
+  .option('--sitemap', 'Also audit the URLs in the site\'s sitemaps (needed to find orphan pages)')
+  .option('--scope <policy>', 'Domain policy for followed links (host|domain|any)', 'host')
+  .option('--include <patterns...>', 'Only follow URLs matching these globs or /regex/ patterns')
+  .option('--exclude <patterns...>', 'Never follow URLs matching these globs or /regex/ patterns')
+  .action(async (options) => {
+    try {
+      console.log(chalk.blue.bold('\n🔎 SEO Audit Starting...\n'));
+
+      const crawler = new WebCrawler({
+        maxDepth: parseInt(options.depth),
+        maxPages: parseInt(options.maxPages),
+        timeout: parseInt(options.timeout),
+        concurrent: parseInt(options.concurrent),
+        delay: parseInt(options.delay),
+        respectRobots: options.robots,
+        userAgent: options.userAgent,
+        domainPolicy: options.scope,
+        include: options.include || [],
+        exclude: options.exclude || [],
+        // The audit only needs the page summaries
+        output: [],
+        screenshots: false
+      });
+
+      const crawlOptions = { depth: crawler.options.maxDepth, sitemap: options.sitemap };
+      switch (options.method) {
+        case 'puppeteer':
+          await crawler.crawlWithPuppeteer(options.url, crawlOptions);
+          break;
+        case 'curl':
+          await crawler.crawlWithCurl(options.url, crawlOptions);
+          break;
+        case 'axios':
+        default:
+          await crawler.crawlWithAxios(options.url, crawlOptions);
+          break;
+      }
+
+      const report = new SeoAudit().audit(crawler.crawledData, crawler.canonicalize(options.url) || options.url);
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const jsonPath = path.join(__dirname, '../data', `audit-${timestamp}.json`);
+      const markdownPath = path.join(__dirname, '../data', `audit-${timestamp}.md`);
+      await fs.writeFile(jsonPath, JSON.stringify({ url: options.url, auditedAt: new Date().toISOString(), ...report }, null, 2));
+      await fs.writeFile(markdownPath, SeoAudit.format(report));
+
+      console.log(chalk.green.bold('\n✅ Audit Completed!\n'));
+      console.log(chalk.yellow('Issues:'));
+      console.log(`  Pages Audited: ${report.summary.pages}`);
+      console.log(`  Errors: ${report.summary.errors > 0 ? chalk.red(report.summary.errors) : 0}`);
+      console.log(`  Warnings: ${report.summary.warnings}`);
+      console.log(`  Notices: ${report.summary.notices}`);
+      for (const issue of report.issues) {
+        console.log(`  [${issue.severity}] ${issue.title}: ${issue.count}`);
+      }
+      console.log('');
+      console.log(chalk.cyan('Files saved:'));
+      console.log(`  JSON: ${jsonPath}`);
+      console.log(`  Markdown: ${markdownPath}`);
+      console.log('');
+    } catch (error) {
+      console.error(chalk.red.bold('\n❌ Audit failed!'));
+      console.error(chalk.red(error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('mirror')
+  .description('Save a browsable offline copy of a site, with its assets and links rewritten to local paths')
+  .requiredOption('-u, --url <url>', 'Start URL')
+  .option('-o, --output-dir <dir>', 'Directory for the mirror', 'mirror')
+  .option('-d, --depth <number>', 'Maximum crawling depth', '3')
+  .option('-m, --max-pages <number>', 'Maximum pages to crawl', '100')
+  .option('-t, --timeout <number>', 'Request timeout in milliseconds', '30000')
+  .option('-c, --concurrent <number>', 'Concurrent requests', '5')
+  .option('--method <method>', 'Crawling method (axios|puppeteer|curl)', 'axios')
+  .option('--delay <number>', 'Minimum delay between requests to the same host in milliseconds', '1000')
+  .option('--max-body-size <mb>', 'Skip pages and assets larger than this many megabytes', '10')
+  .option('--no-external', 'Only download assets inside the crawl scope')
+  .option('--no-robots', 'Ignore robots.txt while crawling')
+  .option('--user-agent <agent>', 'Custom user agent')
+  .option('--scope <policy>', 'Domain policy for mirrored pages (host|domain|any)', 'host')
+  .option('--include <patterns...>', 'Only mirror URLs matching these globs or /regex/ patterns')
+  .option('--exclude <patterns...>', 'Never mirror URLs matching these globs or /regex/ patterns')
+  .action(async (options) => {
+    try {
+      console.log(chalk.blue.bold('\n🪞 Site Mirror Starting...\n'));
+
+      const crawler = new WebCrawler({
+        maxDepth: parseInt(options.depth),
+        maxPages: parseInt(options.maxPages),
+        timeout: parseInt(options.timeout),
+        concurrent: parseInt(options.concurrent),
+        delay: parseInt(options.delay),
+        maxBodySizeMb: parseFloat(options.maxBodySize),
+        respectRobots: options.robots,
+        userAgent: options.userAgent,
+        domainPolicy: options.scope,
+        include: options.include || [],
+        exclude: options.exclude || [],
+        // Keeps each page's HTML in memory for the mirror; no crawl files are written
+        output: ['json'],
+        screenshots: false
+      });
+
+      const startTime = Date.now();
+      const crawlOptions = { depth: crawler.options.maxDepth };
+      switch (options.method) {
+        case 'puppeteer':
+          await crawler.crawlWithPuppeteer(options.url, crawlOptions);
+          break;
+        case 'curl':
+          await crawler.crawlWithCurl(options.url, crawlOptions);
+          break;
+        case 'axios':
+        default:
+          await crawler.crawlWithAxios(options.url, crawlOptions);
+          break;
+      }
+
+      const spinner = ora('Saving pages').start();
+      const mirror = new SiteMirror(crawler, {
+        outputDir: options.outputDir,
+        external: options.external,
+        onProgress: (done, total, url) => {
+          spinner.text = `Saving pages (${done}/${total}) ${url}`;
+        }
+      });
+      const result = await mirror.save(crawler.canonicalize(options.url) || options.url, crawler.crawledData);
+      spinner.succeed(chalk.green(`Mirrored ${result.stats.pages} pages to ${result.dir}`));
+      const duration = (Date.now() - startTime) / 1000;
+
+      console.log(chalk.green.bold('\n✅ Mirror Completed!\n'));
+      console.log(chalk.yellow('Statistics:'));
+      console.log(`  Pages Saved: ${result.stats.pages}`);
+      console.log(`  Assets Downloaded: ${result.stats.downloaded}`);
+      console.log(`  Assets Unchanged: ${result.stats.unchanged}`);
+      console.log(`  Assets Failed: ${result.stats.failed > 0 ? chalk.red(result.stats.failed) : 0}`);
+      console.log(`  Duration: ${duration.toFixed(2)}s`);
+      console.log('');
+      console.log(chalk.cyan('Files saved:'));
+      console.log(`  Mirror: ${result.dir}`);
+      if (result.indexPath) console.log(`  Start Page: ${result.indexPath}`);
+      console.log('');
+    } catch (error) {
+      console.error(chalk.red.bold('\n❌ Mirror failed!'));
+      console.error(chalk.red(error.message));
+      process.exit(1);
+    }
+  });
+
 program
   .command('test')
   .description('Test crawler with sample websites')
@@ -224,7 +743,7 @@ program
     await setupCronJob(options);
   });
 
-async function generateReport(data, stats, duration) {
+async function generateReport(data, stats, duration, audit = null) {
   const reportPath = path.join(__dirname, '../data', `report-${Date.now()}.md`);
   
   const report = `# Web Crawling Report
@@ -252,7 +771,7 @@ ${data.map(page => `
 ${data.slice(0, 5).map(page => `
 - [${page.title}](${page.url}) - ${page.links.length} links, ${page.images.length} images
 `).join('\n')}
-`;
+${audit ? `\n${SeoAudit.format(audit, 2)}` : ''}`;
 
   await fs.writeFile(reportPath, report);
   console.log(chalk.cyan(`📊 Report generated: ${reportPath}`));
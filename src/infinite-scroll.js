@@ -0,0 +1,60 @@
+// Scrolls a Puppeteer page to the bottom until it stops growing, so lazily loaded items are in the DOM
+class InfiniteScroller {
+    constructor(options = {}) {
+        this.itemSelector = options.itemSelector || null; // counts loaded items; page height is used without it
+        this.maxItems = options.maxItems || 0; // 0: no item limit
+        this.timeLimit = options.timeLimit || 30000;
+        this.idleTime = options.idleTime || 500; // network quiet time that ends a round
+        this.maxIdleRounds = options.maxIdleRounds || 2; // rounds without new content before giving up
+
+        if (this.maxItems && !this.itemSelector) {
+            throw new Error('An item limit for infinite scroll needs an item selector');
+        }
+    }
+
+    // Resolves with { rounds, items, height, stoppedBy, durationMs }; stoppedBy is
+    // 'no-new-content', 'max-items' or 'time-limit'
+    async scroll(page) {
+        const startTime = Date.now();
+        let last = await this.measure(page);
+        let rounds = 0;
+        let idleRounds = 0;
+        let stoppedBy = 'no-new-content';
+
+        while (idleRounds < this.maxIdleRounds) {
+            if (this.maxItems && last.items >= this.maxItems) {
+                stoppedBy = 'max-items';
+                break;
+            }
+            const remaining = this.timeLimit - (Date.now() - startTime);
+            if (remaining <= 0) {
+                stoppedBy = 'time-limit';
+                break;
+            }
+
+            await page.evaluate(() => window.scrollTo(0, document.scrollingElement.scrollHeight));
+            rounds++;
+            // Pages that keep polling never go idle; the timeout bounds each round instead
+            await page.waitForNetworkIdle({
+                idleTime: this.idleTime,
+                timeout: Math.max(1, Math.min(this.idleTime + 5000, remaining))
+            }).catch(() => {});
+
+            const current = await this.measure(page);
+            const grew = current.height > last.height || (this.itemSelector && current.items > last.items);
+            idleRounds = grew ? 0 : idleRounds + 1;
+            last = current;
+        }
+
+        return { rounds, items: last.items, height: last.height, stoppedBy, durationMs: Date.now() - startTime };
+    }
+
+    measure(page) {
+        return page.evaluate(selector => ({
+            height: document.scrollingElement.scrollHeight,
+            items: selector ? document.querySelectorAll(selector).length : null
+        }), this.itemSelector);
+    }
+}
+
+module.exports = InfiniteScroller;
@@ -0,0 +1,264 @@
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+const PolitenessScheduler = require('./politeness');
+const CrawlScope = require('./scope');
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+const RESULT_TITLES = { broken: 'Broken', redirected: 'Redirected', timeout: 'Timed out' };
+
+// Validates every link found by a crawl: HEAD first, GET when HEAD is refused or fails
+class LinkChecker {
+    constructor(crawler, options = {}) {
+        this.crawler = crawler;
+        this.concurrency = Math.max(1, options.concurrency || 10);
+        this.timeout = options.timeout || crawler.options.timeout;
+        this.maxRedirects = options.maxRedirects ?? 5;
+        this.external = options.external !== false;
+        this.politeness = new PolitenessScheduler({
+            minInterval: options.delay || 0,
+            maxPerHost: options.perHostConcurrency || 2
+        });
+        this.onProgress = options.onProgress || (() => {});
+    }
+
+    // Map of url -> { url, sources: [{ page, text }] } for every http(s) link on the crawled pages
+    collect(startUrl, pages) {
+        const targets = new Map();
+        const add = (href, source) => {
+            // Fragments are never sent, so /page#a and /page#b are one request
+            const parsed = new URL(href);
+            if (!/^https?:$/.test(parsed.protocol)) return;
+            parsed.hash = '';
+            const url = parsed.href;
+            if (!targets.has(url)) targets.set(url, { url, sources: [] });
+            if (!source) return;
+
+            const { sources } = targets.get(url);
+            if (!sources.some(existing => existing.page === source.page && existing.text === source.text)) {
+                sources.push(source);
+            }
+        };
+
+        // The start URL is checked even when the crawl could not fetch it
+        add(startUrl, null);
+        for (const page of pages) {
+            for (const link of page.links || []) {
+                try {
+                    // The href as written: link.url is canonicalized for crawl dedupe and may not be
+                    // the URL the page links to
+                    add(link.href || link.url, { page: page.url, text: (link.text || '').replace(/\s+/g, ' ').trim() });
+                } catch (error) {
+                    // not a URL the checker can request
+                }
+            }
+        }
+        return targets;
+    }
+
+    // Resolves with one result per checked URL, in the order the links were found
+    async check(startUrl, pages) {
+        const scope = new CrawlScope(startUrl, this.crawler.options);
+        const targets = [...this.collect(startUrl, pages).values()]
+            .map(target => ({ ...target, internal: !scope.check(target.url) }))
+            .filter(target => this.external || target.internal);
+
+        const results = new Array(targets.length);
+        let next = 0;
+        let done = 0;
+        const worker = async () => {
+            while (next < targets.length) {
+                const index = next++;
+                results[index] = await this.checkTarget(targets[index], scope);
+                this.onProgress(++done, targets.length, results[index]);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, targets.length) }, worker));
+        return results;
+    }
+
+    // Follows redirects by hand so every hop is reported, and so each hop waits for its own host
+    async checkTarget(target, scope) {
+        const result = {
+            url: target.url,
+            result: 'ok',
+            status: null,
+            finalUrl: target.url,
+            method: null,
+            redirects: [],
+            error: null,
+            internal: target.internal,
+            sources: target.sources
+        };
+
+        try {
+            let current = target.url;
+            for (;;) {
+                const { status, headers, method } = await this.probe(current, !scope.check(current));
+                result.status = status;
+                result.method = method;
+                result.finalUrl = current;
+
+                if (status < 300 || status >= 400 || !headers.location) break;
+
+                const location = new URL(headers.location, current).href;
+                result.redirects.push({ url: current, status, location });
+                if (result.redirects.some(hop => hop.url === location)) {
+                    throw new Error(`Redirect loop at ${location}`);
+                }
+                if (result.redirects.length > this.maxRedirects) {
+                    throw new Error(`More than ${this.maxRedirects} redirects`);
+                }
+                current = location;
+            }
+
+            if (result.status >= 400) {
+                result.result = 'broken';
+            } else if (result.redirects.length > 0) {
+                result.result = 'redirected';
+            }
+        } catch (error) {
+            result.result = TIMEOUT_CODES.includes(error.code) ? 'timeout' : 'broken';
+            result.error = error.message;
+        }
+
+        return result;
+    }
+
+    // Many servers mishandle HEAD, so any error status or non-timeout failure is retried with GET
+    async probe(url, internal) {
+        try {
+            const response = await this.request('HEAD', url, internal);
+            if (response.status < 400) return { ...response, method: 'HEAD' };
+        } catch (error) {
+            if (TIMEOUT_CODES.includes(error.code)) throw error;
+        }
+        return { ...(await this.request('GET', url, internal)), method: 'GET' };
+    }
+
+    async request(method, url, internal) {
+        // Credentials only go to hosts inside the crawl scope
+        const authHeaders = internal ? await this.crawler.authenticate(url) : null;
+        const release = await this.politeness.acquire(url);
+        try {
+            const proxyConfig = this.crawler.proxyPool.axiosConfig(url);
+            const response = await axios({
+                method,
+                url: internal ? this.crawler.authorizeUrl(url) : url,
+                headers: {
+                    'User-Agent': this.crawler.options.userAgent,
+                    'Accept': '*/*',
+                    ...(authHeaders || {})
+                },
+                timeout: this.timeout,
+                maxRedirects: 0,
+                validateStatus: () => true,
+                // Only the status matters; the body is dropped unread
+                responseType: 'stream',
+                ...proxyConfig.config
+            });
+            response.data.destroy();
+            return { status: response.status, headers: response.headers };
+        } finally {
+            release();
+        }
+    }
+
+    static summarize(results) {
+        const summary = { checked: results.length, ok: 0, redirected: 0, broken: 0, timeout: 0 };
+        for (const result of results) {
+            summary[result.result]++;
+        }
+        return summary;
+    }
+
+    // Writes the broken, redirected and timed-out links as JSON, CSV and Markdown
+    static async saveReport(startUrl, results, dir, timestamp = new Date().toISOString().replace(/[:.]/g, '-')) {
+        const summary = LinkChecker.summarize(results);
+        const problems = results.filter(result => result.result !== 'ok');
+        const base = path.join(dir, `links-report-${timestamp}`);
+
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(`${base}.json`, JSON.stringify({
+            startUrl,
+            checkedAt: new Date().toISOString(),
+            summary,
+            links: problems
+        }, null, 2));
+
+        // One row per link and source page, so the CSV can be filtered by either
+        const csvWriter = createCsvWriter({
+            path: `${base}.csv`,
+            header: [
+                { id: 'result', title: 'Result' },
+                { id: 'url', title: 'URL' },
+                { id: 'status', title: 'Status' },
+                { id: 'finalUrl', title: 'Final URL' },
+                { id: 'error', title: 'Error' },
+                { id: 'page', title: 'Source Page' },
+                { id: 'text', title: 'Anchor Text' }
+            ]
+        });
+        await csvWriter.writeRecords(problems.flatMap(problem => {
+            const row = {
+                result: problem.result,
+                url: problem.url,
+                status: problem.status ?? '',
+                finalUrl: problem.finalUrl !== problem.url ? problem.finalUrl : '',
+                error: problem.error || ''
+            };
+            return problem.sources.length > 0
+                ? problem.sources.map(source => ({ ...row, ...source }))
+                : [{ ...row, page: '', text: '' }];
+        }));
+
+        await fs.writeFile(`${base}.md`, LinkChecker.formatMarkdown(startUrl, summary, problems));
+
+        return { jsonPath: `${base}.json`, csvPath: `${base}.csv`, markdownPath: `${base}.md` };
+    }
+
+    static formatMarkdown(startUrl, summary, problems) {
+        const lines = [
+            '# Link Check Report',
+            '',
+            `**Start URL:** ${startUrl}`,
+            `**Checked:** ${new Date().toISOString()}`,
+            '',
+            '## Summary',
+            `- **Links Checked:** ${summary.checked}`,
+            `- **OK:** ${summary.ok}`,
+            `- **Redirected:** ${summary.redirected}`,
+            `- **Broken:** ${summary.broken}`,
+            `- **Timed Out:** ${summary.timeout}`
+        ];
+
+        for (const [result, title] of Object.entries(RESULT_TITLES)) {
+            const group = problems.filter(problem => problem.result === result);
+            if (group.length === 0) continue;
+
+            lines.push('', `## ${title} (${group.length})`);
+            for (const problem of group) {
+                // e.g. "301 → 302 → 200 (https://example.com/new)"
+                const statuses = problem.redirects.map(hop => hop.status);
+                const lastHop = problem.redirects[problem.redirects.length - 1];
+                if (problem.status && (!lastHop || lastHop.url !== problem.finalUrl)) statuses.push(problem.status);
+                const detail = [
+                    statuses.join(' → '),
+                    problem.redirects.length > 0 && `(${problem.finalUrl})`,
+                    problem.error
+                ].filter(Boolean).join(' ');
+
+                lines.push('', `### ${problem.url}`, '', `**Status:** ${detail || 'no response'}`);
+                for (const source of problem.sources) {
+                    lines.push(`- ${source.page}${source.text ? ` — "${source.text}"` : ''}`);
+                }
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = LinkChecker;
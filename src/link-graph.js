@@ -0,0 +1,195 @@
+const DAMPING = 0.85;
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-8;
+
+// Directed graph of crawled pages and the internal links between them
+class LinkGraph {
+    // pages: crawled page data; startUrl: where click depth is measured from
+    constructor(pages, startUrl = pages[0]?.url) {
+        this.nodes = new Map(); // url -> { url, title, statusCode, depth }
+        this.edges = new Map(); // source url -> Map(target url -> { anchors, count })
+        this.startUrl = startUrl;
+
+        // A link counts as internal when it reaches a crawled page under any of its URLs
+        const aliases = new Map();
+        for (const page of pages) {
+            this.nodes.set(page.url, {
+                url: page.url,
+                title: page.title || '',
+                statusCode: page.statusCode ?? null,
+                depth: page.depth ?? null
+            });
+            this.edges.set(page.url, new Map());
+            for (const alias of [page.url, page.canonicalUrl, page.finalUrl]) {
+                if (alias && !aliases.has(alias)) aliases.set(alias, page.url);
+            }
+        }
+
+        for (const page of pages) {
+            const targets = this.edges.get(page.url);
+            for (const link of page.links || []) {
+                const target = aliases.get(link.url);
+                if (!target || target === page.url) continue;
+
+                if (!targets.has(target)) targets.set(target, { anchors: [], count: 0 });
+                const edge = targets.get(target);
+                edge.count++;
+                const anchor = (link.text || '').replace(/\s+/g, ' ').trim();
+                if (anchor && !edge.anchors.includes(anchor)) edge.anchors.push(anchor);
+            }
+        }
+
+        this.metrics = this.computeMetrics();
+    }
+
+    get edgeCount() {
+        let count = 0;
+        for (const targets of this.edges.values()) count += targets.size;
+        return count;
+    }
+
+    // url -> { inDegree, outDegree, pageRank, clickDepth }
+    computeMetrics() {
+        const metrics = new Map();
+        for (const url of this.nodes.keys()) {
+            metrics.set(url, { inDegree: 0, outDegree: this.edges.get(url).size, pageRank: 0, clickDepth: null });
+        }
+        for (const targets of this.edges.values()) {
+            for (const target of targets.keys()) metrics.get(target).inDegree++;
+        }
+
+        for (const [url, rank] of this.pageRank()) metrics.get(url).pageRank = rank;
+        for (const [url, clickDepth] of this.clickDepths()) metrics.get(url).clickDepth = clickDepth;
+        return metrics;
+    }
+
+    // Power iteration; pages without outbound links spread their rank over every page
+    pageRank() {
+        const urls = [...this.nodes.keys()];
+        const count = urls.length;
+        let ranks = new Map(urls.map(url => [url, 1 / count]));
+
+        for (let iteration = 0; iteration < MAX_ITERATIONS && count > 0; iteration++) {
+            let dangling = 0;
+            for (const url of urls) {
+                if (this.edges.get(url).size === 0) dangling += ranks.get(url);
+            }
+
+            const next = new Map(urls.map(url => [url, (1 - DAMPING) / count + DAMPING * dangling / count]));
+            for (const url of urls) {
+                const targets = this.edges.get(url);
+                for (const target of targets.keys()) {
+                    next.set(target, next.get(target) + DAMPING * ranks.get(url) / targets.size);
+                }
+            }
+
+            const delta = urls.reduce((sum, url) => sum + Math.abs(next.get(url) - ranks.get(url)), 0);
+            ranks = next;
+            if (delta < TOLERANCE) break;
+        }
+        return ranks;
+    }
+
+    // Fewest clicks from the start page; pages it cannot reach (e.g. sitemap-only) are left out
+    clickDepths() {
+        const depths = new Map();
+        if (!this.nodes.has(this.startUrl)) return depths;
+
+        depths.set(this.startUrl, 0);
+        const queue = [this.startUrl];
+        while (queue.length > 0) {
+            const url = queue.shift();
+            for (const target of this.edges.get(url).keys()) {
+                if (depths.has(target)) continue;
+                depths.set(target, depths.get(url) + 1);
+                queue.push(target);
+            }
+        }
+        return depths;
+    }
+
+    nodeList() {
+        return [...this.nodes.values()].map(node => ({ ...node, ...this.metrics.get(node.url) }));
+    }
+
+    edgeList() {
+        const edges = [];
+        for (const [source, targets] of this.edges) {
+            for (const [target, edge] of targets) edges.push({ source, target, ...edge });
+        }
+        return edges;
+    }
+
+    // Nodes with their metrics, plus an adjacency list keyed by source URL
+    toJSON() {
+        const adjacency = {};
+        for (const [source, targets] of this.edges) {
+            adjacency[source] = [...targets].map(([target, edge]) => ({ target, ...edge }));
+        }
+        return {
+            startUrl: this.startUrl,
+            nodes: this.nodeList(),
+            adjacency
+        };
+    }
+
+    static escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            // Control characters are not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+    }
+
+    toGraphML() {
+        const x = LinkGraph.escapeXml;
+        const keys = [
+            ['url', 'node', 'string'], ['title', 'node', 'string'], ['statusCode', 'node', 'int'],
+            ['depth', 'node', 'int'], ['clickDepth', 'node', 'int'], ['inDegree', 'node', 'int'],
+            ['outDegree', 'node', 'int'], ['pageRank', 'node', 'double'],
+            ['anchors', 'edge', 'string'], ['count', 'edge', 'int']
+        ];
+        const ids = new Map([...this.nodes.keys()].map((url, index) => [url, `n${index}`]));
+        const data = (key, value) => (value === null || value === undefined
+            ? ''
+            : `\n      <data key="${key}">${x(value)}</data>`);
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+            ...keys.map(([name, domain, type]) => `  <key id="${name}" for="${domain}" attr.name="${name}" attr.type="${type}"/>`),
+            '  <graph id="crawl" edgedefault="directed">'
+        ];
+        for (const node of this.nodeList()) {
+            lines.push(`    <node id="${ids.get(node.url)}">${
+                ['url', 'title', 'statusCode', 'depth', 'clickDepth', 'inDegree', 'outDegree', 'pageRank']
+                    .map(key => data(key, node[key])).join('')
+            }\n    </node>`);
+        }
+        this.edgeList().forEach((edge, index) => {
+            lines.push(`    <edge id="e${index}" source="${ids.get(edge.source)}" target="${ids.get(edge.target)}">${
+                data('anchors', edge.anchors.join(' | '))}${data('count', edge.count)
+            }\n    </edge>`);
+        });
+        lines.push('  </graph>', '</graphml>');
+        return lines.join('\n') + '\n';
+    }
+
+    toDot() {
+        const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\s+/g, ' ')}"`;
+        const lines = ['digraph crawl {', '  node [shape=box];'];
+        for (const node of this.nodeList()) {
+            lines.push(`  ${quote(node.url)} [label=${quote(node.title || node.url)}, pagerank=${node.pageRank.toFixed(6)}];`);
+        }
+        for (const edge of this.edgeList()) {
+            const label = edge.anchors.join(' | ');
+            lines.push(`  ${quote(edge.source)} -> ${quote(edge.target)}${label ? ` [label=${quote(label)}]` : ''};`);
+        }
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = LinkGraph;
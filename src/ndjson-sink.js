@@ -0,0 +1,39 @@
+const fs = require('fs');
+
+// Appends one JSON line per page as soon as it is crawled
+class NdjsonSink {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.format = 'ndjson';
+        this.stream = null;
+        this.count = 0;
+        this.error = null;
+    }
+
+    write(page) {
+        if (!this.stream) {
+            // Append so a resumed crawl keeps adding to the same file
+            this.stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+            this.stream.on('error', error => {
+                this.error = error;
+            });
+        }
+        if (this.error) throw this.error;
+        this.stream.write(JSON.stringify(page) + '\n');
+        this.count++;
+    }
+
+    async close() {
+        if (!this.stream) return null;
+        const stream = this.stream;
+        this.stream = null;
+        if (this.error) throw this.error;
+        await new Promise((resolve, reject) => {
+            stream.once('error', reject);
+            stream.end(resolve);
+        });
+        return this.filePath;
+    }
+}
+
+module.exports = NdjsonSink;
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const CrawlScope = require('./scope');
+
+// Each action's main argument, so a step can be written { click: '#accept' }
+const ACTIONS = {
+    goto: 'url',
+    click: 'selector',
+    type: 'selector',
+    select: 'selector',
+    waitForSelector: 'selector',
+    waitForNetworkIdle: 'idleTime',
+    wait: 'ms',
+    evaluate: 'script',
+    screenshot: 'path'
+};
+
+const REQUIRED = {
+    goto: ['url'],
+    click: ['selector'],
+    type: ['selector', 'text'],
+    select: ['selector', 'value'],
+    waitForSelector: ['selector'],
+    wait: ['ms'],
+    evaluate: ['script']
+};
+
+class PageActions {
+    constructor(config, options = {}) {
+        this.scripts = PageActions.validate(config);
+        this.screenshotDir = options.screenshotDir || path.join(__dirname, '../screenshots');
+        this.logger = options.logger || console;
+    }
+
+    static fromFile(filePath, options) {
+        const raw = fs.readFileSync(filePath, 'utf8');
+        const extension = path.extname(filePath).toLowerCase();
+        const config = extension === '.yaml' || extension === '.yml' ? yaml.load(raw) : JSON.parse(raw);
+        return new PageActions(config, options);
+    }
+
+    static validate(config) {
+        const scripts = Array.isArray(config) ? config : config && config.scripts;
+        if (!Array.isArray(scripts) || scripts.length === 0) {
+            throw new Error('Action script needs a non-empty "scripts" array');
+        }
+
+        return scripts.map((script, index) => {
+            const name = script.name || `script${index + 1}`;
+            if (!Array.isArray(script.steps) || script.steps.length === 0) {
+                throw new Error(`Action script "${name}" needs a non-empty "steps" array`);
+            }
+            return {
+                name,
+                patterns: [].concat(script.match || '**').map(CrawlScope.compilePattern),
+                steps: script.steps.map((step, stepIndex) => PageActions.validateStep(step, `Action script "${name}" step ${stepIndex + 1}`))
+            };
+        });
+    }
+
+    static validateStep(step, location) {
+        if (!step || typeof step !== 'object') {
+            throw new Error(`${location} must be an object`);
+        }
+        const action = step.action || Object.keys(step).find(key => ACTIONS[key]);
+        if (!ACTIONS[action]) {
+            const problem = action ? `has unknown action "${action}"` : 'has no action';
+            throw new Error(`${location} ${problem} (expected ${Object.keys(ACTIONS).join('|')})`);
+        }
+
+        const validated = { ...step, action };
+        if (!step.action) {
+            validated[ACTIONS[action]] = step[action];
+            delete validated[action];
+        }
+        for (const field of REQUIRED[action] || []) {
+            if (validated[field] === undefined || validated[field] === null) {
+                throw new Error(`${location} (${action}) needs "${field}"`);
+            }
+        }
+        return validated;
+    }
+
+    // e.g. click "#accept", used when a step fails
+    static describe(step) {
+        const argument = step[ACTIONS[step.action]];
+        if (argument === undefined || typeof argument === 'boolean') return step.action;
+        const text = String(argument);
+        return `${step.action} "${text.length > 60 ? `${text.slice(0, 57)}...` : text}"`;
+    }
+
+    matching(url) {
+        return this.scripts.filter(script => script.patterns.some(pattern => pattern.test(url)));
+    }
+
+    // Runs every script matching url in order. Resolves with null when none matches, otherwise with
+    // { scripts, results, screenshots, skippedSteps }; a failing step rejects naming the script and step
+    // unless the step is marked optional
+    async run(page, url, context = {}) {
+        const scripts = this.matching(url);
+        if (scripts.length === 0) return null;
+
+        const outcome = { scripts: scripts.map(script => script.name), results: {}, screenshots: [], skippedSteps: [] };
+        for (const script of scripts) {
+            for (const [index, step] of script.steps.entries()) {
+                try {
+                    await this.runStep(page, step, outcome, { ...context, script: script.name, step: index + 1 });
+                } catch (error) {
+                    const failure = new Error(`Action script "${script.name}" failed at step ${index + 1} (${PageActions.describe(step)}): ${error.message}`);
+                    failure.script = script.name;
+                    failure.step = index + 1;
+                    failure.action = step.action;
+                    if (!step.optional) throw failure;
+
+                    this.logger.warn(`${failure.message}; optional step skipped`);
+                    outcome.skippedSteps.push({ script: script.name, step: index + 1, action: step.action, error: error.message });
+                }
+            }
+        }
+        return outcome;
+    }
+
+    async runStep(page, step, outcome, context) {
+        const timeout = step.timeout || context.timeout || 30000;
+
+        switch (step.action) {
+            case 'goto': {
+                const target = new URL(step.url, page.url()).href;
+                const options = { waitUntil: step.waitUntil || 'networkidle2', timeout };
+                const response = context.goto ? await context.goto(target, options) : await page.goto(target, options);
+                if (response && response.status() >= 400) {
+                    throw new Error(`${target} returned status ${response.status()}`);
+                }
+                return;
+            }
+            case 'click': {
+                await page.waitForSelector(step.selector, { visible: true, timeout });
+                if (step.waitForNavigation) {
+                    await Promise.all([
+                        page.waitForNavigation({ waitUntil: step.waitUntil || 'networkidle2', timeout }),
+                        page.click(step.selector)
+                    ]);
+                } else {
+                    await page.click(step.selector);
+                }
+                return;
+            }
+            case 'type':
+                await page.waitForSelector(step.selector, { visible: true, timeout });
+                if (step.clear) {
+                    await page.$eval(step.selector, element => {
+                        element.value = '';
+                    });
+                }
+                await page.type(step.selector, String(step.text), { delay: step.delay || 0 });
+                if (step.pressEnter) {
+                    await page.keyboard.press('Enter');
+                }
+                return;
+            case 'select': {
+                await page.waitForSelector(step.selector, { timeout });
+                const values = [].concat(step.value).map(String);
+                const selected = await page.select(step.selector, ...values);
+                if (selected.length === 0) {
+                    throw new Error(`no option with value ${values.join(', ')}`);
+                }
+                return;
+            }
+            case 'waitForSelector':
+                await page.waitForSelector(step.selector, { visible: Boolean(step.visible), hidden: Boolean(step.hidden), timeout });
+                return;
+            case 'waitForNetworkIdle':
+                await page.waitForNetworkIdle({ idleTime: typeof step.idleTime === 'number' ? step.idleTime : 500, timeout });
+                return;
+            case 'wait':
+                await page.waitForTimeout(step.ms);
+                return;
+            case 'evaluate': {
+                // The script is an expression evaluated in the page; wrap statements in an IIFE
+                const result = await page.evaluate(step.script);
+                if (step.as) outcome.results[step.as] = result;
+                return;
+            }
+            case 'screenshot': {
+                const file = typeof step.path === 'string'
+                    ? path.resolve(this.screenshotDir, step.path)
+                    : path.join(this.screenshotDir, `${Date.now()}-${context.script.replace(/[^a-z0-9]/gi, '_').toLowerCase()}-step${context.step}.png`);
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                if (step.selector) {
+                    const element = await page.waitForSelector(step.selector, { timeout });
+                    await element.screenshot({ path: file });
+                } else {
+                    await page.screenshot({ path: file, fullPage: step.fullPage !== false });
+                }
+                outcome.screenshots.push(file);
+                return;
+            }
+        }
+    }
+}
+
+module.exports = PageActions;
@@ -0,0 +1,126 @@
+const cheerio = require('cheerio');
+
+// Follows "next page" links from a listing page and groups the sequence into one result
+class Paginator {
+    constructor(options = {}) {
+        this.selector = options.selector || null; // null: rel=next links
+        this.maxPages = Math.max(1, options.maxPages || 10); // including the first page
+    }
+
+    // { url } for a next link, { click: true } for a matching element without an href (a
+    // script-driven "Next" button), or null on the last page
+    next(html, baseUrl) {
+        const $ = cheerio.load(html);
+        const $next = this.selector
+            ? $(this.selector).first()
+            : $('link[rel~="next"][href], a[rel~="next"][href]').first();
+        if ($next.length === 0 || $next.is('[disabled], [aria-disabled="true"]')) return null;
+
+        // The selector may match the link's wrapper, e.g. li.next
+        const $link = $next.is('[href]') ? $next : $next.find('[href]').first();
+        const href = $link.attr('href');
+        if (!href || href.startsWith('#') || /^javascript:/i.test(href)) {
+            return this.selector ? { click: true } : null;
+        }
+        try {
+            return { url: new URL(href, baseUrl).href };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Fetches the pages after head until there is no next page, the sequence loops or maxPages is
+    // reached. fetchNext(next, current) resolves with the next page's data or null; check(url)
+    // resolves with a reason the URL may not be fetched, or null. Clicks are only followed with canClick
+    async follow(head, fetchNext, { canClick = false, check = null } = {}) {
+        const pages = [head];
+        const seen = new Set([head.url, head.finalUrl].filter(Boolean));
+        let stoppedBy = 'last-page';
+        let error = null;
+
+        for (;;) {
+            const current = pages[pages.length - 1];
+            const next = current.contentKind === 'html' && current.html
+                ? this.next(current.html, current.finalUrl || current.url)
+                : null;
+            if (!next || (next.click && !canClick)) break;
+            if (pages.length >= this.maxPages) {
+                stoppedBy = 'max-pages';
+                break;
+            }
+
+            if (next.url) {
+                if (seen.has(next.url)) {
+                    stoppedBy = 'loop';
+                    break;
+                }
+                const reason = check ? await check(next.url) : null;
+                if (reason) {
+                    stoppedBy = reason;
+                    break;
+                }
+            }
+
+            let page;
+            try {
+                page = await fetchNext(next, current);
+            } catch (fetchError) {
+                error = fetchError.message;
+            }
+            if (!page) {
+                stoppedBy = 'error';
+                break;
+            }
+            if (next.click && page.text === current.text) {
+                stoppedBy = 'no-new-content';
+                break;
+            }
+
+            seen.add(page.url);
+            if (page.finalUrl) seen.add(page.finalUrl);
+            pages.push(page);
+        }
+
+        return Paginator.group(pages, stoppedBy, error);
+    }
+
+    // The first page's data with every page's links, images, text and records; each page is
+    // summarised under pagination.pages
+    static group(pages, stoppedBy, error = null) {
+        const [head, ...rest] = pages;
+        if (rest.length === 0) return head;
+
+        const links = new Map();
+        const images = new Map();
+        for (const page of pages) {
+            for (const link of page.links || []) {
+                if (!links.has(link.url)) links.set(link.url, link);
+            }
+            for (const image of page.images || []) {
+                if (!images.has(image.src)) images.set(image.src, image);
+            }
+        }
+
+        return {
+            ...head,
+            text: pages.map(page => page.text).join('\n\n'),
+            links: [...links.values()],
+            images: [...images.values()],
+            ...(head.records && { records: pages.flatMap(page => page.records || []) }),
+            pagination: {
+                pageCount: pages.length,
+                stoppedBy,
+                ...(error && { error }),
+                pages: pages.map(page => ({
+                    url: page.url,
+                    finalUrl: page.finalUrl,
+                    statusCode: page.statusCode,
+                    title: page.title,
+                    links: (page.links || []).length
+                }))
+            }
+        };
+    }
+}
+
+module.exports = Paginator;
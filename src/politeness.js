@@ -0,0 +1,106 @@
+class PolitenessScheduler {
+    constructor(options = {}) {
+        // Minimum gap between two request starts on the same host
+        this.minInterval = options.minInterval || 0;
+        this.maxPerHost = Math.max(1, options.maxPerHost || 2);
+
+        // Token bucket: `requests` tokens per `window` ms for every host
+        this.rateLimit = options.rateLimit && options.rateLimit.requests > 0
+            ? {
+                capacity: options.rateLimit.requests,
+                refillPerMs: options.rateLimit.requests / (options.rateLimit.window || 60000)
+            }
+            : null;
+
+        this.hosts = new Map();
+    }
+
+    static fromEnv(env = process.env) {
+        if (env.RATE_LIMIT_ENABLED !== 'true') return null;
+        return {
+            requests: parseInt(env.RATE_LIMIT_REQUESTS) || 10,
+            window: parseInt(env.RATE_LIMIT_WINDOW) || 60000
+        };
+    }
+
+    getHost(host) {
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, {
+                active: 0,
+                tokens: this.rateLimit ? this.rateLimit.capacity : 0,
+                lastRefill: Date.now(),
+                nextStart: 0,
+                crawlDelay: 0,
+                queue: [],
+                timer: null
+            });
+        }
+        return this.hosts.get(host);
+    }
+
+    // Resolves with a release() function once the host has a free slot; crawlDelay is in ms
+    acquire(url, crawlDelay = 0) {
+        const host = new URL(url).host;
+        const state = this.getHost(host);
+        if (crawlDelay > state.crawlDelay) {
+            state.crawlDelay = crawlDelay;
+        }
+
+        return new Promise(resolve => {
+            state.queue.push(resolve);
+            this.pump(state);
+        });
+    }
+
+    pump(state) {
+        if (state.timer) return;
+
+        while (state.queue.length > 0 && state.active < this.maxPerHost) {
+            const now = Date.now();
+            let wait = state.nextStart - now;
+
+            if (this.rateLimit) {
+                const elapsed = now - state.lastRefill;
+                state.tokens = Math.min(this.rateLimit.capacity, state.tokens + elapsed * this.rateLimit.refillPerMs);
+                state.lastRefill = now;
+                if (state.tokens < 1) {
+                    wait = Math.max(wait, (1 - state.tokens) / this.rateLimit.refillPerMs);
+                }
+            }
+
+            if (wait > 0) {
+                state.timer = setTimeout(() => {
+                    state.timer = null;
+                    this.pump(state);
+                }, Math.ceil(wait));
+                return;
+            }
+
+            if (this.rateLimit) state.tokens -= 1;
+            state.active++;
+            state.nextStart = now + Math.max(this.minInterval, state.crawlDelay);
+
+            let released = false;
+            state.queue.shift()(() => {
+                if (released) return;
+                released = true;
+                state.active--;
+                this.pump(state);
+            });
+        }
+    }
+
+    getStats() {
+        const stats = {};
+        for (const [host, state] of this.hosts) {
+            stats[host] = {
+                active: state.active,
+                queued: state.queue.length,
+                crawlDelay: state.crawlDelay
+            };
+        }
+        return stats;
+    }
+}
+
+module.exports = PolitenessScheduler;
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const { ProxyAgent } = require('proxy-agent');
+const { getProxyForUrl } = require('proxy-from-env');
+
+const SUPPORTED_PROTOCOLS = ['http:', 'https:', 'socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'];
+
+class ProxyPool {
+    constructor(options = {}) {
+        this.rotation = options.rotation || 'request'; // 'request'|'host'
+        this.maxFailures = options.maxFailures || 3;
+        this.useEnv = options.useEnv !== false;
+        this.logger = options.logger || console;
+
+        this.proxies = (options.proxies || []).map(ProxyPool.normalize);
+        this.failures = new Map();
+        this.disabled = new Set();
+        this.hostAssignments = new Map();
+        this.agents = new Map();
+        this.cursor = 0;
+    }
+
+    // One proxy URL per line; blank lines and # comments are ignored
+    static readFile(filePath) {
+        return fs.readFileSync(filePath, 'utf8')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+    }
+
+    // Bare host:port entries are treated as HTTP proxies
+    static normalize(proxy) {
+        const proxyUrl = /^[a-z0-9]+:\/\//i.test(proxy) ? proxy : `http://${proxy}`;
+        const parsed = new URL(proxyUrl);
+        if (!SUPPORTED_PROTOCOLS.includes(parsed.protocol)) {
+            throw new Error(`Unsupported proxy protocol: ${parsed.protocol}`);
+        }
+        return parsed.href.replace(/\/$/, '');
+    }
+
+    get enabled() {
+        return this.proxies.length > 0;
+    }
+
+    get available() {
+        return this.proxies.filter(proxy => !this.disabled.has(proxy));
+    }
+
+    // Proxy URL to use for a request to url, or null to connect directly
+    select(url) {
+        if (!this.enabled) {
+            return this.useEnv ? (getProxyForUrl(url) || null) : null;
+        }
+
+        const available = this.available;
+        if (available.length === 0) {
+            throw new Error('All proxies have been removed from rotation after repeated failures');
+        }
+
+        if (this.rotation === 'host') {
+            const host = new URL(url).host;
+            const assigned = this.hostAssignments.get(host);
+            if (assigned && !this.disabled.has(assigned)) return assigned;
+
+            const proxy = available[this.hostAssignments.size % available.length];
+            this.hostAssignments.set(host, proxy);
+            return proxy;
+        }
+
+        const proxy = available[this.cursor % available.length];
+        this.cursor++;
+        return proxy;
+    }
+
+    reportSuccess(proxy) {
+        if (proxy) this.failures.delete(proxy);
+    }
+
+    // Consecutive failures past maxFailures take a pooled proxy out of rotation
+    reportFailure(proxy, error) {
+        if (!proxy || !this.proxies.includes(proxy)) return;
+
+        const failures = (this.failures.get(proxy) || 0) + 1;
+        this.failures.set(proxy, failures);
+        this.logger.warn(`Proxy failure ${failures}/${this.maxFailures} for ${ProxyPool.redact(proxy)}: ${error?.message || error}`);
+
+        if (failures >= this.maxFailures && !this.disabled.has(proxy)) {
+            this.disabled.add(proxy);
+            this.logger.error(`Proxy removed from rotation: ${ProxyPool.redact(proxy)}`);
+        }
+    }
+
+    getAgent(proxy) {
+        if (!this.agents.has(proxy)) {
+            this.agents.set(proxy, new ProxyAgent({ getProxyForUrl: () => proxy }));
+        }
+        return this.agents.get(proxy);
+    }
+
+    // axios config for url: explicit agents, with axios' own env-proxy handling turned off
+    axiosConfig(url) {
+        const proxy = this.select(url);
+        if (!proxy) return { proxy: null, config: { proxy: false } };
+
+        const agent = this.getAgent(proxy);
+        return { proxy, config: { proxy: false, httpAgent: agent, httpsAgent: agent } };
+    }
+
+    static redact(proxy) {
+        const parsed = new URL(proxy);
+        if (parsed.password) parsed.password = '***';
+        return parsed.href.replace(/\/$/, '');
+    }
+
+    // Connection-level errors and 407s are blamed on the proxy; HTTP errors from the site are not
+    static isProxyError(error) {
+        if (error.response) return error.response.status === 407;
+        return ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENOTFOUND', 'ECONNABORTED', 'EPROTO']
+            .includes(error.code) || /proxy|socks|tunnel/i.test(error.message);
+    }
+
+    getStats() {
+        return this.proxies.map(proxy => ({
+            proxy: ProxyPool.redact(proxy),
+            failures: this.failures.get(proxy) || 0,
+            disabled: this.disabled.has(proxy)
+        }));
+    }
+}
+
+module.exports = ProxyPool;
@@ -3,6 +3,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const winston = require('winston');
 const WebCrawler = require('./crawler');
+const ChangeDetector = require('./change-detector');
 
 class CrawlerScheduler {
     constructor(configPath = 'scheduler-config.json') {
@@ -94,60 +95,7 @@ class CrawlerScheduler {
     }
 
     async scheduleJob(jobConfig) {
-        const job = cron.schedule(jobConfig.schedule, async () => {
-            this.logger.info(`Executing job: ${jobConfig.name}`);
-            
-            try {
-                const crawler = new WebCrawler({
-                    maxPages: jobConfig.maxPages || 10,
-                    method: jobConfig.method || 'axios',
-                    screenshots: jobConfig.screenshots || false,
-                    respectRobots: jobConfig.respectRobots !== false
-                });
-
-                const startTime = Date.now();
-                let result;
-
-                switch (jobConfig.method) {
-                    case 'puppeteer':
-                        result = await crawler.crawlWithPuppeteer(jobConfig.url);
-                        break;
-                    case 'curl':
-                        result = await crawler.crawlWithCurl(jobConfig.url);
-                        break;
-                    default:
-                        result = await crawler.crawlWithAxios(jobConfig.url);
-                }
-
-                const endTime = Date.now();
-                const duration = (endTime - startTime) / 1000;
-
-                if (result) {
-                    this.logger.info(`Job ${jobConfig.name} completed in ${duration}s`);
-                    
-                    // Save data
-                    const savedFiles = await crawler.saveData();
-                    
-                    // Send notifications if configured
-                    await this.sendNotification(jobConfig, {
-                        success: true,
-                        duration,
-                        files: savedFiles,
-                        stats: crawler.getStats()
-                    });
-                } else {
-                    this.logger.warn(`Job ${jobConfig.name} returned no data`);
-                }
-
-            } catch (error) {
-                this.logger.error(`Job ${jobConfig.name} failed: ${error.message}`);
-                
-                await this.sendNotification(jobConfig, {
-                    success: false,
-                    error: error.message
-                });
-            }
-        }, {
+        const job = cron.schedule(jobConfig.schedule, () => this.runJob(jobConfig), {
             scheduled: false,
             timezone: jobConfig.timezone || 'UTC'
         });
@@ -158,6 +106,116 @@ class CrawlerScheduler {
         this.logger.info(`Job ${jobConfig.name} scheduled: ${jobConfig.schedule}`);
     }
 
+    async runJob(jobConfig) {
+        this.logger.info(`Executing job: ${jobConfig.name}`);
+        
+        try {
+            const crawler = new WebCrawler({
+                maxPages: jobConfig.maxPages || 10,
+                maxDepth: jobConfig.depth || 3,
+                method: jobConfig.method || 'axios',
+                screenshots: jobConfig.screenshots || false,
+                respectRobots: jobConfig.respectRobots !== false,
+                extractionSchema: jobConfig.schema || null,
+                actionScript: jobConfig.actions || null,
+                // `scroll: { itemSelector, maxItems, timeLimit }` and `paginate: { selector, maxPages }`, or true for the defaults
+                autoScroll: Boolean(jobConfig.scroll),
+                scrollItemSelector: jobConfig.scroll?.itemSelector || null,
+                scrollMaxItems: jobConfig.scroll?.maxItems || 0,
+                scrollTimeLimit: jobConfig.scroll?.timeLimit || 30000,
+                paginate: Boolean(jobConfig.paginate),
+                nextSelector: jobConfig.paginate?.selector || null,
+                maxPaginationPages: jobConfig.paginate?.maxPages || 10,
+                // Same shape as the crawler's auth option, e.g. { type: 'oauth2', credentials: { tokenUrl, clientId, clientSecret } }
+                auth: jobConfig.auth || null,
+                // `cache: true` keeps validators between runs so unchanged pages cost a 304
+                cacheDir: jobConfig.cache === true ? path.join(__dirname, '../data/http-cache') : jobConfig.cache || null
+            });
+
+            const crawlOptions = { depth: jobConfig.depth || 0 };
+            const startTime = Date.now();
+            let result;
+
+            switch (jobConfig.method) {
+                case 'puppeteer':
+                    result = await crawler.crawlWithPuppeteer(jobConfig.url, crawlOptions);
+                    break;
+                case 'curl':
+                    result = await crawler.crawlWithCurl(jobConfig.url, crawlOptions);
+                    break;
+                default:
+                    result = await crawler.crawlWithAxios(jobConfig.url, crawlOptions);
+            }
+
+            const endTime = Date.now();
+            const duration = (endTime - startTime) / 1000;
+
+            if (result) {
+                this.logger.info(`Job ${jobConfig.name} completed in ${duration}s`);
+                
+                // Save data
+                const savedFiles = await crawler.saveData();
+                const summary = {
+                    success: true,
+                    duration,
+                    files: savedFiles,
+                    stats: crawler.getStats()
+                };
+
+                if (jobConfig.changeDetection && jobConfig.changeDetection.enabled !== false) {
+                    // Change-detection jobs only notify when the pages differ from the last run
+                    const changes = await this.detectChanges(jobConfig, crawler.crawledData, [...crawler.failedUrls.keys()]);
+                    if (changes) {
+                        await this.sendNotification(jobConfig, { ...summary, ...changes });
+                    }
+                } else {
+                    // Send notifications if configured
+                    await this.sendNotification(jobConfig, summary);
+                }
+            } else {
+                this.logger.warn(`Job ${jobConfig.name} returned no data`);
+            }
+
+        } catch (error) {
+            this.logger.error(`Job ${jobConfig.name} failed: ${error.message}`);
+            
+            await this.sendNotification(jobConfig, {
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    // Compares this run with the job's baseline, then makes this run the new baseline.
+    // Resolves with { changes, diff } when something changed, otherwise null
+    async detectChanges(jobConfig, pages, failedUrls = []) {
+        const detector = new ChangeDetector({
+            baselineDir: jobConfig.changeDetection.baselineDir,
+            selectors: jobConfig.changeDetection.selectors
+        });
+        const baseline = await detector.loadBaseline(jobConfig.name);
+        const snapshot = detector.snapshot(pages);
+        if (baseline) {
+            ChangeDetector.retain(snapshot, baseline, failedUrls);
+        }
+        await detector.saveBaseline(jobConfig.name, snapshot);
+
+        if (!baseline) {
+            this.logger.info(`Job ${jobConfig.name}: baseline recorded for ${Object.keys(snapshot.pages).length} pages`);
+            return null;
+        }
+
+        const changes = detector.compare(baseline, snapshot);
+        if (!changes.changed) {
+            this.logger.info(`Job ${jobConfig.name}: no changes since ${baseline.timestamp}`);
+            return null;
+        }
+
+        const diff = detector.format(changes);
+        this.logger.info(`Job ${jobConfig.name}: changes detected\n${diff}`);
+        return { changes, diff };
+    }
+
     async sendNotification(jobConfig, result) {
         if (jobConfig.notifications?.webhook) {
             try {
@@ -191,6 +249,10 @@ class CrawlerScheduler {
             console.log(`   URL: ${jobConfig.url}`);
             console.log(`   Method: ${jobConfig.method}`);
             console.log(`   Max Pages: ${jobConfig.maxPages}`);
+            if (jobConfig.changeDetection) {
+                const selectors = [].concat(jobConfig.changeDetection.selectors || []);
+                console.log(`   Change Detection: on${selectors.length ? ` (${selectors.join(', ')})` : ''}`);
+            }
         }
         
         console.log('\n');
@@ -258,6 +320,10 @@ if (require.main === module) {
         .option('-u, --url <url>', 'Target URL')
         .option('-m, --method <method>', 'Crawling method', 'axios')
         .option('--max-pages <number>', 'Maximum pages', '10')
+        .option('-d, --depth <number>', 'Link depth to follow from the URL', '0')
+        .option('--cache', 'Revalidate unchanged pages with ETag/Last-Modified between runs')
+        .option('--detect-changes', 'Keep a baseline and only notify when pages change between runs')
+        .option('--watch <selectors...>', 'CSS selectors whose text is compared between runs')
         .action(async (options) => {
             const scheduler = new CrawlerScheduler(options.config);
             
@@ -267,8 +333,13 @@ if (require.main === module) {
                 url: options.url,
                 method: options.method,
                 maxPages: parseInt(options.maxPages),
+                depth: parseInt(options.depth),
+                cache: Boolean(options.cache),
                 enabled: true
             };
+            if (options.detectChanges || options.watch) {
+                jobConfig.changeDetection = { selectors: options.watch || [] };
+            }
             
             scheduler.addJob(jobConfig);
             console.log(`Job ${options.name} added successfully`);
@@ -0,0 +1,98 @@
+const { getDomain } = require('tldts');
+
+const DOMAIN_POLICIES = ['host', 'domain', 'any'];
+
+class CrawlScope {
+    constructor(seedUrl, options = {}) {
+        const seed = new URL(seedUrl);
+
+        this.domainPolicy = options.domainPolicy || 'host';
+        if (!DOMAIN_POLICIES.includes(this.domainPolicy)) {
+            throw new Error(`Unknown domain policy: ${this.domainPolicy} (expected ${DOMAIN_POLICIES.join('|')})`);
+        }
+
+        this.seedHost = seed.hostname.toLowerCase();
+        this.seedDomain = CrawlScope.registeredDomain(this.seedHost);
+        this.schemes = (options.allowedSchemes || ['http', 'https'])
+            .map(scheme => scheme.toLowerCase().replace(/:$/, ''));
+        this.include = CrawlScope.compilePatterns(options.include);
+        this.exclude = CrawlScope.compilePatterns(options.exclude);
+    }
+
+    // Falls back to the bare host for IPs and single-label hosts like localhost
+    static registeredDomain(host) {
+        return getDomain(host, { allowPrivateDomains: true }) || host;
+    }
+
+    static compilePatterns(patterns = []) {
+        return patterns.map(pattern => ({
+            pattern: String(pattern),
+            regex: CrawlScope.compilePattern(pattern)
+        }));
+    }
+
+    // "/regex/flags" is used as a regular expression, anything else as a glob
+    // where * stays inside one path segment and ** crosses segments
+    static compilePattern(pattern) {
+        if (pattern instanceof RegExp) return pattern;
+
+        const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+        if (regexMatch) {
+            return new RegExp(regexMatch[1], regexMatch[2]);
+        }
+
+        let source = '';
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+            if (char === '*' && pattern[i + 1] === '*') {
+                source += '.*';
+                i++;
+            } else if (char === '*') {
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else {
+                source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+        return new RegExp(`^${source}$`);
+    }
+
+    // Returns null when the URL is in scope, otherwise the reason it was skipped
+    check(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return 'invalid-url';
+        }
+
+        const scheme = parsed.protocol.replace(/:$/, '');
+        if (!this.schemes.includes(scheme)) {
+            return `scheme-not-allowed:${scheme}`;
+        }
+
+        const host = parsed.hostname.toLowerCase();
+        if (this.domainPolicy === 'host' && host !== this.seedHost) {
+            return 'off-host';
+        }
+        if (this.domainPolicy === 'domain' && CrawlScope.registeredDomain(host) !== this.seedDomain) {
+            return 'off-domain';
+        }
+
+        const excluded = this.exclude.find(({ regex }) => regex.test(url));
+        if (excluded) {
+            return `excluded:${excluded.pattern}`;
+        }
+
+        if (this.include.length > 0 && !this.include.some(({ regex }) => regex.test(url))) {
+            return 'not-included';
+        }
+
+        return null;
+    }
+}
+
+CrawlScope.DOMAIN_POLICIES = DOMAIN_POLICIES;
+
+module.exports = CrawlScope;
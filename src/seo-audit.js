@@ -0,0 +1,132 @@
+const SEVERITIES = ['error', 'warning', 'notice'];
+const DEFAULT_LIMITS = {
+    titleMin: 30,
+    titleMax: 60,
+    descriptionMin: 70,
+    descriptionMax: 160
+};
+
+// Flags on-page SEO problems across the pages of a crawl
+class SeoAudit {
+    constructor(options = {}) {
+        this.limits = { ...DEFAULT_LIMITS, ...options.limits };
+    }
+
+    // Returns { summary, issues } where every issue lists the affected pages
+    audit(pages, startUrl = pages[0]?.url) {
+        // Only HTML pages carry titles, headings and meta tags
+        const htmlPages = pages.filter(page => page.seo && /html/i.test(page.contentType || 'text/html'));
+        const issues = [];
+        const add = (id, severity, title, affected) => {
+            if (affected.length > 0) issues.push({ id, severity, title, count: affected.length, pages: affected });
+        };
+        const each = (test) => htmlPages.flatMap(page => {
+            const detail = test(page);
+            if (detail === false || detail === null || detail === undefined) return [];
+            return [detail === true ? { url: page.url } : { url: page.url, detail }];
+        });
+        const { titleMin, titleMax, descriptionMin, descriptionMax } = this.limits;
+
+        add('missing-title', 'error', 'Missing <title>', each(page => !page.seo.title));
+        add('duplicate-title', 'warning', 'Duplicate titles', this.duplicates(htmlPages, page => page.seo.title));
+        add('title-length', 'notice', `Title shorter than ${titleMin} or longer than ${titleMax} characters`,
+            each(page => {
+                const { length } = page.seo.title;
+                return length > 0 && (length < titleMin || length > titleMax) && `${length} characters`;
+            }));
+
+        add('missing-description', 'warning', 'Missing meta description', each(page => !page.meta?.description));
+        add('duplicate-description', 'warning', 'Duplicate meta descriptions',
+            this.duplicates(htmlPages, page => page.meta?.description));
+        add('description-length', 'notice',
+            `Meta description shorter than ${descriptionMin} or longer than ${descriptionMax} characters`,
+            each(page => {
+                const length = (page.meta?.description || '').length;
+                return length > 0 && (length < descriptionMin || length > descriptionMax) && `${length} characters`;
+            }));
+
+        add('missing-h1', 'warning', 'Missing <h1>', each(page => page.seo.h1.length === 0));
+        add('multiple-h1', 'notice', 'More than one <h1>',
+            each(page => page.seo.h1.length > 1 && `${page.seo.h1.length} headings`));
+        add('image-alt', 'warning', 'Images without alt text',
+            each(page => page.seo.imagesWithoutAlt.length > 0 && page.seo.imagesWithoutAlt.join(', ')));
+
+        add('missing-canonical', 'notice', 'Missing canonical link', each(page => !page.seo.canonical));
+        add('missing-viewport', 'warning', 'Missing viewport meta tag', each(page => !page.seo.viewport));
+        add('noindex', 'warning', 'Excluded from search indexes (noindex)',
+            each(page => /noindex|none/i.test(page.seo.robots) && page.seo.robots));
+
+        add('redirect-chain', 'warning', 'Reached through a chain of redirects',
+            each(page => page.redirects > 1 && `${page.redirects} redirects to ${page.finalUrl}`));
+        add('redirect', 'notice', 'Reached through a redirect',
+            each(page => page.redirects === 1 && `redirects to ${page.finalUrl}`));
+
+        add('orphan', 'warning', 'Orphan pages no crawled page links to',
+            this.orphans(htmlPages, pages, startUrl).map(url => ({ url })));
+
+        issues.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+        const summary = { pages: htmlPages.length, issues: issues.length };
+        for (const severity of SEVERITIES) {
+            summary[`${severity}s`] = issues
+                .filter(issue => issue.severity === severity)
+                .reduce((sum, issue) => sum + issue.count, 0);
+        }
+        return { summary, issues };
+    }
+
+    // Pages sharing a non-empty value, with the value as detail
+    duplicates(pages, valueOf) {
+        const groups = new Map();
+        for (const page of pages) {
+            const value = (valueOf(page) || '').trim();
+            if (!value) continue;
+            const key = value.toLowerCase().replace(/\s+/g, ' ');
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push({ url: page.url, detail: value });
+        }
+        return [...groups.values()].filter(group => group.length > 1).flat();
+    }
+
+    // Crawled pages that are not the start page and are not linked from any other crawled page,
+    // e.g. pages only reached through a sitemap
+    orphans(htmlPages, allPages, startUrl) {
+        const linked = new Set();
+        for (const page of allPages) {
+            for (const link of page.links || []) {
+                if (link.url !== page.url) linked.add(link.url);
+            }
+        }
+
+        return htmlPages
+            .filter(page => page.url !== startUrl)
+            .filter(page => ![page.url, page.canonicalUrl, page.finalUrl].some(url => url && linked.has(url)))
+            .map(page => page.url);
+    }
+
+    // Markdown for the audit; level sets the heading depth so it can be nested in another report
+    static format(report, level = 1) {
+        const heading = '#'.repeat(level);
+        const lines = [
+            `${heading} SEO Audit`,
+            '',
+            `- **Pages Audited**: ${report.summary.pages}`,
+            `- **Errors**: ${report.summary.errors}`,
+            `- **Warnings**: ${report.summary.warnings}`,
+            `- **Notices**: ${report.summary.notices}`
+        ];
+
+        if (report.issues.length === 0) {
+            lines.push('', 'No issues found.');
+        }
+        for (const issue of report.issues) {
+            lines.push('', `${heading}# [${issue.severity.toUpperCase()}] ${issue.title} (${issue.count})`, '');
+            for (const page of issue.pages) {
+                lines.push(`- ${page.url}${page.detail ? ` — ${page.detail}` : ''}`);
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = SeoAudit;
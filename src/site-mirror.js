@@ -0,0 +1,327 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const CrawlScope = require('./scope');
+
+const MANIFEST = '.mirror-manifest.json';
+const CSS_URL = /url\(\s*(['"]?)([^'")]+?)\1\s*\)|@import\s+(['"])([^'"]+)\3/g;
+const PAGE_EXTENSIONS = ['.html', '.htm'];
+
+// Saves crawled HTML pages and their assets as a browsable offline copy, with URLs rewritten
+// to relative paths. Assets carry a content hash in their name, and a manifest of validators
+// lets a second run skip the ones that have not changed
+class SiteMirror {
+    constructor(crawler, options = {}) {
+        this.crawler = crawler;
+        this.outputDir = path.resolve(options.outputDir || path.join(__dirname, '../mirror'));
+        this.concurrency = Math.max(1, options.concurrency || crawler.options.concurrent);
+        this.external = options.external !== false;
+        this.onProgress = options.onProgress || (() => {});
+
+        this.pagePaths = new Map(); // any URL of a crawled page -> local path
+        this.assets = new Map(); // asset url -> Promise of its local path, or null
+        this.manifest = { assets: {} };
+        this.stats = { pages: 0, downloaded: 0, unchanged: 0, failed: 0 };
+    }
+
+    // Resolves with { dir, indexPath, manifestPath, stats }
+    async save(startUrl, pages) {
+        this.scope = new CrawlScope(startUrl, this.crawler.options);
+        this.manifest = await this.loadManifest();
+        const htmlPages = pages.filter(page => page.html && (page.contentKind || 'html') === 'html');
+
+        // Every page's path must be known before any links are rewritten
+        for (const page of htmlPages) {
+            const localPath = this.localPath(page.url, true);
+            for (const alias of [page.url, page.canonicalUrl, page.finalUrl]) {
+                if (alias && !this.pagePaths.has(alias)) this.pagePaths.set(alias, localPath);
+            }
+        }
+        // Crawled PDFs, feeds and other documents are fetched again and saved as assets
+        this.documents = new Set(pages
+            .filter(page => !htmlPages.includes(page))
+            .flatMap(page => [page.url, page.finalUrl])
+            .filter(Boolean));
+
+        let next = 0;
+        const worker = async () => {
+            while (next < htmlPages.length) {
+                const page = htmlPages[next++];
+                await this.savePage(page);
+                this.onProgress(++this.stats.pages, htmlPages.length, page.url);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, htmlPages.length) }, worker));
+        await Promise.all(this.assets.values());
+
+        const manifestPath = path.join(this.outputDir, MANIFEST);
+        await fs.writeFile(manifestPath, JSON.stringify(this.manifest, null, 2));
+
+        return {
+            dir: this.outputDir,
+            indexPath: this.pagePaths.get(startUrl) || null,
+            manifestPath,
+            stats: { ...this.stats }
+        };
+    }
+
+    async loadManifest() {
+        try {
+            const manifest = JSON.parse(await fs.readFile(path.join(this.outputDir, MANIFEST), 'utf8'));
+            return { assets: manifest.assets || {} };
+        } catch (error) {
+            return { assets: {} };
+        }
+    }
+
+    // Maps a URL onto <outputDir>/<host>/<path>. Pages without an HTML extension become
+    // <path>/index.html, and a page's query string adds a hash of it to the file name
+    localPath(url, page = false) {
+        const parsed = new URL(url);
+        const segments = parsed.pathname.split('/').filter(Boolean).map(SiteMirror.safeSegment);
+        let name = segments.pop() || '';
+
+        if (page && !PAGE_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+            if (name) segments.push(name);
+            name = 'index.html';
+        }
+        if (page && parsed.search) {
+            const ext = path.extname(name);
+            name = `${path.basename(name, ext)}-${SiteMirror.hash(parsed.search).slice(0, 8)}${ext}`;
+        }
+
+        return path.join(this.outputDir, SiteMirror.safeSegment(parsed.host), ...segments, name || 'index');
+    }
+
+    // Decoded, with characters that are not allowed in file names replaced
+    static safeSegment(segment) {
+        let decoded = segment;
+        try {
+            decoded = decodeURIComponent(segment);
+        } catch (error) {
+            // keep the raw segment
+        }
+        return decoded.replace(/[<>:"/\\|?*\u0000-\u001f]/g, '_').replace(/^\.+$/, '_');
+    }
+
+    static hash(value) {
+        return crypto.createHash('sha256').update(value).digest('hex');
+    }
+
+    // Relative URL from one saved file to another, usable from file://
+    static relativeUrl(fromFile, toFile) {
+        return path.relative(path.dirname(fromFile), toFile)
+            .split(path.sep)
+            .map(encodeURIComponent)
+            .join('/');
+    }
+
+    async savePage(page) {
+        const filePath = this.pagePaths.get(page.url);
+        const $ = cheerio.load(page.html);
+        // A <base> would point the relative paths back at the site
+        const baseUrl = SiteMirror.resolve($('base[href]').attr('href'), page.finalUrl || page.url) || page.finalUrl || page.url;
+        $('base').remove();
+
+        const rewrites = [];
+        const rewrite = (element, attribute, asset) => {
+            const $element = $(element);
+            const url = SiteMirror.resolve($element.attr(attribute), baseUrl);
+            if (!url) return;
+            rewrites.push(this.target(url, filePath, asset).then(target => $element.attr(attribute, target)));
+        };
+
+        $('a[href], area[href]').each((i, element) => rewrite(element, 'href', false));
+        $('img[src], audio[src], video[src], source[src], input[type="image"][src]').each((i, element) => rewrite(element, 'src', true));
+        $('video[poster]').each((i, element) => rewrite(element, 'poster', true));
+        $('script[src]').each((i, element) => rewrite(element, 'src', true));
+        $('link[href]').each((i, element) => {
+            const rel = ($(element).attr('rel') || '').toLowerCase().split(/\s+/);
+            if (['stylesheet', 'icon', 'apple-touch-icon', 'preload', 'manifest'].some(value => rel.includes(value))) {
+                rewrite(element, 'href', true);
+            }
+        });
+        $('img[srcset], source[srcset]').each((i, element) => {
+            const $element = $(element);
+            rewrites.push(this.rewriteSrcset($element.attr('srcset'), baseUrl, filePath)
+                .then(srcset => $element.attr('srcset', srcset)));
+        });
+        $('style').each((i, element) => {
+            const $element = $(element);
+            rewrites.push(this.rewriteCss($element.html() || '', baseUrl, filePath)
+                .then(css => $element.text(css)));
+        });
+        $('[style]').each((i, element) => {
+            const $element = $(element);
+            rewrites.push(this.rewriteCss($element.attr('style'), baseUrl, filePath)
+                .then(css => $element.attr('style', css)));
+        });
+
+        await Promise.all(rewrites);
+        await SiteMirror.writeIfChanged(filePath, Buffer.from($.html(), 'utf8'));
+    }
+
+    static resolve(value, base) {
+        if (!value || /^(#|data:|javascript:|mailto:|tel:)/i.test(value.trim())) return null;
+        try {
+            const url = new URL(value.trim(), base);
+            return /^https?:$/.test(url.protocol) ? url : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // What a reference in a file at fromFile should point to: a mirrored page or asset as a
+    // relative path, otherwise the absolute URL so it still works online
+    async target(url, fromFile, asset, chain) {
+        const canonical = this.crawler.canonicalize(url.href) || url.href;
+        const pagePath = this.pagePaths.get(canonical) || this.pagePaths.get(url.href);
+        if (pagePath) return SiteMirror.relativeUrl(fromFile, pagePath) + url.hash;
+
+        if (asset || this.documents.has(canonical) || this.documents.has(url.href)) {
+            const assetPath = await this.asset(url.href.replace(/#.*$/, ''), chain);
+            if (assetPath) return SiteMirror.relativeUrl(fromFile, assetPath) + url.hash;
+        }
+        return url.href;
+    }
+
+    async rewriteSrcset(srcset, baseUrl, fromFile) {
+        const candidates = await Promise.all(srcset.split(',').map(async candidate => {
+            const [value, ...descriptors] = candidate.trim().split(/\s+/);
+            const url = SiteMirror.resolve(value, baseUrl);
+            return [url ? await this.target(url, fromFile, true) : value, ...descriptors].join(' ');
+        }));
+        return candidates.join(', ');
+    }
+
+    // Rewrites url() and @import references; chain guards against stylesheets importing each other
+    async rewriteCss(css, baseUrl, fromFile, chain = new Set()) {
+        const replacements = new Map();
+        for (const match of css.matchAll(CSS_URL)) {
+            const url = SiteMirror.resolve(match[2] || match[4], baseUrl);
+            if (!url || replacements.has(match[0])) continue;
+            // A stylesheet that imports one of its importers keeps the absolute URL
+            const target = chain.has(url.href.replace(/#.*$/, ''))
+                ? Promise.resolve(url.href)
+                : this.target(url, fromFile, true, chain);
+            replacements.set(match[0], target.then(value => (match[2]
+                ? `url(${match[1] || '"'}${value}${match[1] || '"'})`
+                : `@import ${match[3]}${value}${match[3]}`)));
+        }
+
+        for (const [reference, replacement] of replacements) replacements.set(reference, await replacement);
+        return css.replace(CSS_URL, reference => replacements.get(reference) || reference);
+    }
+
+    // Downloads an asset once per run. Resolves with its local path, or null when it is out
+    // of scope or could not be fetched
+    asset(url, chain = new Set()) {
+        if (!this.assets.has(url)) {
+            this.assets.set(url, this.downloadAsset(url, chain).catch(error => {
+                this.stats.failed++;
+                this.crawler.logger.warn(`Mirror could not fetch ${url}: ${error.message}`);
+                return null;
+            }));
+        }
+        return this.assets.get(url);
+    }
+
+    async downloadAsset(url, chain) {
+        const internal = !this.scope.check(url);
+        if (!this.external && !internal) return null;
+
+        const previous = this.manifest.assets[url];
+        const stylesheet = previous?.stylesheet || /\.css$/i.test(new URL(url).pathname);
+        // Stylesheets are always fetched: their references are rewritten from the original text
+        const cached = previous && !stylesheet && await SiteMirror.exists(path.join(this.outputDir, previous.path))
+            ? previous
+            : null;
+
+        const response = await this.request(url, internal, cached);
+        if (response.status === 304) {
+            this.stats.unchanged++;
+            return path.join(this.outputDir, cached.path);
+        }
+
+        const body = Buffer.from(response.data);
+        const sha256 = SiteMirror.hash(body);
+        const isCss = stylesheet || /text\/css/i.test(response.headers['content-type'] || '');
+        const location = this.localPath(url);
+        const ext = path.extname(location) || (isCss ? '.css' : '');
+        // Content-based names: one URL that changes, or query variants of one path, never overwrite each other
+        const filePath = path.join(path.dirname(location), `${path.basename(location, path.extname(location))}.${sha256.slice(0, 10)}${ext}`);
+
+        let written;
+        if (isCss) {
+            const css = await this.rewriteCss(body.toString('utf8'), url, filePath, new Set([...chain, url]));
+            written = await SiteMirror.writeIfChanged(filePath, Buffer.from(css, 'utf8'));
+        } else {
+            written = !(await SiteMirror.exists(filePath)) && await SiteMirror.writeIfChanged(filePath, body);
+        }
+        this.stats[written ? 'downloaded' : 'unchanged']++;
+
+        this.manifest.assets[url] = {
+            path: path.relative(this.outputDir, filePath),
+            sha256,
+            etag: response.headers.etag || null,
+            lastModified: response.headers['last-modified'] || null,
+            stylesheet: isCss
+        };
+        return filePath;
+    }
+
+    async request(url, internal, cached) {
+        // Credentials only go to hosts inside the crawl scope
+        const authHeaders = internal ? await this.crawler.authenticate(url) : null;
+        const release = await this.crawler.politeness.acquire(url, this.crawler.getCrawlDelay(url));
+        const conditional = {};
+        if (cached?.etag) conditional['If-None-Match'] = cached.etag;
+        if (cached?.lastModified) conditional['If-Modified-Since'] = cached.lastModified;
+
+        try {
+            const proxyConfig = this.crawler.proxyPool.axiosConfig(url);
+            return await axios({
+                method: 'GET',
+                url: internal ? this.crawler.authorizeUrl(url) : url,
+                headers: {
+                    'User-Agent': this.crawler.options.userAgent,
+                    'Accept': '*/*',
+                    ...conditional,
+                    ...(authHeaders || {})
+                },
+                timeout: this.crawler.options.timeout,
+                maxRedirects: 5,
+                maxContentLength: this.crawler.options.maxBodySizeMb * 1024 * 1024,
+                responseType: 'arraybuffer',
+                validateStatus: status => (status >= 200 && status < 300) || (Boolean(cached) && status === 304),
+                ...proxyConfig.config
+            });
+        } finally {
+            release();
+        }
+    }
+
+    static async exists(filePath) {
+        try {
+            await fs.access(filePath);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Resolves with false when the file already holds these bytes
+    static async writeIfChanged(filePath, body) {
+        const current = await fs.readFile(filePath).catch(() => null);
+        if (current && current.equals(body)) return false;
+
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(`${filePath}.tmp`, body);
+        await fs.rename(`${filePath}.tmp`, filePath);
+        return true;
+    }
+}
+
+module.exports = SiteMirror;
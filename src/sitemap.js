@@ -0,0 +1,108 @@
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+
+class SitemapReader {
+    constructor(crawler, options = {}) {
+        this.crawler = crawler;
+        this.logger = crawler.logger;
+        this.maxSitemaps = options.maxSitemaps || 100;
+    }
+
+    // Sitemaps listed in robots.txt plus the conventional /sitemap.xml
+    async discover(siteUrl) {
+        const origin = new URL(siteUrl).origin;
+        const robots = await this.crawler.getRobots(siteUrl);
+        const candidates = [...(robots ? robots.getSitemaps() : []), `${origin}/sitemap.xml`];
+
+        return this.read(candidates);
+    }
+
+    // Reads sitemaps and nested sitemap indexes; returns one entry per page URL
+    async read(sitemapUrls) {
+        const queue = [...sitemapUrls];
+        const seen = new Set();
+        const entries = new Map();
+
+        while (queue.length > 0 && seen.size < this.maxSitemaps) {
+            const sitemapUrl = queue.shift();
+            if (seen.has(sitemapUrl)) continue;
+            seen.add(sitemapUrl);
+
+            let body;
+            try {
+                body = await this.fetch(sitemapUrl);
+            } catch (error) {
+                this.logger.warn(`Sitemap unavailable: ${sitemapUrl} (${error.message})`);
+                continue;
+            }
+
+            const { sitemaps, urls } = this.parse(body, sitemapUrl);
+            queue.push(...sitemaps);
+
+            for (const entry of urls) {
+                const url = this.crawler.canonicalize(entry.url) || entry.url;
+                if (!entries.has(url)) {
+                    entries.set(url, { ...entry, url, requestedUrl: entry.url });
+                }
+            }
+
+            this.logger.info(`Sitemap read: ${sitemapUrl}`, { sitemaps: sitemaps.length, urls: urls.length });
+        }
+
+        return [...entries.values()];
+    }
+
+    async fetch(sitemapUrl) {
+        const response = await this.crawler.makeRequest(sitemapUrl, { responseType: 'arraybuffer' });
+        let buffer = Buffer.from(response.data);
+
+        // .xml.gz files are usually served as application/gzip without Content-Encoding
+        if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+            buffer = zlib.gunzipSync(buffer);
+        }
+
+        return buffer.toString('utf8');
+    }
+
+    parse(body, sitemapUrl) {
+        const sitemaps = [];
+        const urls = [];
+
+        // Plain-text sitemaps are one URL per line
+        if (!body.trimStart().startsWith('<')) {
+            for (const line of body.split(/\r?\n/)) {
+                const url = line.trim();
+                if (/^https?:\/\//i.test(url)) {
+                    urls.push({ url, lastmod: null, priority: null, changefreq: null, sitemap: sitemapUrl });
+                }
+            }
+            return { sitemaps, urls };
+        }
+
+        const $ = cheerio.load(body, { xmlMode: true });
+
+        $('sitemapindex > sitemap > loc').each((i, element) => {
+            const loc = $(element).text().trim();
+            if (loc) sitemaps.push(loc);
+        });
+
+        $('urlset > url').each((i, element) => {
+            const $url = $(element);
+            const loc = $url.children('loc').text().trim();
+            if (!loc) return;
+
+            const priority = parseFloat($url.children('priority').text());
+            urls.push({
+                url: loc,
+                lastmod: $url.children('lastmod').text().trim() || null,
+                priority: Number.isNaN(priority) ? null : priority,
+                changefreq: $url.children('changefreq').text().trim() || null,
+                sitemap: sitemapUrl
+            });
+        });
+
+        return { sitemaps, urls };
+    }
+}
+
+module.exports = SitemapReader;
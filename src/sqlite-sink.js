@@ -0,0 +1,119 @@
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS pages (
+        id INTEGER PRIMARY KEY,
+        url TEXT NOT NULL UNIQUE,
+        canonical_url TEXT,
+        final_url TEXT,
+        title TEXT,
+        status_code INTEGER,
+        content_type TEXT,
+        crawled_at TEXT,
+        description TEXT,
+        keywords TEXT,
+        author TEXT,
+        text TEXT,
+        html TEXT,
+        from_cache INTEGER,
+        unchanged INTEGER,
+        extra TEXT
+    );
+    CREATE TABLE IF NOT EXISTS links (
+        page_id INTEGER NOT NULL REFERENCES pages(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        text TEXT,
+        title TEXT,
+        target TEXT
+    );
+    CREATE TABLE IF NOT EXISTS images (
+        page_id INTEGER NOT NULL REFERENCES pages(id) ON DELETE CASCADE,
+        src TEXT NOT NULL,
+        alt TEXT,
+        title TEXT,
+        width TEXT,
+        height TEXT
+    );
+    CREATE INDEX IF NOT EXISTS links_page ON links(page_id);
+    CREATE INDEX IF NOT EXISTS links_url ON links(url);
+    CREATE INDEX IF NOT EXISTS images_page ON images(page_id);
+`;
+
+// Stores pages with their links and images in normalized tables, one transaction per page
+class SqliteSink {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.format = 'sqlite';
+        this.db = null;
+        this.count = 0;
+    }
+
+    open() {
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.db.exec(SCHEMA);
+
+        const deletePage = this.db.prepare('DELETE FROM pages WHERE url = ?');
+        const insertPage = this.db.prepare(`
+            INSERT INTO pages (url, canonical_url, final_url, title, status_code, content_type, crawled_at,
+                description, keywords, author, text, html, from_cache, unchanged, extra)
+            VALUES (@url, @canonicalUrl, @finalUrl, @title, @statusCode, @contentType, @timestamp,
+                @description, @keywords, @author, @text, @html, @fromCache, @unchanged, @extra)
+        `);
+        const insertLink = this.db.prepare('INSERT INTO links (page_id, url, text, title, target) VALUES (?, ?, ?, ?, ?)');
+        const insertImage = this.db.prepare('INSERT INTO images (page_id, src, alt, title, width, height) VALUES (?, ?, ?, ?, ?, ?)');
+
+        // A recrawled URL (e.g. after resuming) replaces its earlier row
+        this.insert = this.db.transaction(page => {
+            const {
+                url, canonicalUrl, finalUrl, title, statusCode, contentType, timestamp, fromCache, unchanged,
+                html, text, links = [], images = [], meta = {}, ...extra
+            } = page;
+            const { description, keywords, author, ...otherMeta } = meta;
+
+            deletePage.run(url);
+            const { lastInsertRowid: pageId } = insertPage.run({
+                url,
+                canonicalUrl: canonicalUrl || null,
+                finalUrl: finalUrl || null,
+                title: title || null,
+                statusCode: statusCode || null,
+                contentType: contentType || null,
+                timestamp: timestamp || null,
+                description: description || null,
+                keywords: keywords || null,
+                author: author || null,
+                text: text ?? null,
+                html: html ?? null,
+                fromCache: fromCache ? 1 : 0,
+                unchanged: unchanged ? 1 : 0,
+                // Everything without a column of its own (records, sitemap, timing, other meta, ...)
+                extra: JSON.stringify({ ...extra, meta: otherMeta })
+            });
+
+            for (const link of links) {
+                insertLink.run(pageId, link.url, link.text || null, link.title || null, link.target || null);
+            }
+            for (const image of images) {
+                insertImage.run(pageId, image.src, image.alt || null, image.title || null,
+                    image.width || null, image.height || null);
+            }
+        });
+    }
+
+    write(page) {
+        if (!this.db) this.open();
+        this.insert(page);
+        this.count++;
+    }
+
+    async close() {
+        if (!this.db) return null;
+        this.db.close();
+        this.db = null;
+        return this.filePath;
+    }
+}
+
+module.exports = SqliteSink;
@@ -0,0 +1,158 @@
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const WarcWriter = require('./warc-writer');
+
+const CDX_HEADER = ' CDX N b a m s k r M S V g';
+const INITIAL_WINDOW = 64 * 1024;
+
+// Reads gzip-per-record WARC files and builds CDX indexes over them
+class WarcReader {
+    // Yields { offset, length, headers, block } for every record, where offset/length
+    // are the position of the record's gzip member in the file
+    static async *records(filePath) {
+        const handle = await fs.open(filePath, 'r');
+        try {
+            const { size } = await handle.stat();
+            let offset = 0;
+
+            while (offset < size) {
+                const member = await WarcReader.readMember(handle, offset, size);
+                yield { offset, length: member.length, ...WarcReader.parseRecord(member.data, filePath, offset) };
+                offset += member.length;
+            }
+        } finally {
+            await handle.close();
+        }
+    }
+
+    // Inflates the gzip member at offset, growing the read window until it holds the whole member
+    static async readMember(handle, offset, size) {
+        let windowSize = INITIAL_WINDOW;
+        for (;;) {
+            const length = Math.min(windowSize, size - offset);
+            const { buffer } = await handle.read(Buffer.alloc(length), 0, length, offset);
+
+            if (buffer[0] !== 0x1f || buffer[1] !== 0x8b) {
+                throw new Error(`Not a gzip-per-record WARC: no gzip member at offset ${offset}`);
+            }
+            const headerLength = WarcReader.gzipHeaderLength(buffer);
+
+            try {
+                const { buffer: data, engine } = zlib.inflateRawSync(buffer.subarray(headerLength), { info: true });
+                // Deflate data, then the 8-byte CRC32/ISIZE trailer
+                return { data, length: headerLength + engine.bytesWritten + 8 };
+            } catch (error) {
+                if (error.code !== 'Z_BUF_ERROR' || offset + length >= size) throw error;
+                windowSize *= 4;
+            }
+        }
+    }
+
+    static gzipHeaderLength(buffer) {
+        const flags = buffer[3];
+        let length = 10;
+        if (flags & 0x04) length += 2 + buffer.readUInt16LE(length); // FEXTRA
+        if (flags & 0x08) length = buffer.indexOf(0, length) + 1; // FNAME
+        if (flags & 0x10) length = buffer.indexOf(0, length) + 1; // FCOMMENT
+        if (flags & 0x02) length += 2; // FHCRC
+        return length;
+    }
+
+    static parseRecord(data, filePath, offset) {
+        const end = data.indexOf('\r\n\r\n');
+        if (end === -1 || !data.subarray(0, 5).equals(Buffer.from('WARC/'))) {
+            throw new Error(`Invalid WARC record in ${filePath} at offset ${offset}`);
+        }
+
+        const headers = {};
+        for (const line of data.subarray(0, end).toString('utf8').split('\r\n').slice(1)) {
+            const index = line.indexOf(':');
+            if (index !== -1) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+        }
+
+        const start = end + 4;
+        const length = parseInt(headers['content-length']) || 0;
+        return { headers, block: data.subarray(start, start + length) };
+    }
+
+    // Splits an application/http block into status code, headers and payload
+    static parseHttp(block) {
+        const end = block.indexOf('\r\n\r\n');
+        const head = block.subarray(0, end === -1 ? block.length : end).toString('latin1').split('\r\n');
+        const headers = {};
+        for (const line of head.slice(1)) {
+            const index = line.indexOf(':');
+            if (index !== -1) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+        }
+        return {
+            status: parseInt(head[0].split(' ')[1]) || null,
+            headers,
+            payload: end === -1 ? Buffer.alloc(0) : block.subarray(end + 4)
+        };
+    }
+
+    // Sort-friendly URL key: scheme and www. dropped, host reversed, query sorted
+    static surt(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return url;
+        }
+
+        const host = parsed.hostname.toLowerCase().replace(/^www\d*\./, '').split('.').reverse().join(',');
+        const port = parsed.port ? `:${parsed.port}` : '';
+        const params = [...parsed.searchParams].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+        const query = params.length ? `?${new URLSearchParams(params).toString()}` : '';
+        return `${host}${port})${parsed.pathname.toLowerCase()}${query.toLowerCase()}`;
+    }
+
+    // One CDX line per response and revisit record
+    static async indexFile(filePath) {
+        const lines = [];
+        const fileName = path.basename(filePath);
+
+        for await (const record of WarcReader.records(filePath)) {
+            const type = record.headers['warc-type'];
+            if (type !== 'response' && type !== 'revisit') continue;
+
+            const url = record.headers['warc-target-uri'];
+            const http = WarcReader.parseHttp(record.block);
+            const timestamp = (record.headers['warc-date'] || '').replace(/\D/g, '').slice(0, 14);
+            const mime = type === 'revisit'
+                ? 'warc/revisit'
+                : (http.headers['content-type'] || '-').split(';')[0].trim().toLowerCase() || '-';
+            const digest = record.headers['warc-payload-digest']
+                || (type === 'revisit' ? '-' : WarcWriter.digest(http.payload));
+
+            lines.push([
+                WarcReader.surt(url),
+                timestamp,
+                url.replace(/ /g, '%20'),
+                mime,
+                http.status || '-',
+                digest.replace(/^sha1:/i, ''),
+                (http.headers.location || '-').replace(/ /g, '%20'),
+                '-',
+                record.length,
+                record.offset,
+                fileName
+            ].join(' '));
+        }
+
+        return lines;
+    }
+
+    // Resolves with the CDX file contents for all files, sorted by URL key then time
+    static async index(filePaths) {
+        const lines = [];
+        for (const filePath of filePaths) {
+            lines.push(...(await WarcReader.indexFile(filePath)));
+        }
+        lines.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        return [CDX_HEADER, ...lines].join('\n') + '\n';
+    }
+}
+
+module.exports = WarcReader;
@@ -0,0 +1,219 @@
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+const WARC_VERSION = 'WARC/1.1';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+// Credentials never reach the archive; the header line is kept with its value replaced
+const REDACTED_REQUEST_HEADERS = ['authorization', 'proxy-authorization', 'cookie'];
+// Bodies are archived decoded, so these would no longer describe them
+const DECODED_RESPONSE_HEADERS = ['content-encoding', 'transfer-encoding', 'content-length'];
+
+// Writes request/response/metadata record triples to gzip-per-record WARC/1.1 files
+class WarcWriter {
+    constructor(options = {}) {
+        this.dir = options.dir;
+        this.prefix = options.prefix || 'crawl';
+        this.maxSize = options.maxSize || 1024 * 1024 * 1024;
+        this.info = options.info || {};
+
+        this.file = null; // { path, handle, size }
+        this.files = [];
+        this.records = 0;
+        this.pending = Promise.resolve();
+    }
+
+    static date(date = new Date()) {
+        return date.toISOString().replace(/\.\d+Z$/, 'Z');
+    }
+
+    static recordId() {
+        return `<urn:uuid:${crypto.randomUUID()}>`;
+    }
+
+    static base32(buffer) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        return output;
+    }
+
+    static digest(buffer) {
+        return `sha1:${WarcWriter.base32(crypto.createHash('sha1').update(buffer).digest())}`;
+    }
+
+    // Request line and headers as sent, for clients that don't expose the raw request
+    static requestHead(method, url, headers = {}) {
+        const parsed = new URL(url);
+        const lines = [`${method.toUpperCase()} ${parsed.pathname}${parsed.search} HTTP/1.1`];
+        if (!Object.keys(headers).some(name => name.toLowerCase() === 'host')) {
+            lines.push(`Host: ${parsed.host}`);
+        }
+        for (const [name, value] of Object.entries(headers)) {
+            lines.push(`${name}: ${value}`);
+        }
+        return lines.join('\r\n') + '\r\n\r\n';
+    }
+
+    static redactRequest(head) {
+        return head.replace(/^([^:\r\n]+):[^\r\n]*/gm, (line, name) => (
+            REDACTED_REQUEST_HEADERS.includes(name.trim().toLowerCase()) ? `${name}: [redacted]` : line
+        ));
+    }
+
+    // headers is a list of [name, value] pairs in the order received
+    static responseHead(statusLine, headers, body) {
+        const lines = [statusLine];
+        for (const [name, value] of headers) {
+            if (DECODED_RESPONSE_HEADERS.includes(name.toLowerCase())) {
+                if (name.toLowerCase() !== 'content-length') lines.push(`X-Archive-Orig-${name}: ${value}`);
+            } else {
+                lines.push(`${name}: ${value}`);
+            }
+        }
+        if (body) lines.push(`Content-Length: ${body.length}`);
+        return lines.join('\r\n') + '\r\n\r\n';
+    }
+
+    static record(type, fields, block) {
+        const lines = [WARC_VERSION, `WARC-Type: ${type}`];
+        for (const [name, value] of Object.entries(fields)) {
+            if (value !== undefined && value !== null) lines.push(`${name}: ${value}`);
+        }
+        lines.push(`WARC-Block-Digest: ${WarcWriter.digest(block)}`, `Content-Length: ${block.length}`);
+        return Buffer.concat([Buffer.from(lines.join('\r\n') + '\r\n\r\n'), block, Buffer.from('\r\n\r\n')]);
+    }
+
+    // exchange: { url, requestHead, statusLine, headers: [[name, value]], body, notModified, metadata }
+    writeExchange(exchange) {
+        const run = () => this.write(exchange);
+        this.pending = this.pending.then(run, run);
+        return this.pending;
+    }
+
+    async write({ url, requestHead, statusLine, headers, body = Buffer.alloc(0), notModified = false, metadata = {} }) {
+        if (!this.file || this.file.size >= this.maxSize) {
+            await this.rollover();
+        }
+
+        const date = WarcWriter.date();
+        const responseId = WarcWriter.recordId();
+        const records = [];
+
+        if (notModified) {
+            // A 304 has no body; the payload is in an earlier capture of the same URL
+            const block = Buffer.from(WarcWriter.responseHead(statusLine, headers, null));
+            records.push(WarcWriter.record('revisit', {
+                'WARC-Record-ID': responseId,
+                'WARC-Date': date,
+                'WARC-Target-URI': url,
+                'WARC-Profile': 'http://netpreserve.org/warc/1.1/revisit/server-not-modified',
+                'WARC-Refers-To-Target-URI': url,
+                'Content-Type': 'application/http; msgtype=response'
+            }, block));
+        } else {
+            const block = Buffer.concat([Buffer.from(WarcWriter.responseHead(statusLine, headers, body)), body]);
+            records.push(WarcWriter.record('response', {
+                'WARC-Record-ID': responseId,
+                'WARC-Date': date,
+                'WARC-Target-URI': url,
+                'WARC-Payload-Digest': WarcWriter.digest(body),
+                'Content-Type': 'application/http; msgtype=response'
+            }, block));
+        }
+
+        records.push(WarcWriter.record('request', {
+            'WARC-Record-ID': WarcWriter.recordId(),
+            'WARC-Date': date,
+            'WARC-Target-URI': url,
+            'WARC-Concurrent-To': responseId,
+            'Content-Type': 'application/http; msgtype=request'
+        }, Buffer.from(WarcWriter.redactRequest(requestHead))));
+
+        const fields = Object.entries(metadata)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([name, value]) => `${name}: ${value}\r\n`)
+            .join('');
+        if (fields) {
+            records.push(WarcWriter.record('metadata', {
+                'WARC-Record-ID': WarcWriter.recordId(),
+                'WARC-Date': date,
+                'WARC-Target-URI': url,
+                'WARC-Concurrent-To': responseId,
+                'Content-Type': 'application/warc-fields'
+            }, Buffer.from(fields)));
+        }
+
+        for (const record of records) {
+            await this.append(record);
+        }
+    }
+
+    async append(record) {
+        const compressed = zlib.gzipSync(record);
+        await this.file.handle.write(compressed);
+        this.file.size += compressed.length;
+        this.records++;
+    }
+
+    async rollover() {
+        await this.closeFile();
+        await fs.mkdir(this.dir, { recursive: true });
+
+        // Never reuse a name, so a resumed crawl starts the next file in the series
+        let serial = this.files.length;
+        let handle;
+        let filePath;
+        for (;;) {
+            filePath = path.join(this.dir, `${this.prefix}-${String(serial).padStart(5, '0')}.warc.gz`);
+            try {
+                handle = await fs.open(filePath, 'wx');
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+                serial++;
+            }
+        }
+
+        this.file = { path: filePath, handle, size: 0 };
+        this.files.push(filePath);
+
+        const fields = {
+            software: 'linux-web-crawler',
+            format: 'WARC File Format 1.1',
+            conformsTo: 'http://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/',
+            ...this.info
+        };
+        await this.append(WarcWriter.record('warcinfo', {
+            'WARC-Record-ID': WarcWriter.recordId(),
+            'WARC-Date': WarcWriter.date(),
+            'WARC-Filename': path.basename(filePath),
+            'Content-Type': 'application/warc-fields'
+        }, Buffer.from(Object.entries(fields).map(([name, value]) => `${name}: ${value}\r\n`).join(''))));
+    }
+
+    async closeFile() {
+        if (!this.file) return;
+        await this.file.handle.close();
+        this.file = null;
+    }
+
+    // Resolves with the paths of every file written
+    async close() {
+        await this.pending.catch(() => {});
+        await this.closeFile();
+        return this.files;
+    }
+}
+
+module.exports = WarcWriter;
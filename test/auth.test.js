@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WebCrawler = require('../src/crawler');
+
+function crawlerWith(auth) {
+    const crawler = new WebCrawler({ auth, output: ['json'] });
+    crawler.logger.silent = true;
+    return crawler;
+}
+
+// Records what applyBrowserAuth() does to a Puppeteer page
+function fakePage() {
+    const page = { calls: [], handlers: [] };
+    page.authenticate = async credentials => page.calls.push(['authenticate', credentials]);
+    page.setCookie = async (...cookies) => page.calls.push(['setCookie', cookies]);
+    page.setRequestInterception = async enabled => page.calls.push(['setRequestInterception', enabled]);
+    page.on = (event, handler) => page.handlers.push(handler);
+    return page;
+}
+
+function fakeRequest(url) {
+    const request = { continued: null };
+    request.url = () => url;
+    request.headers = () => ({ accept: '*/*' });
+    request.isInterceptResolutionHandled = () => false;
+    request.continue = overrides => {
+        request.continued = overrides;
+    };
+    return request;
+}
+
+test('basic auth uses page.authenticate, or origin headers when a proxy needs the challenge', async () => {
+    const crawler = crawlerWith({ type: 'basic', credentials: { username: 'u', password: 'p' } });
+
+    const page = fakePage();
+    await crawler.applyBrowserAuth(page, 'https://a.test/');
+    assert.deepStrictEqual(page.calls, [['authenticate', { username: 'u', password: 'p' }]]);
+
+    const proxied = fakePage();
+    await crawler.applyBrowserAuth(proxied, 'https://a.test/', { username: 'proxy', password: 'x' });
+    assert.deepStrictEqual(proxied.calls, [['setRequestInterception', true]]);
+});
+
+test('header auth is only sent to the page origin', async () => {
+    const crawler = crawlerWith({ type: 'bearer', credentials: { token: 't0k' } });
+    const page = fakePage();
+    await crawler.applyBrowserAuth(page, 'https://a.test/start');
+
+    const [same, other, opaque] = ['https://a.test/api', 'https://cdn.test/lib.js', 'data:text/plain,x'].map(fakeRequest);
+    for (const request of [same, other, opaque]) page.handlers[0](request);
+
+    assert.deepStrictEqual(same.continued, { headers: { accept: '*/*', authorization: 'Bearer t0k' } });
+    assert.deepStrictEqual(other.continued, {});
+    assert.deepStrictEqual(opaque.continued, {});
+});
+
+test('cookie auth sets cookies scoped to the URL unless they carry a domain', async () => {
+    const page = fakePage();
+    await crawlerWith({ type: 'cookie', credentials: { cookies: 'sid=1; theme=dark' } }).applyBrowserAuth(page, 'https://a.test/x');
+    assert.deepStrictEqual(page.calls, [['setCookie', [
+        { name: 'sid', value: '1', url: 'https://a.test/x' },
+        { name: 'theme', value: 'dark', url: 'https://a.test/x' }
+    ]]]);
+
+    const cookies = [{ name: 'a', value: '1', domain: '.a.test' }, { name: 'b', value: '2' }];
+    const objects = fakePage();
+    await crawlerWith({ type: 'cookie', credentials: { cookies } }).applyBrowserAuth(objects, 'https://a.test/');
+    assert.deepStrictEqual(objects.calls[0][1], [cookies[0], { name: 'b', value: '2', url: 'https://a.test/' }]);
+});
+
+test('nothing is applied without auth or when the credentials are incomplete', async () => {
+    const page = fakePage();
+    await crawlerWith(null).applyBrowserAuth(page, 'https://a.test/');
+    await crawlerWith({ type: 'basic', credentials: { username: 'u' } }).applyBrowserAuth(page, 'https://a.test/');
+    assert.deepStrictEqual(page.calls, []);
+});
+
+test('curl gets -u, --cookie or -H arguments', async () => {
+    assert.deepStrictEqual(
+        await crawlerWith({ type: 'basic', credentials: { username: 'u', password: 'p' } }).getCurlAuthArgs('https://a.test/'),
+        ['-u', 'u:p']
+    );
+    assert.deepStrictEqual(
+        await crawlerWith({ type: 'cookie', credentials: { cookies: '[{"name":"sid","value":"1"}]' } }).getCurlAuthArgs('https://a.test/'),
+        ['--cookie', 'sid=1']
+    );
+    assert.deepStrictEqual(
+        await crawlerWith({ type: 'apikey', credentials: { key: 'k', header: 'X-Token' } }).getCurlAuthArgs('https://a.test/'),
+        ['-H', 'X-Token: k']
+    );
+    assert.deepStrictEqual(await crawlerWith(null).getCurlAuthArgs('https://a.test/'), []);
+});
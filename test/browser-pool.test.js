@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const BrowserPool = require('../src/browser-pool');
+
+const logger = { info() {}, warn() {} };
+
+// A browser stand-in; contexts hand out plain page objects
+class FakeBrowser extends EventEmitter {
+    constructor() {
+        super();
+        this.connected = true;
+        this.contexts = [];
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+
+    process() {
+        return null;
+    }
+
+    async createIncognitoBrowserContext(options) {
+        const context = { options, closed: false, newPage: async () => ({ context }), close: async () => { context.closed = true; } };
+        this.contexts.push(context);
+        return context;
+    }
+
+    async close() {
+        this.connected = false;
+        this.emit('disconnected');
+    }
+}
+
+// puppeteer is swapped for fake browsers so the pool runs without Chrome
+const puppeteer = require('puppeteer');
+let browsers = [];
+puppeteer.launch = async () => {
+    const browser = new FakeBrowser();
+    browsers.push(browser);
+    return browser;
+};
+
+function fakePool(options = {}) {
+    browsers = [];
+    return new BrowserPool({ logger, ...options });
+}
+
+test('no more than size pages are open at once', async () => {
+    const pool = fakePool({ size: 1 });
+    const first = await pool.acquire();
+
+    let second = null;
+    const waiting = pool.acquire().then(lease => {
+        second = lease;
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(second, null);
+
+    await first.release();
+    await waiting;
+    assert.strictEqual(first.page.context.closed, true);
+    assert.strictEqual(browsers.length, 1);
+    await second.release();
+    await pool.close();
+});
+
+test('each page gets its own context, with the proxy when one is given', async () => {
+    const pool = fakePool();
+    const lease = await pool.acquire({ proxyServer: 'http://p.test:1' });
+    assert.deepStrictEqual(lease.page.context.options, { proxyServer: 'http://p.test:1' });
+    await lease.release();
+    await lease.release();
+    assert.strictEqual(pool.active, 0);
+    await pool.close();
+});
+
+test('the browser is recycled after recycleAfter pages', async () => {
+    const pool = fakePool({ recycleAfter: 2 });
+    for (let i = 0; i < 3; i++) await (await pool.acquire()).release();
+
+    assert.strictEqual(browsers.length, 2);
+    assert.strictEqual(browsers[0].connected, false);
+    assert.deepStrictEqual(pool.stats, { launches: 2, crashes: 0, recycles: 1 });
+    await pool.close();
+});
+
+test('an unexpected disconnect counts as a crash and the next page relaunches', async () => {
+    const pool = fakePool();
+    await (await pool.acquire()).release();
+    await browsers[0].close();
+
+    await (await pool.acquire()).release();
+    assert.deepStrictEqual(pool.stats, { launches: 2, crashes: 1, recycles: 0 });
+    await pool.close();
+    assert.strictEqual(pool.stats.crashes, 1);
+});
+
+test('closing the pool rejects waiting and later acquires', async () => {
+    const pool = fakePool({ size: 1 });
+    const lease = await pool.acquire();
+    const waiting = pool.acquire();
+    await pool.close();
+
+    await assert.rejects(waiting, /Browser pool is closed/);
+    await assert.rejects(pool.acquire(), /Browser pool is closed/);
+    await lease.release();
+});
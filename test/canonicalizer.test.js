@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const UrlCanonicalizer = require('../src/canonicalizer');
+const WebCrawler = require('../src/crawler');
+
+const canonicalizer = new UrlCanonicalizer();
+
+test('lowercases the host, drops default ports and fragments', () => {
+    assert.strictEqual(canonicalizer.canonicalize('HTTPS://Example.COM:443/Path#top'), 'https://example.com/Path');
+    assert.strictEqual(canonicalizer.canonicalize('http://example.com:8080/'), 'http://example.com:8080/');
+});
+
+test('removes trailing slashes except on the root path', () => {
+    assert.strictEqual(canonicalizer.canonicalize('https://a.test/docs/'), 'https://a.test/docs');
+    assert.strictEqual(canonicalizer.canonicalize('https://a.test/docs//'), 'https://a.test/docs');
+    assert.strictEqual(canonicalizer.canonicalize('https://a.test'), 'https://a.test/');
+    assert.strictEqual(new UrlCanonicalizer({ trailingSlash: false }).canonicalize('https://a.test/docs/'), 'https://a.test/docs/');
+});
+
+test('sorts query parameters by name, then value', () => {
+    assert.strictEqual(canonicalizer.canonicalize('https://a.test/q?b=2&a=2&a=1'), 'https://a.test/q?a=1&a=2&b=2');
+});
+
+test('strips tracking parameters, including configured ones and utm_* prefixes', () => {
+    assert.strictEqual(canonicalizer.canonicalize('https://a.test/?utm_source=x&UTM_Medium=y&gclid=1&id=7'), 'https://a.test/?id=7');
+    assert.strictEqual(canonicalizer.canonicalize('https://a.test/?utm_source=x'), 'https://a.test/');
+
+    const custom = new UrlCanonicalizer({ stripParams: ['sessionid', 'ref_*'] });
+    assert.strictEqual(custom.canonicalize('https://a.test/?sessionid=1&ref_src=t&page=2'), 'https://a.test/?page=2');
+});
+
+test('resolves against a base and returns null for unparseable URLs', () => {
+    assert.strictEqual(canonicalizer.canonicalize('../b/?utm_campaign=z', 'https://a.test/x/y'), 'https://a.test/b');
+    assert.strictEqual(canonicalizer.canonicalize('http://'), null);
+    assert.strictEqual(canonicalizer.canonicalize('relative/path'), null);
+});
+
+test('passes non-web URLs through', () => {
+    assert.strictEqual(canonicalizer.canonicalize('mailto:me@a.test?subject=Hi'), 'mailto:me@a.test?subject=Hi');
+});
+
+test('extracted links carry the canonical url and the href as written', () => {
+    const crawler = new WebCrawler({ output: ['json'] });
+    crawler.logger.silent = true;
+    const $ = cheerio.load('<a href="/docs/?b=1&a=%2F#intro" title="Docs">Docs</a><a href="http://">broken</a>');
+
+    assert.deepStrictEqual(crawler.extractLinks($, 'https://a.test/page'), [{
+        text: 'Docs',
+        url: 'https://a.test/docs?a=%2F&b=1',
+        href: 'https://a.test/docs/?b=1&a=%2F#intro',
+        title: 'Docs',
+        target: '_self'
+    }]);
+});
+
+test('a page declaring another canonical URL is a duplicate once that URL is visited', () => {
+    const crawler = new WebCrawler({ output: ['json'] });
+    crawler.logger.silent = true;
+
+    assert.strictEqual(crawler.claimCanonical('https://a.test/x?utm_source=y', 'https://a.test/x'), true);
+    assert.strictEqual(crawler.claimCanonical('https://a.test/print/1', 'https://a.test/article/1'), true);
+    assert.strictEqual(crawler.claimCanonical('https://a.test/amp/1', 'https://a.test/article/1'), false);
+    assert.strictEqual(crawler.skippedUrls.get('https://a.test/amp/1').reason, 'duplicate-of:https://a.test/article/1');
+});
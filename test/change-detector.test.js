@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChangeDetector = require('../src/change-detector');
+
+test('diffLines counts repeated lines', () => {
+    assert.deepStrictEqual(ChangeDetector.diffLines(['a', 'b', 'b'], ['b', 'c', 'a']), { added: ['c'], removed: ['b'] });
+    assert.deepStrictEqual(ChangeDetector.diffLines(undefined, ['x']), { added: ['x'], removed: [] });
+});
+
+test('snapshot splits minified HTML into one line per block and ignores scripts', () => {
+    const detector = new ChangeDetector({ selectors: ['.price'] });
+    const { pages } = detector.snapshot([{
+        url: 'https://a.test/',
+        title: 'Home',
+        html: '<body><h1>Shop</h1><p>Mugs   and\ncups</p><script>var x = 1;</script><span class="price"> $5 </span></body>',
+        links: [{ url: 'https://a.test/b' }, { url: 'https://a.test/a' }, { url: 'https://a.test/b' }]
+    }]);
+
+    const page = pages['https://a.test/'];
+    assert.ok(page.text.includes('Shop'));
+    assert.ok(page.text.includes('Mugs and cups'));
+    assert.ok(!page.text.some(line => line.includes('var x')));
+    assert.deepStrictEqual(page.elements, { '.price': ['$5'] });
+    assert.deepStrictEqual(page.links, ['https://a.test/a', 'https://a.test/b']);
+});
+
+test('compare reports added, removed and changed pages', () => {
+    const detector = new ChangeDetector({ selectors: ['.price'] });
+    const page = (title, text, price, links = []) => ({ title, text, elements: { '.price': [price] }, links });
+    const previous = {
+        timestamp: '2024-01-01T00:00:00.000Z',
+        pages: {
+            'https://a.test/': page('Home', ['Welcome', 'Mugs'], '$5', ['https://a.test/old']),
+            'https://a.test/same': page('Same', ['x'], '$1'),
+            'https://a.test/gone': page('Gone', [], '$0')
+        }
+    };
+    const current = {
+        pages: {
+            'https://a.test/': page('Home!', ['Welcome', 'Cups'], '$6', ['https://a.test/new']),
+            'https://a.test/same': page('Same', ['x'], '$1'),
+            'https://a.test/new': page('New', [], '$2')
+        }
+    };
+
+    assert.deepStrictEqual(detector.compare(previous, current), {
+        changed: true,
+        since: '2024-01-01T00:00:00.000Z',
+        added: ['https://a.test/new'],
+        removed: ['https://a.test/gone'],
+        pages: [{
+            url: 'https://a.test/',
+            title: { before: 'Home', after: 'Home!' },
+            text: { added: ['Cups'], removed: ['Mugs'] },
+            elements: { '.price': { added: ['$6'], removed: ['$5'] } },
+            links: { added: ['https://a.test/new'], removed: ['https://a.test/old'] }
+        }]
+    });
+    assert.strictEqual(detector.compare(current, current).changed, false);
+});
+
+test('retain keeps pages that failed this run out of the diff', () => {
+    const previous = { pages: { 'https://a.test/x': { title: 'X' } } };
+    const snapshot = ChangeDetector.retain({ pages: {} }, previous, ['https://a.test/x', 'https://a.test/y']);
+    assert.deepStrictEqual(snapshot.pages, { 'https://a.test/x': { title: 'X' } });
+});
+
+test('format lists removed lines before added ones and truncates after maxLines', () => {
+    const detector = new ChangeDetector({ maxLines: 2 });
+    const output = detector.format({
+        since: 'then',
+        added: ['https://a.test/new'],
+        removed: [],
+        pages: [{ url: 'https://a.test/', text: { added: ['b', 'c'], removed: ['a'] } }]
+    });
+    assert.strictEqual(output, [
+        '1 page(s) changed, 1 added, 0 removed since then',
+        '',
+        '~ https://a.test/',
+        '  text:',
+        '    - a',
+        '    + b',
+        '    ... 1 more',
+        '',
+        '+ https://a.test/new (new page)'
+    ].join('\n'));
+});
+
+test('baselines round-trip through the baseline directory', async () => {
+    const baselineDir = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-test-'));
+    try {
+        const detector = new ChangeDetector({ baselineDir });
+        assert.strictEqual(await detector.loadBaseline('https://a.test/'), null);
+        await detector.saveBaseline('https://a.test/', { pages: {} });
+        assert.deepStrictEqual(await detector.loadBaseline('https://a.test/'), { pages: {} });
+        assert.deepStrictEqual(fs.readdirSync(baselineDir), ['https___a_test_.json']);
+    } finally {
+        fs.rmSync(baselineDir, { recursive: true });
+    }
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CrawlCheckpoint = require('../src/checkpoint');
+const WebCrawler = require('../src/crawler');
+
+async function tempDir() {
+    return fs.mkdtemp(path.join(os.tmpdir(), 'checkpoint-test-'));
+}
+
+test('save and load round-trip the state and the pages', async () => {
+    const dir = await tempDir();
+    const checkpoint = new CrawlCheckpoint(dir);
+    const pages = [{ url: 'https://a.test/' }];
+
+    await checkpoint.save({ url: 'https://a.test/', visited: ['https://a.test/'] }, pages);
+    pages.push({ url: 'https://a.test/next' });
+    await checkpoint.save({ url: 'https://a.test/', visited: ['https://a.test/', 'https://a.test/next'] }, pages);
+
+    const { state } = await CrawlCheckpoint.load(dir);
+    assert.strictEqual(state.url, 'https://a.test/');
+    assert.strictEqual(state.pagesSaved, 2);
+    assert.deepStrictEqual(state.pages, pages);
+    await fs.rm(dir, { recursive: true });
+});
+
+test('pages appended by an unfinished checkpoint are dropped on load', async () => {
+    const dir = await tempDir();
+    await new CrawlCheckpoint(dir).save({ url: 'https://a.test/' }, [{ url: 'https://a.test/' }]);
+    await fs.appendFile(path.join(dir, 'pages.ndjson'), JSON.stringify({ url: 'https://a.test/torn' }) + '\n');
+
+    const { checkpoint, state } = await CrawlCheckpoint.load(dir);
+    assert.deepStrictEqual(state.pages.map(page => page.url), ['https://a.test/']);
+    assert.strictEqual(checkpoint.pagesSaved, 1);
+    assert.strictEqual((await fs.readFile(path.join(dir, 'pages.ndjson'), 'utf8')).trim().split('\n').length, 1);
+    await fs.rm(dir, { recursive: true });
+});
+
+test('concurrent saves are written one after the other', async () => {
+    const dir = await tempDir();
+    const checkpoint = new CrawlCheckpoint(dir);
+    const pages = [{ url: 'https://a.test/1' }];
+    const first = checkpoint.save({ step: 1 }, pages);
+    pages.push({ url: 'https://a.test/2' });
+    const second = checkpoint.save({ step: 2 }, pages);
+    await Promise.all([first, second]);
+
+    const { state } = await CrawlCheckpoint.load(dir);
+    assert.strictEqual(state.step, 2);
+    assert.deepStrictEqual(state.pages.map(page => page.url), ['https://a.test/1', 'https://a.test/2']);
+    await fs.rm(dir, { recursive: true });
+});
+
+test('load fails clearly without a state file', async () => {
+    const dir = await tempDir();
+    await assert.rejects(CrawlCheckpoint.load(dir), /No crawl state found/);
+    await fs.rm(dir, { recursive: true });
+});
+
+test('the crawler leaves credentials and inline action scripts out of its checkpoint', async () => {
+    const dir = await tempDir();
+    await fs.writeFile(path.join(dir, 'schema.yaml'), 'rules:\n  - fields:\n      title: h1\n');
+    const crawler = new WebCrawler({
+        stateDir: dir,
+        output: ['json'],
+        auth: { type: 'bearer', credentials: { token: 'secret-token' } },
+        actionScript: { scripts: [{ steps: [{ type: '#password', text: 'hunter2' }] }] },
+        extractionSchema: path.join(dir, 'schema.yaml')
+    });
+    crawler.logger.silent = true;
+    crawler.activeCrawl = { url: 'https://a.test/', method: 'axios', frontier: { snapshot: () => ({ queue: [], seen: [] }) } };
+    await crawler.saveCheckpoint();
+
+    const raw = await fs.readFile(path.join(dir, 'state.json'), 'utf8');
+    const { options } = JSON.parse(raw);
+    assert.ok(!raw.includes('secret-token'));
+    assert.ok(!raw.includes('hunter2'));
+    assert.strictEqual(options.actionScript, undefined);
+    assert.strictEqual(options.extractionSchema, path.join(dir, 'schema.yaml'));
+    await fs.rm(dir, { recursive: true });
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const ContentExtractor = require('../src/content-extractor');
+
+const paragraph = topic => `<p>This paragraph about ${topic} is long enough, with commas, clauses, and detail, to count as body text for scoring.</p>`;
+
+test('the article body is kept and navigation, sidebars and scripts are dropped', () => {
+    const html = `<html><head><title>Site | Post</title></head><body>
+        <nav><a href="/">Home</a></nav>
+        <div class="sidebar">${paragraph('ads')}</div>
+        <div id="story">${paragraph('mugs')}${paragraph('cups')}<script>track()</script></div>
+        <footer>Copyright</footer>
+    </body></html>`;
+    const { content } = new ContentExtractor().extract(html, 'https://a.test/post');
+
+    assert.ok(content.text.includes('about mugs'));
+    assert.ok(content.text.includes('about cups'));
+    assert.ok(!/ads|Home|Copyright|track/.test(content.text));
+    assert.strictEqual(content.text.split('\n\n').length, 2);
+    assert.strictEqual(content.length, content.text.length);
+});
+
+test('metadata comes from meta tags and JSON-LD before the page body', () => {
+    const html = `<html><head>
+        <meta property="og:title" content="The Title">
+        <meta name="description" content="Short summary">
+        <script type="application/ld+json">{"@graph": [{"@type": "WebSite"}, {"@type": "NewsArticle", "author": [{"name": "Ann"}, "Bo"], "datePublished": "2024-02-03T04:05:06Z"}]}</script>
+        <script type="application/ld+json">{ not json</script>
+    </head><body><article>${paragraph('a')}${paragraph('b')}</article></body></html>`;
+    const { content } = new ContentExtractor().extract(html);
+
+    assert.strictEqual(content.title, 'The Title');
+    assert.strictEqual(content.byline, 'Ann, Bo');
+    assert.strictEqual(content.publishedAt, '2024-02-03T04:05:06.000Z');
+    assert.strictEqual(content.excerpt, 'Short summary');
+});
+
+test('byline and date fall back to markup inside the article', () => {
+    const html = `<body><article>
+        <h1>Heading</h1><span class="byline">By Cy Writer</span><time datetime="2023-12-31">New Year's Eve</time>
+        ${paragraph('x')}${paragraph('y')}
+    </article></body>`;
+    const { content } = new ContentExtractor().extract(html);
+
+    assert.strictEqual(content.title, 'Heading');
+    assert.strictEqual(content.byline, 'Cy Writer');
+    assert.strictEqual(content.publishedAt, '2023-12-31T00:00:00.000Z');
+    assert.ok(content.excerpt.startsWith('This paragraph about x'));
+});
+
+test('markdown keeps headings, lists and absolute links', () => {
+    const html = `<body><main>
+        <h2>Section</h2>${paragraph('links')}
+        <ul><li><a href="/docs">Docs</a></li></ul><img src="img/a.png" alt="A">
+        ${paragraph('more')}
+    </main></body>`;
+    const { markdown } = new ContentExtractor({ markdown: true }).extract(html, 'https://a.test/blog/post');
+
+    assert.match(markdown, /^## Section$/m);
+    assert.match(markdown, /^-\s+\[Docs\]\(https:\/\/a\.test\/docs\)$/m);
+    assert.match(markdown, /!\[A\]\(https:\/\/a\.test\/blog\/img\/a\.png\)/);
+    assert.strictEqual(new ContentExtractor().extract(html).markdown, undefined);
+});
+
+test('blockText puts one blank line between blocks and joins inline text', () => {
+    const extractor = new ContentExtractor();
+    const $ = cheerio.load('<div><h1>Title</h1>Intro <b>bold</b><br>next<table><tr><td>a</td><td>b</td></tr></table></div>');
+    assert.strictEqual(extractor.blockText($, $('div')), 'Title\n\nIntro bold\n\nnext\n\na b');
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ContentHandlers = require('../src/content-handlers');
+const WebCrawler = require('../src/crawler');
+
+const handlers = new ContentHandlers();
+const context = { url: 'https://a.test/feed/', contentType: '' };
+
+test('kindOf uses the Content-Type, then sniffs untyped bodies', () => {
+    const kind = (type, body = '') => ContentHandlers.kindOf(type, Buffer.from(body));
+    assert.strictEqual(kind('text/html; charset=utf-8'), 'html');
+    assert.strictEqual(kind('application/ld+json'), 'json');
+    assert.strictEqual(kind('application/atom+xml'), 'xml');
+    assert.strictEqual(kind('application/pdf'), 'pdf');
+    assert.strictEqual(kind('text/csv'), 'text');
+    assert.strictEqual(kind('image/png'), 'binary');
+
+    assert.strictEqual(kind('', '%PDF-1.7'), 'pdf');
+    assert.strictEqual(kind('application/octet-stream', '  <!DOCTYPE html><p>'), 'html');
+    assert.strictEqual(kind('', '<rss version="2.0">'), 'xml');
+    assert.strictEqual(kind('', '{"a": 1}'), 'json');
+    assert.strictEqual(kind('', 'ab\u0000cd'), 'binary');
+    assert.strictEqual(kind('', 'plain words'), 'html');
+    assert.strictEqual(kind('application/octet-stream', 'plain words'), 'binary');
+});
+
+test('isAllowed matches exact types and wildcards; no list allows everything', () => {
+    const allowed = new ContentHandlers({ allowedTypes: ['text/html, image/*', 'application/JSON'] });
+    assert.ok(allowed.isAllowed('text/html; charset=utf-8'));
+    assert.ok(allowed.isAllowed('image/webp'));
+    assert.ok(allowed.isAllowed('application/json'));
+    assert.ok(!allowed.isAllowed('application/pdf'));
+    assert.ok(!allowed.isAllowed(''));
+    assert.ok(new ContentHandlers({ allowedTypes: ['*/*'] }).isAllowed(''));
+    assert.ok(handlers.isAllowed('video/mp4'));
+});
+
+test('bodies are decoded with the declared charset', () => {
+    assert.strictEqual(ContentHandlers.decode(Buffer.from([0x63, 0x61, 0x66, 0xe9]), 'text/plain; charset="ISO-8859-1"'), 'café');
+    assert.strictEqual(ContentHandlers.decode(Buffer.from('café'), 'text/plain; charset=no-such-charset'), 'café');
+});
+
+test('JSON is parsed; malformed JSON is kept as text with the parse error', async () => {
+    assert.deepStrictEqual(await handlers.handle('json', Buffer.from('\uFEFF{"title": "T", "n": [1]}'), context), { title: 'T', data: { title: 'T', n: [1] } });
+    assert.deepStrictEqual(await handlers.handle('json', Buffer.from('[1, 2]'), context), { title: '', data: [1, 2] });
+
+    const broken = await handlers.handle('json', Buffer.from(' {"a": '), context);
+    assert.strictEqual(broken.text, '{"a":');
+    assert.match(broken.parseError, /JSON/);
+});
+
+test('RSS and Atom feeds become items with absolute links', async () => {
+    const rss = await handlers.handle('xml', Buffer.from(`<?xml version="1.0"?><rss version="2.0"><channel>
+        <title>News</title><link>/</link><description>All the news</description>
+        <item><title>First</title><link>/posts/1</link><pubDate>Tue, 02 Jan 2024 10:00:00 GMT</pubDate><description>One</description></item>
+    </channel></rss>`), context);
+    assert.strictEqual(rss.title, 'News');
+    assert.deepStrictEqual(rss.links, [{ text: 'First', url: 'https://a.test/posts/1' }]);
+    assert.deepStrictEqual(rss.feed.items, [{ title: 'First', url: 'https://a.test/posts/1', published: '2024-01-02T10:00:00.000Z', summary: 'One' }]);
+    assert.strictEqual(rss.text, 'First\nOne');
+
+    const atom = await handlers.handle('xml', Buffer.from(`<feed xmlns="http://www.w3.org/2005/Atom"><title>Blog</title>
+        <link rel="self" href="/feed.xml"/><link rel="alternate" href="/blog/"/>
+        <entry><title>Post</title><link href="entries/post"/><updated>2024-03-04T05:06:07Z</updated><content>Body</content></entry>
+    </feed>`), context);
+    assert.strictEqual(atom.feed.format, 'atom');
+    assert.strictEqual(atom.feed.url, 'https://a.test/blog/');
+    assert.deepStrictEqual(atom.feed.items[0], { title: 'Post', url: 'https://a.test/feed/entries/post', published: '2024-03-04T05:06:07.000Z', summary: 'Body' });
+});
+
+test('other XML becomes an object with attributes and repeated elements', async () => {
+    const result = await handlers.handle('xml', Buffer.from('<catalog version="2"><title>Parts</title><part id="a">Bolt</part><part>Nut</part><empty/></catalog>'), context);
+    assert.strictEqual(result.title, 'Parts');
+    assert.deepStrictEqual(result.data, {
+        catalog: { '@': { version: '2' }, title: 'Parts', part: [{ '@': { id: 'a' }, '#text': 'Bolt' }, 'Nut'], empty: '' }
+    });
+});
+
+test('binaries are hashed and stored once by content hash', async () => {
+    const downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'handlers-test-'));
+    try {
+        const store = new ContentHandlers({ downloadDir });
+        const body = Buffer.from([1, 2, 3]);
+        const first = await store.handle('binary', body, { url: 'https://a.test/files/Logo.PNG?v=1' });
+        const second = await store.handle('binary', body, { url: 'https://a.test/copy.png' });
+
+        assert.strictEqual(first.file.size, 3);
+        assert.strictEqual(first.file.path, path.join(downloadDir, `${first.file.sha256}.png`));
+        assert.deepStrictEqual(second, first);
+        assert.deepStrictEqual(fs.readdirSync(downloadDir), [path.basename(first.file.path)]);
+        assert.strictEqual((await handlers.handle('binary', body, { url: 'https://a.test/x' })).file.path, null);
+    } finally {
+        fs.rmSync(downloadDir, { recursive: true });
+    }
+});
+
+test('PDF dates are read with their time zone offset', () => {
+    assert.strictEqual(ContentHandlers.pdfDate("D:20090626094504+03'00'"), '2009-06-26T06:45:04.000Z');
+    assert.strictEqual(ContentHandlers.pdfDate('D:2024'), '2024-01-01T00:00:00.000Z');
+    assert.strictEqual(ContentHandlers.pdfDate('yesterday'), null);
+});
+
+test('the crawler skips disallowed types and shapes document pages like HTML pages', async () => {
+    const crawler = new WebCrawler({ output: ['json'], contentTypes: ['text/html', 'application/json'] });
+    crawler.logger.silent = true;
+
+    const skipped = await crawler.extractResponseData('https://a.test/a.pdf', { headers: { 'content-type': 'application/pdf' } }, Buffer.from('%PDF-'));
+    assert.strictEqual(skipped, null);
+    assert.strictEqual(crawler.skippedUrls.get('https://a.test/a.pdf').reason, 'content-type:application/pdf');
+
+    const page = await crawler.extractResponseData('https://a.test/api/items.json', { status: 200, headers: { 'content-type': 'application/json' } }, Buffer.from('{"a": 1}'));
+    assert.strictEqual(page.title, 'items.json');
+    assert.strictEqual(page.contentKind, 'json');
+    assert.deepStrictEqual(page.data, { a: 1 });
+    assert.strictEqual(page.size, 8);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const CookieJar = require('../src/cookie-jar');
+const WebCrawler = require('../src/crawler');
+
+test('parse applies the default path and rejects cookies for other domains', () => {
+    const cookie = CookieJar.parse('sid=a=b; HttpOnly; Secure', 'https://www.a.test/account/settings');
+    assert.deepStrictEqual(cookie, {
+        name: 'sid', value: 'a=b', domain: 'www.a.test', hostOnly: true, path: '/account',
+        expires: null, secure: true, httpOnly: true
+    });
+    assert.strictEqual(CookieJar.parse('x=1; Domain=.a.test', 'https://www.a.test/').domain, 'a.test');
+    assert.strictEqual(CookieJar.parse('x=1; Domain=b.test', 'https://www.a.test/'), null);
+    assert.strictEqual(CookieJar.parse('novalue', 'https://a.test/'), null);
+});
+
+test('cookies are sent by domain, path and scheme, longest path first', () => {
+    const jar = new CookieJar();
+    jar.setCookies(['host=1', 'shared=2; Domain=a.test; Path=/', 'deep=3; Path=/docs', 'secure=4; Secure; Path=/'], 'https://a.test/');
+
+    assert.strictEqual(jar.getCookieHeader('https://a.test/docs/x'), 'deep=3; host=1; shared=2; secure=4');
+    assert.strictEqual(jar.getCookieHeader('http://a.test/docsets'), 'host=1; shared=2');
+    assert.strictEqual(jar.getCookieHeader('https://sub.a.test/'), 'shared=2');
+    assert.strictEqual(jar.getCookieHeader('https://other.test/'), '');
+});
+
+test('Max-Age wins over Expires and an expired cookie deletes its match', () => {
+    const jar = new CookieJar();
+    jar.setCookies('sid=1; Expires=Thu, 01 Jan 1970 00:00:01 GMT; Max-Age=60', 'https://a.test/');
+    assert.strictEqual(jar.size, 1);
+    jar.setCookies('sid=; Max-Age=0', 'https://a.test/');
+    assert.strictEqual(jar.size, 0);
+    jar.setCookies('old=1; Expires=Thu, 01 Jan 1970 00:00:01 GMT', 'https://a.test/');
+    assert.strictEqual(jar.getCookieHeader('https://a.test/'), '');
+});
+
+// A site whose /private page needs the session cookie from a CSRF-protected login form.
+// With `expire` set, every session ends right after login
+function loginSite(options = {}) {
+    const state = { logins: 0, posted: [], private: 0 };
+    const server = http.createServer((req, res) => {
+        const loggedIn = !options.expire && /sid=ok/.test(req.headers.cookie || '');
+        if (req.url === '/login' && req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'text/html', 'Set-Cookie': 'csrf_session=c1; Path=/' });
+            return res.end('<form action="/session" method="post"><input type="hidden" name="csrf" value="t0k"><input type="password" name="password"></form>');
+        }
+        if (req.url === '/session' && req.method === 'POST') {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                state.logins++;
+                state.posted.push(`${body} ${req.headers.cookie}`);
+                res.writeHead(302, { Location: '/home', 'Set-Cookie': 'sid=ok; Path=/; HttpOnly' });
+                res.end();
+            });
+            return;
+        }
+        if (req.url === '/home') {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            return res.end('<p>Welcome</p>');
+        }
+        if (req.url === '/private') {
+            state.private++;
+            if (!loggedIn) {
+                res.writeHead(302, { Location: '/login' });
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            return res.end('<p>Secret</p>');
+        }
+        res.writeHead(404);
+        res.end();
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, state, base: `http://127.0.0.1:${server.address().port}` })));
+}
+
+function formCrawler(base) {
+    const crawler = new WebCrawler({
+        output: ['json'],
+        delay: 0,
+        auth: { type: 'form', credentials: { loginUrl: `${base}/login`, loginData: { password: 'pw' } } }
+    });
+    crawler.logger.silent = true;
+    return crawler;
+}
+
+test('form login posts the hidden fields with loginData and keeps the session cookie', async () => {
+    const { server, state, base } = await loginSite();
+    try {
+        const crawler = formCrawler(base);
+        const response = await crawler.makeRequest(`${base}/private`);
+        assert.strictEqual(response.data, '<p>Secret</p>');
+        assert.deepStrictEqual(state.posted, ['csrf=t0k&password=pw csrf_session=c1']);
+        assert.strictEqual(crawler.cookieJar.getCookieHeader(`${base}/private`), 'csrf_session=c1; sid=ok');
+    } finally {
+        server.close();
+    }
+});
+
+test('a page still behind the login after one re-login fails instead of being retried', async () => {
+    const { server, state, base } = await loginSite({ expire: true });
+    try {
+        const crawler = formCrawler(base);
+        const error = await crawler.makeRequest(`${base}/private`).catch(caught => caught);
+        assert.strictEqual(error.message, 'Session expired after re-login');
+        assert.strictEqual(error.sessionExpired, true);
+        assert.strictEqual(state.logins, 2);
+        assert.strictEqual(state.private, 2);
+    } finally {
+        server.close();
+    }
+});
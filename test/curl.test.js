@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const WebCrawler = require('../src/crawler');
+
+function crawler(options = {}) {
+    const instance = new WebCrawler({ output: ['json'], retries: 1, ...options });
+    instance.logger.silent = true;
+    return instance;
+}
+
+function listen(handler) {
+    return new Promise(resolve => {
+        const server = http.createServer(handler).listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+test('parseRawHeaders reads the last header block and keeps every Set-Cookie', () => {
+    const raw = 'HTTP/1.1 301 Moved\r\nLocation: /b\r\n\r\n'
+        + 'HTTP/1.1 200 OK\r\nContent-Type: text/html\r\nSet-Cookie: a=1\r\nSet-Cookie: b=2\r\nVary: Accept\r\nvary: Cookie\r\n\r\n';
+    assert.deepStrictEqual(crawler().parseRawHeaders(raw), {
+        'content-type': 'text/html',
+        'set-cookie': ['a=1', 'b=2'],
+        vary: 'Accept, Cookie'
+    });
+    assert.deepStrictEqual(crawler().parseRawHeaders(''), {});
+});
+
+test('parseCurlTrace rebuilds one request head per hop and leaves out CONNECT', () => {
+    const trace = [
+        '== Info: Connected to proxy.test',
+        '=> Send header, 49 bytes (0x31)',
+        '0000: CONNECT a.test:443 HTTP/1.1',
+        '001d: Host: a.test:443',
+        '<= Recv header, 19 bytes (0x13)',
+        '0000: HTTP/1.1 200 OK',
+        '=> Send header, 48 bytes (0x30)',
+        '0000: GET /old HTTP/1.1',
+        '0013: Host: a.test',
+        '0021: Accept: */*',
+        '002e: ',
+        '=> Send data, 2 bytes (0x2)',
+        '0000: {}',
+        '=> Send header, 48 bytes (0x30)',
+        '0000: GET /new HTTP/1.1',
+        '0013: Host: a.test',
+        '0021: Accept: */*',
+        '002e: ',
+        ''
+    ].join('\n');
+
+    const head = path => `GET ${path} HTTP/1.1\r\nHost: a.test\r\nAccept: */*\r\n\r\n`;
+    assert.deepStrictEqual(crawler().parseCurlTrace(trace), [head('/old'), head('/new')]);
+    assert.deepStrictEqual(crawler().parseCurlTrace(''), []);
+});
+
+test('runCurl follows redirects and reports status, headers and body', async () => {
+    const server = await listen((req, res) => {
+        if (req.url === '/old') {
+            res.writeHead(302, { Location: '/new' });
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'text/plain', 'X-Path': req.url });
+        res.end('hello');
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+        const response = await crawler().runCurl(`${base}/old`);
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.finalUrl, `${base}/new`);
+        assert.strictEqual(response.redirects, 1);
+        assert.strictEqual(response.headers['x-path'], '/new');
+        assert.strictEqual(response.data, 'hello');
+        assert.strictEqual(response.raw, undefined);
+    } finally {
+        server.close();
+    }
+});
+
+test('URLs reach curl as a single argument, never through a shell', async () => {
+    let requested = null;
+    const server = await listen((req, res) => {
+        requested = req.url;
+        res.end();
+    });
+    try {
+        const url = `http://127.0.0.1:${server.address().port}/a?q=$(id)&x='y'`;
+        await crawler().runCurl(url);
+        assert.strictEqual(decodeURIComponent(requested), "/a?q=$(id)&x='y'");
+    } finally {
+        server.close();
+    }
+});
+
+test('curlRequest turns non-2xx statuses into errors that carry the response, without retrying a 404', async () => {
+    let hits = 0;
+    const server = await listen((req, res) => {
+        hits++;
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('missing');
+    });
+    try {
+        const instance = crawler({ retries: 3, delay: 0 });
+        const error = await instance.curlRequest(`http://127.0.0.1:${server.address().port}/gone`).catch(caught => caught);
+        assert.strictEqual(error.message, 'Request failed with status code 404');
+        assert.strictEqual(error.response.status, 404);
+        assert.strictEqual(error.response.data, 'missing');
+        assert.strictEqual(hits, 1);
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cheerio = require('cheerio');
+const SchemaExtractor = require('../src/extractor');
+
+const { TRANSFORMS } = SchemaExtractor;
+
+test('number reads thousands and decimal separators in either convention', () => {
+    assert.strictEqual(TRANSFORMS.number('$1,299.00'), 1299);
+    assert.strictEqual(TRANSFORMS.number('1.299,00 €'), 1299);
+    assert.strictEqual(TRANSFORMS.number('12,5'), 12.5);
+    assert.strictEqual(TRANSFORMS.number('1,234'), 1234);
+    assert.strictEqual(TRANSFORMS.number('0,125'), 0.125);
+    assert.strictEqual(TRANSFORMS.number('-3.50'), -3.5);
+    assert.strictEqual(TRANSFORMS.number('n/a'), null);
+    assert.strictEqual(TRANSFORMS.integer('4.99'), 4);
+});
+
+test('string, boolean and date transforms', () => {
+    assert.strictEqual(TRANSFORMS.trim('  a \n  b '), 'a b');
+    assert.strictEqual(TRANSFORMS.lowercase('AbC'), 'abc');
+    assert.strictEqual(TRANSFORMS.uppercase('abc'), 'ABC');
+    assert.deepStrictEqual(['yes', ' Off ', '0', '', null].map(TRANSFORMS.boolean), [true, false, false, false, false]);
+    assert.strictEqual(TRANSFORMS.date('2024-03-01T10:00:00Z'), '2024-03-01T10:00:00.000Z');
+    assert.strictEqual(TRANSFORMS.date('someday'), null);
+});
+
+test('validate rejects schemas it cannot run', () => {
+    assert.throws(() => new SchemaExtractor({ rules: [] }), /non-empty "rules" array/);
+    assert.throws(() => new SchemaExtractor([{ name: 'post' }]), /rule "post" needs a "fields" object/);
+    assert.throws(() => new SchemaExtractor([{ fields: { a: { type: 'map', selector: 'p' } } }]), /Field "rule1.a" has unknown type "map"/);
+    assert.throws(() => new SchemaExtractor([{ fields: { a: { attr: 'href' } } }]), /Field "rule1.a" needs a "selector"/);
+    assert.throws(() => new SchemaExtractor([{ fields: { a: { selector: 'p', transform: 'slugify' } } }]), /unknown transform "slugify"/);
+});
+
+test('extract builds one record per matching rule with lists, nested fields and transforms', () => {
+    const extractor = new SchemaExtractor({
+        rules: [
+            {
+                name: 'product',
+                match: '**/product/*',
+                fields: {
+                    title: { selector: 'h1', transform: ['trim', 'uppercase'] },
+                    price: { selector: '.price', transform: 'number' },
+                    sku: { selector: '.sku', transform: { regex: 'SKU-(\\d+)' } },
+                    image: { selector: 'img', attr: 'src' },
+                    missing: '.nope',
+                    reviews: {
+                        type: 'list',
+                        selector: '.review',
+                        fields: { author: '.author', stars: { selector: '.stars', transform: 'integer' } }
+                    }
+                }
+            },
+            { name: 'blog', match: '**/blog/**', fields: { title: 'h1' } }
+        ]
+    });
+    const $ = cheerio.load(`
+        <h1>  Blue   mug </h1><span class="price">€1.299,50</span><span class="sku">Ref SKU-0042</span>
+        <img src="/img/mug.png">
+        <div class="review"><b class="author">Ann</b><i class="stars">4.5</i></div>
+        <div class="review"><b class="author">Bo</b></div>`);
+
+    assert.deepStrictEqual(extractor.extract($, 'https://a.test/product/mug'), [{
+        type: 'product',
+        url: 'https://a.test/product/mug',
+        data: {
+            title: 'BLUE MUG',
+            price: 1299.5,
+            sku: '0042',
+            image: 'https://a.test/img/mug.png',
+            missing: null,
+            reviews: [{ author: 'Ann', stars: 4 }, { author: 'Bo', stars: null }]
+        }
+    }]);
+    assert.deepStrictEqual(extractor.extract($, 'https://a.test/about'), []);
+});
+
+test('fromFile reads YAML and JSON schemas', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'extractor-test-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'schema.yml'), 'rules:\n  - name: page\n    fields:\n      title: h1\n');
+        fs.writeFileSync(path.join(dir, 'schema.json'), JSON.stringify([{ name: 'page', fields: { title: 'h1' } }]));
+        for (const file of ['schema.yml', 'schema.json']) {
+            const [rule] = SchemaExtractor.fromFile(path.join(dir, file)).rules;
+            assert.strictEqual(rule.name, 'page');
+            assert.strictEqual(rule.fields.title.selector, 'h1');
+        }
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const UrlFrontier = require('../src/frontier');
+
+const urls = entries => entries.map(entry => entry.url);
+
+async function drain(frontier) {
+    const taken = [];
+    let entry;
+    while (frontier.pending > 0 && (entry = await frontier.take()) !== null) {
+        taken.push(entry);
+        frontier.done(entry);
+    }
+    return taken;
+}
+
+test('add queues each URL once, breadth first', async () => {
+    const frontier = new UrlFrontier({ maxDepth: 2 });
+    assert.strictEqual(frontier.add('https://a.test/', 0), true);
+    assert.strictEqual(frontier.add('https://a.test/x', 1, { requestedUrl: 'https://a.test/x#top' }), true);
+    assert.strictEqual(frontier.add('https://a.test/', 1), false);
+
+    const taken = await drain(frontier);
+    assert.deepStrictEqual(urls(taken), ['https://a.test/', 'https://a.test/x']);
+    assert.strictEqual(taken[1].requestedUrl, 'https://a.test/x#top');
+});
+
+test('add refuses URLs past maxDepth and URLs already visited', () => {
+    const frontier = new UrlFrontier({ maxDepth: 1, visited: new Set(['https://a.test/done']) });
+    assert.strictEqual(frontier.add('https://a.test/deep', 2), false);
+    assert.strictEqual(frontier.add('https://a.test/done', 1), false);
+    assert.strictEqual(frontier.pending, 0);
+});
+
+test('maxPages counts reserved slots, including pages crawled before', () => {
+    const frontier = new UrlFrontier({ maxDepth: 1, maxPages: 3, reserved: 1 });
+    assert.strictEqual(frontier.add('https://a.test/1', 1), true);
+    assert.strictEqual(frontier.add('https://a.test/2', 1), true);
+    assert.strictEqual(frontier.isFull(), true);
+    assert.strictEqual(frontier.add('https://a.test/3', 1), false);
+    assert.strictEqual(frontier.pending, 2);
+});
+
+test('release gives the slot to the first URL turned away while full', async () => {
+    const frontier = new UrlFrontier({ maxDepth: 1, maxPages: 2 });
+    frontier.add('https://a.test/dup', 1);
+    frontier.add('https://a.test/page', 1);
+    frontier.add('https://a.test/next', 1, { requestedUrl: 'https://a.test/next?utm_source=x' });
+    frontier.add('https://a.test/later', 1);
+
+    const duplicate = await frontier.take();
+    frontier.release();
+    frontier.done(duplicate);
+
+    const [page, next] = await drain(frontier);
+    assert.strictEqual(page.url, 'https://a.test/page');
+    assert.strictEqual(next.url, 'https://a.test/next');
+    assert.strictEqual(next.requestedUrl, 'https://a.test/next?utm_source=x');
+    assert.strictEqual(frontier.reserved, 2);
+    assert.deepStrictEqual([...frontier.overflow.keys()], ['https://a.test/later']);
+});
+
+test('release without a waiting URL frees the slot', () => {
+    const frontier = new UrlFrontier({ maxDepth: 1, maxPages: 1 });
+    frontier.add('https://a.test/dup', 1);
+    frontier.release();
+    assert.strictEqual(frontier.isFull(), false);
+    assert.strictEqual(frontier.add('https://a.test/other', 1), true);
+});
+
+test('take waits for in-flight entries and resolves null once the crawl is done', async () => {
+    const frontier = new UrlFrontier({ maxDepth: 1 });
+    frontier.add('https://a.test/', 0);
+    const first = await frontier.take();
+
+    const waiting = frontier.take();
+    frontier.add('https://a.test/found', 1);
+    const found = await waiting;
+    assert.strictEqual(found.url, 'https://a.test/found');
+
+    const last = frontier.take();
+    frontier.done(first);
+    assert.strictEqual(frontier.inFlight, 1);
+    frontier.done(found);
+    assert.strictEqual(await last, null);
+});
+
+test('snapshot puts in-flight entries back on the queue and restore skips visited ones', async () => {
+    const frontier = new UrlFrontier({ maxDepth: 1, maxPages: 3 });
+    frontier.add('https://a.test/', 0);
+    frontier.add('https://a.test/1', 1);
+    frontier.add('https://a.test/2', 1);
+    frontier.add('https://a.test/3', 1);
+    await frontier.take();
+
+    const snapshot = JSON.parse(JSON.stringify(frontier.snapshot()));
+    assert.deepStrictEqual(urls(snapshot.queue), ['https://a.test/', 'https://a.test/1', 'https://a.test/2']);
+    assert.strictEqual(snapshot.reserved, 3);
+    assert.deepStrictEqual(urls(snapshot.overflow), ['https://a.test/3']);
+
+    const restored = new UrlFrontier({ maxDepth: 1, maxPages: 3, visited: new Set(['https://a.test/']) });
+    restored.restore(snapshot);
+    assert.deepStrictEqual(urls(restored.queue), ['https://a.test/1', 'https://a.test/2']);
+    assert.strictEqual(restored.isFull(), true);
+    assert.strictEqual(restored.add('https://a.test/1', 1), false);
+});
+
+test('restore counts seen URLs as slots for checkpoints without reserved', () => {
+    const frontier = new UrlFrontier({ maxDepth: 1, maxPages: 2 });
+    frontier.restore({ maxDepth: 1, queue: [{ url: 'https://a.test/1', depth: 1 }], seen: ['https://a.test/', 'https://a.test/1'] });
+    assert.strictEqual(frontier.isFull(), true);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const HttpCache = require('../src/http-cache');
+const WebCrawler = require('../src/crawler');
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'http-cache-test-'));
+}
+
+test('store keeps validators and the body; get and readBody return them', async () => {
+    const dir = tempDir();
+    try {
+        const cache = new HttpCache(dir);
+        assert.strictEqual(await cache.get('https://a.test/'), null);
+
+        const { entry, unchanged } = await cache.store('https://a.test/', {
+            status: 200,
+            headers: { ETag: '"v1"', 'Last-Modified': 'Mon, 01 Jan 2024 00:00:00 GMT', Vary: ['Accept', 'Cookie'] },
+            data: '<p>hi</p>'
+        });
+        assert.strictEqual(unchanged, false);
+        assert.deepStrictEqual(await cache.get('https://a.test/'), entry);
+        assert.strictEqual(entry.headers.vary, 'Accept, Cookie');
+        assert.strictEqual((await cache.readBody('https://a.test/')).toString(), '<p>hi</p>');
+        assert.deepStrictEqual(cache.conditionalHeaders(entry), {
+            'If-None-Match': '"v1"',
+            'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT'
+        });
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
+
+test('an identical body is reported unchanged even without validators', async () => {
+    const dir = tempDir();
+    try {
+        const cache = new HttpCache(dir);
+        const first = await cache.store('https://a.test/', { status: 200, headers: {}, data: 'same' });
+        const second = await cache.store('https://a.test/', { status: 200, headers: {}, data: Buffer.from('same') }, first.entry);
+        assert.strictEqual(second.unchanged, true);
+        assert.deepStrictEqual(cache.conditionalHeaders(second.entry), {});
+        assert.deepStrictEqual(cache.getStats(), { revalidated: 0, unchanged: 1, stored: 2 });
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
+
+test('no-store responses are not cached', async () => {
+    const dir = tempDir();
+    try {
+        const cache = new HttpCache(dir);
+        const result = await cache.store('https://a.test/', { status: 200, headers: { 'cache-control': 'private, no-store' }, data: 'x' });
+        assert.deepStrictEqual(result, { entry: null, unchanged: false });
+        assert.strictEqual(await cache.get('https://a.test/'), null);
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
+
+test('revalidate refreshes validators and keeps the stored body', async () => {
+    const dir = tempDir();
+    try {
+        const cache = new HttpCache(dir);
+        const { entry } = await cache.store('https://a.test/', { status: 200, headers: { etag: '"v1"' }, data: 'body' });
+        const revalidated = await cache.revalidate('https://a.test/', entry, { status: 304, headers: { etag: '"v2"' } });
+        assert.strictEqual(revalidated.entry.etag, '"v2"');
+        assert.strictEqual(revalidated.body.toString(), 'body');
+        assert.strictEqual((await cache.get('https://a.test/')).etag, '"v2"');
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
+
+test('the crawler sends validators and answers a 304 from the cache', async () => {
+    const dir = tempDir();
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(req.headers['if-none-match'] || null);
+        if (req.headers['if-none-match'] === '"v1"') {
+            res.writeHead(304, { ETag: '"v1"' });
+            return res.end();
+        }
+        res.writeHead(200, { ETag: '"v1"', 'Content-Type': 'text/html' });
+        res.end('<h1>cached</h1>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const crawler = new WebCrawler({ cacheDir: dir, output: ['json'], delay: 0 });
+        crawler.logger.silent = true;
+        const url = `http://127.0.0.1:${server.address().port}/`;
+
+        const first = await crawler.makeRequest(url);
+        const second = await crawler.makeRequest(url);
+        assert.deepStrictEqual(requests, [null, '"v1"']);
+        assert.strictEqual(first.fromCache, false);
+        assert.strictEqual(second.fromCache, true);
+        assert.strictEqual(second.status, 200);
+        assert.strictEqual(second.data, '<h1>cached</h1>');
+    } finally {
+        server.close();
+        fs.rmSync(dir, { recursive: true });
+    }
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const InfiniteScroller = require('../src/infinite-scroll');
+
+// Grows by `step` pixels and one item per scroll until `limit` scrolls have loaded content
+function fakePage({ limit = Infinity, step = 100, scrollDelay = 0 } = {}) {
+    const state = { height: 1000, items: 10, scrolls: 0, idleWaits: [] };
+    return {
+        state,
+        evaluate: async (fn, ...args) => {
+            if (args.length === 0) {
+                state.scrolls++;
+                if (scrollDelay) await new Promise(resolve => setTimeout(resolve, scrollDelay));
+                if (state.scrolls <= limit) {
+                    state.height += step;
+                    state.items++;
+                }
+                return undefined;
+            }
+            return { height: state.height, items: args[0] ? state.items : null };
+        },
+        waitForNetworkIdle: async options => {
+            state.idleWaits.push(options);
+        }
+    };
+}
+
+test('scrolling stops after maxIdleRounds rounds without growth', async () => {
+    const page = fakePage({ limit: 3 });
+    const result = await new InfiniteScroller({ idleTime: 10 }).scroll(page);
+
+    assert.deepStrictEqual({ ...result, durationMs: 0 }, { rounds: 5, items: null, height: 1300, stoppedBy: 'no-new-content', durationMs: 0 });
+    assert.deepStrictEqual(page.state.idleWaits[0], { idleTime: 10, timeout: 5010 });
+});
+
+test('an item selector counts items and maxItems ends the scroll', async () => {
+    const page = fakePage();
+    const result = await new InfiniteScroller({ itemSelector: '.card', maxItems: 13 }).scroll(page);
+    assert.deepStrictEqual([result.rounds, result.items, result.stoppedBy], [3, 13, 'max-items']);
+
+    const items = fakePage({ step: 0, limit: 2 });
+    const counted = await new InfiniteScroller({ itemSelector: '.card', maxIdleRounds: 1 }).scroll(items);
+    assert.deepStrictEqual([counted.rounds, counted.items, counted.stoppedBy], [3, 12, 'no-new-content']);
+});
+
+test('the time limit bounds the whole scroll', async () => {
+    const result = await new InfiniteScroller({ timeLimit: 50 }).scroll(fakePage({ scrollDelay: 20 }));
+    assert.strictEqual(result.stoppedBy, 'time-limit');
+    assert.ok(result.rounds >= 2 && result.rounds <= 4);
+});
+
+test('an item limit without an item selector is rejected', () => {
+    assert.throws(() => new InfiniteScroller({ maxItems: 5 }), /needs an item selector/);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const LinkChecker = require('../src/link-checker');
+const WebCrawler = require('../src/crawler');
+
+function crawler() {
+    const instance = new WebCrawler({ output: ['json'], timeout: 5000 });
+    instance.logger.silent = true;
+    return instance;
+}
+
+test('collect groups sources by the href as written, without the fragment', () => {
+    const targets = new LinkChecker(crawler()).collect('https://a.test/', [
+        {
+            url: 'https://a.test/',
+            links: [
+                { url: 'https://a.test/docs', href: 'https://a.test/docs/#intro', text: ' Docs\n ' },
+                { url: 'https://a.test/docs', href: 'https://a.test/docs/#api', text: 'Docs' },
+                { url: 'mailto:me@a.test', href: 'mailto:me@a.test', text: 'Mail' },
+                { url: 'https://b.test/' }
+            ]
+        },
+        { url: 'https://a.test/about', links: [{ href: 'https://a.test/docs/', text: '' }] }
+    ]);
+
+    assert.deepStrictEqual([...targets.values()], [
+        { url: 'https://a.test/', sources: [] },
+        { url: 'https://a.test/docs/', sources: [{ page: 'https://a.test/', text: 'Docs' }, { page: 'https://a.test/about', text: '' }] },
+        { url: 'https://b.test/', sources: [{ page: 'https://a.test/', text: '' }] }
+    ]);
+});
+
+test('check reports ok, redirected, broken and looping links, falling back to GET when HEAD is refused', async () => {
+    const methods = [];
+    const server = http.createServer((req, res) => {
+        methods.push(`${req.method} ${req.url}`);
+        const routes = {
+            '/': [200],
+            '/no-head': req.method === 'HEAD' ? [405] : [200],
+            '/moved': [301, { Location: '/' }],
+            '/gone': [404],
+            '/loop-a': [302, { Location: '/loop-b' }],
+            '/loop-b': [302, { Location: '/loop-a' }]
+        };
+        const [status, headers] = routes[req.url] || [500];
+        res.writeHead(status, headers);
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        const pages = [{ url: `${base}/`, links: ['/no-head', '/moved', '/gone', '/loop-a'].map(path => ({ href: `${base}${path}`, text: path })) }];
+        const progress = [];
+        const checker = new LinkChecker(crawler(), { concurrency: 1, onProgress: (done, total) => progress.push(`${done}/${total}`) });
+        const results = await checker.check(`${base}/`, pages);
+
+        assert.deepStrictEqual(results.map(result => [result.url.slice(base.length), result.result, result.status, result.method]), [
+            ['/', 'ok', 200, 'HEAD'],
+            ['/no-head', 'ok', 200, 'GET'],
+            ['/moved', 'redirected', 200, 'HEAD'],
+            ['/gone', 'broken', 404, 'GET'],
+            ['/loop-a', 'broken', 302, 'HEAD']
+        ]);
+        assert.deepStrictEqual(results[2].redirects, [{ url: `${base}/moved`, status: 301, location: `${base}/` }]);
+        assert.strictEqual(results[4].error, `Redirect loop at ${base}/loop-a`);
+        assert.ok(methods.includes('GET /no-head'));
+        assert.strictEqual(progress[progress.length - 1], '5/5');
+        assert.deepStrictEqual(LinkChecker.summarize(results), { checked: 5, ok: 2, redirected: 1, broken: 2, timeout: 0 });
+    } finally {
+        server.close();
+    }
+});
+
+test('external links are skipped when external is false', async () => {
+    const checker = new LinkChecker(crawler(), { external: false });
+    checker.checkTarget = async target => ({ url: target.url, result: 'ok' });
+    const results = await checker.check('https://a.test/', [{ url: 'https://a.test/', links: [{ href: 'https://b.test/' }, { href: 'https://a.test/x' }] }]);
+    assert.deepStrictEqual(results.map(result => result.url), ['https://a.test/', 'https://a.test/x']);
+});
+
+test('formatMarkdown groups problems with their redirect chain and source pages', () => {
+    const problems = [
+        {
+            url: 'https://a.test/old',
+            result: 'redirected',
+            status: 200,
+            finalUrl: 'https://a.test/new',
+            redirects: [{ url: 'https://a.test/old', status: 301, location: 'https://a.test/new' }],
+            error: null,
+            sources: [{ page: 'https://a.test/', text: 'Old' }]
+        },
+        { url: 'https://a.test/down', result: 'timeout', status: null, finalUrl: 'https://a.test/down', redirects: [], error: 'timeout of 5000ms exceeded', sources: [] }
+    ];
+    const markdown = LinkChecker.formatMarkdown('https://a.test/', { checked: 3, ok: 1, redirected: 1, broken: 0, timeout: 1 }, problems);
+
+    assert.match(markdown, /## Redirected \(1\)\n\n### https:\/\/a\.test\/old\n\n\*\*Status:\*\* 301 → 200 \(https:\/\/a\.test\/new\)\n- https:\/\/a\.test\/ — "Old"/);
+    assert.match(markdown, /## Timed out \(1\)\n\n### https:\/\/a\.test\/down\n\n\*\*Status:\*\* timeout of 5000ms exceeded/);
+    assert.ok(!markdown.includes('## Broken'));
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LinkGraph = require('../src/link-graph');
+
+const link = (url, text = '') => ({ url, text });
+
+test('edges join crawled pages under any of their URLs and merge repeated links', () => {
+    const graph = new LinkGraph([
+        { url: 'https://a.test/', title: 'Home', links: [link('https://a.test/b', 'B'), link('https://a.test/b?ref=nav', ' B\n'), link('https://a.test/old', 'C'), link('https://a.test/'), link('https://other.test/')] },
+        { url: 'https://a.test/b', canonicalUrl: 'https://a.test/b?ref=nav', links: [] },
+        { url: 'https://a.test/c', finalUrl: 'https://a.test/c', canonicalUrl: 'https://a.test/old', links: [] }
+    ]);
+
+    assert.deepStrictEqual(graph.edgeList(), [
+        { source: 'https://a.test/', target: 'https://a.test/b', anchors: ['B'], count: 2 },
+        { source: 'https://a.test/', target: 'https://a.test/c', anchors: ['C'], count: 1 }
+    ]);
+    assert.strictEqual(graph.edgeCount, 2);
+});
+
+test('PageRank sums to one and matches the closed form for a two-page chain', () => {
+    // A -> B with B dangling: rA = 0.5 / 1.425, rB = 1 - rA
+    const graph = new LinkGraph([
+        { url: 'https://a.test/a', links: [link('https://a.test/b')] },
+        { url: 'https://a.test/b', links: [] }
+    ]);
+    const ranks = graph.nodeList().map(node => node.pageRank);
+    assert.ok(Math.abs(ranks[0] - 0.5 / 1.425) < 1e-6);
+    assert.ok(Math.abs(ranks[1] - (1 - 0.5 / 1.425)) < 1e-6);
+});
+
+test('PageRank is uniform on a cycle and highest for the most linked page', () => {
+    const cycle = new LinkGraph(['a', 'b', 'c'].map((name, index, names) => ({
+        url: `https://a.test/${name}`,
+        links: [link(`https://a.test/${names[(index + 1) % names.length]}`)]
+    })));
+    for (const node of cycle.nodeList()) assert.ok(Math.abs(node.pageRank - 1 / 3) < 1e-6);
+
+    const star = new LinkGraph([
+        { url: 'https://a.test/hub', links: [link('https://a.test/x')] },
+        ...['x', 'y', 'z'].map(name => ({ url: `https://a.test/${name}`, links: [link('https://a.test/hub')] }))
+    ]);
+    const nodes = star.nodeList();
+    const total = nodes.reduce((sum, node) => sum + node.pageRank, 0);
+    assert.ok(Math.abs(total - 1) < 1e-6);
+    assert.deepStrictEqual(nodes.sort((a, b) => b.pageRank - a.pageRank).map(node => node.url.slice(15)), ['hub', 'x', 'y', 'z']);
+    assert.strictEqual(nodes[0].inDegree, 3);
+});
+
+test('click depth is the fewest clicks from the start page; unreachable pages have none', () => {
+    const graph = new LinkGraph([
+        { url: 'https://a.test/', links: [link('https://a.test/a'), link('https://a.test/b')] },
+        { url: 'https://a.test/a', links: [link('https://a.test/deep')] },
+        { url: 'https://a.test/b', links: [link('https://a.test/a')] },
+        { url: 'https://a.test/deep', links: [] },
+        { url: 'https://a.test/sitemap-only', links: [link('https://a.test/')] }
+    ]);
+    assert.deepStrictEqual(graph.nodeList().map(node => node.clickDepth), [0, 1, 1, 2, null]);
+    assert.strictEqual(new LinkGraph([{ url: 'https://a.test/x' }], 'https://a.test/missing').nodeList()[0].clickDepth, null);
+});
+
+test('exports escape titles and anchors', () => {
+    const graph = new LinkGraph([
+        { url: 'https://a.test/', title: 'Q&A <"best">\u0001', statusCode: 200, links: [link('https://a.test/b', 'say "hi"')] },
+        { url: 'https://a.test/b', title: '', links: [] }
+    ]);
+
+    const graphml = graph.toGraphML();
+    assert.match(graphml, /<data key="title">Q&amp;A &lt;&quot;best&quot;&gt;<\/data>/);
+    assert.match(graphml, /<edge id="e0" source="n0" target="n1">\n {6}<data key="anchors">say &quot;hi&quot;<\/data>/);
+    assert.ok(!graphml.includes('key="depth">'));
+
+    const dot = graph.toDot();
+    assert.match(dot, /"https:\/\/a\.test\/b" \[label="https:\/\/a\.test\/b", pagerank=0\.\d{6}\];/);
+    assert.match(dot, /"https:\/\/a\.test\/" -> "https:\/\/a\.test\/b" \[label="say \\"hi\\""\];/);
+
+    assert.deepStrictEqual(graph.toJSON().adjacency['https://a.test/'], [{ target: 'https://a.test/b', anchors: ['say "hi"'], count: 1 }]);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NdjsonSink = require('../src/ndjson-sink');
+
+const page = {
+    url: 'https://a.test/',
+    finalUrl: 'https://a.test/',
+    title: 'Home',
+    statusCode: 200,
+    fromCache: true,
+    text: 'Hello',
+    meta: { description: 'Front page', robots: 'index' },
+    links: [{ url: 'https://a.test/about', text: 'About' }],
+    images: [{ src: 'https://a.test/logo.png', alt: 'Logo' }],
+    timing: { total: 12 }
+};
+
+test('the NDJSON sink appends one line per page, across sink instances', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sink-test-'));
+    const file = path.join(dir, 'pages.ndjson');
+    try {
+        const sink = new NdjsonSink(file);
+        assert.strictEqual(await sink.close(), null);
+        sink.write(page);
+        sink.write({ url: 'https://a.test/about' });
+        assert.strictEqual(await sink.close(), file);
+
+        const resumed = new NdjsonSink(file);
+        resumed.write({ url: 'https://a.test/contact' });
+        await resumed.close();
+
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.deepStrictEqual(lines.map(line => line.url), ['https://a.test/', 'https://a.test/about', 'https://a.test/contact']);
+        assert.deepStrictEqual(lines[0], page);
+        assert.strictEqual(sink.count, 2);
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
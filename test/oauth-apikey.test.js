@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const WebCrawler = require('../src/crawler');
+
+function crawlerWith(auth) {
+    const crawler = new WebCrawler({ auth, output: ['json'], delay: 0 });
+    crawler.logger.silent = true;
+    return crawler;
+}
+
+// A token endpoint at /token and an API at /api that accepts only the latest token
+function oauthServer(options = {}) {
+    const state = { tokenRequests: [], issued: 0, apiAuth: [] };
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (req.url === '/token') {
+                state.tokenRequests.push({ authorization: req.headers.authorization || null, body: Object.fromEntries(new URLSearchParams(body)) });
+                state.issued++;
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({
+                    access_token: `t${state.issued}`,
+                    token_type: 'bearer',
+                    refresh_token: `r${state.issued}`,
+                    ...(options.expiresIn && { expires_in: options.expiresIn })
+                }));
+            }
+            state.apiAuth.push(req.headers.authorization);
+            const current = `Bearer t${state.issued}`;
+            res.writeHead(req.headers.authorization === current ? 200 : 401, { 'Content-Type': 'text/plain' });
+            res.end(req.url);
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, state, base: `http://127.0.0.1:${server.address().port}` })));
+}
+
+test('a query-parameter API key is added to requests and removed from stored URLs', () => {
+    const crawler = crawlerWith({ type: 'apikey', credentials: { key: 'k&1', param: 'api_key' } });
+    assert.strictEqual(crawler.authorizeUrl('https://a.test/p?x=1'), 'https://a.test/p?x=1&api_key=k%261');
+    assert.strictEqual(crawler.redactUrl('https://a.test/p?api_key=k%261&x=1'), 'https://a.test/p?x=1');
+    assert.strictEqual(crawler.redactUrl('not a url'), 'not a url');
+
+    const header = crawlerWith({ type: 'apikey', credentials: { key: 'k' } });
+    assert.strictEqual(header.authorizeUrl('https://a.test/p'), 'https://a.test/p');
+    assert.deepStrictEqual(header.authenticateApiKey({ key: 'k' }), { 'X-API-Key': 'k' });
+    assert.throws(() => header.authenticateApiKey({}), /API key auth requires key/);
+});
+
+test('client credentials are sent with HTTP Basic and the token is reused', async () => {
+    const { server, state, base } = await oauthServer();
+    try {
+        const crawler = crawlerWith({ type: 'oauth2', credentials: { tokenUrl: `${base}/token`, clientId: 'my app', clientSecret: 's:1', scope: 'read' } });
+        assert.deepStrictEqual(await crawler.authenticate(`${base}/api`), { Authorization: 'Bearer t1' });
+        assert.deepStrictEqual(await crawler.authenticate(`${base}/api`), { Authorization: 'Bearer t1' });
+
+        assert.strictEqual(state.tokenRequests.length, 1);
+        assert.strictEqual(state.tokenRequests[0].authorization, `Basic ${Buffer.from('my+app:s%3A1').toString('base64')}`);
+        assert.deepStrictEqual(state.tokenRequests[0].body, { grant_type: 'client_credentials', scope: 'read' });
+    } finally {
+        server.close();
+    }
+});
+
+test('a token near its expiry is renewed with the refresh token', async () => {
+    const { server, state, base } = await oauthServer({ expiresIn: 0.05 });
+    try {
+        const crawler = crawlerWith({ type: 'oauth2', credentials: { tokenUrl: `${base}/token`, clientId: 'app', clientAuth: 'body' } });
+        await crawler.authenticate(`${base}/api`);
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.deepStrictEqual(await crawler.authenticate(`${base}/api`), { Authorization: 'Bearer t2' });
+        assert.deepStrictEqual(state.tokenRequests.map(request => request.body), [
+            { grant_type: 'client_credentials', client_id: 'app' },
+            { grant_type: 'refresh_token', refresh_token: 'r1', client_id: 'app' }
+        ]);
+    } finally {
+        server.close();
+    }
+});
+
+test('a rejected token is replaced once and the request retried', async () => {
+    const { server, state, base } = await oauthServer();
+    try {
+        const crawler = crawlerWith({ type: 'oauth2', credentials: { tokenUrl: `${base}/token`, clientId: 'app', accessToken: 'stale' } });
+        const response = await crawler.makeRequest(`${base}/api`);
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(state.apiAuth, ['Bearer stale', 'Bearer t1']);
+    } finally {
+        server.close();
+    }
+});
+
+test('incomplete OAuth2 settings are reported', async () => {
+    const crawler = crawlerWith(null);
+    await assert.rejects(crawler.authenticateOAuth2({ clientId: 'app' }), /OAuth2 auth requires tokenUrl and clientId/);
+});
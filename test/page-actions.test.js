@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PageActions = require('../src/page-actions');
+
+const logger = { warn() {} };
+
+// Records the Puppeteer calls a script makes; selectors in `missing` never appear
+function fakePage(missing = []) {
+    const calls = [];
+    return {
+        calls,
+        url: () => 'https://a.test/products/',
+        goto: async (url, options) => {
+            calls.push(['goto', url, options.waitUntil]);
+            return { status: () => (url.endsWith('/missing') ? 404 : 200) };
+        },
+        waitForSelector: async (selector, options) => {
+            calls.push(['waitForSelector', selector, options.visible]);
+            if (missing.includes(selector)) throw new Error(`Waiting for selector \`${selector}\` failed`);
+            return { screenshot: async ({ path: file }) => calls.push(['elementScreenshot', file]) };
+        },
+        click: async selector => calls.push(['click', selector]),
+        type: async (selector, text) => calls.push(['type', selector, text]),
+        keyboard: { press: async key => calls.push(['press', key]) },
+        select: async (selector, ...values) => values.filter(value => value !== 'none'),
+        evaluate: async script => script === 'document.title' ? 'Products' : null,
+        screenshot: async ({ path: file, fullPage }) => calls.push(['screenshot', file, fullPage])
+    };
+}
+
+test('validate expands shorthand steps and names scripts', () => {
+    const [script] = PageActions.validate([{ match: '**/products/**', steps: [{ click: '#accept' }, { action: 'wait', ms: 10 }] }]);
+    assert.strictEqual(script.name, 'script1');
+    assert.deepStrictEqual(script.steps, [{ action: 'click', selector: '#accept' }, { action: 'wait', ms: 10 }]);
+    assert.ok(script.patterns[0].test('https://a.test/products/mug'));
+});
+
+test('validate names the script and step that is wrong', () => {
+    assert.throws(() => PageActions.validate({ scripts: [] }), /non-empty "scripts" array/);
+    assert.throws(() => PageActions.validate([{ name: 'login' }]), /Action script "login" needs a non-empty "steps" array/);
+    assert.throws(() => PageActions.validate([{ steps: ['click'] }]), /Action script "script1" step 1 must be an object/);
+    assert.throws(() => PageActions.validate([{ steps: [{ hover: '#x' }] }]), /step 1 has no action \(expected goto\|click/);
+    assert.throws(() => PageActions.validate([{ steps: [{ action: 'hover' }] }]), /step 1 has unknown action "hover"/);
+    assert.throws(() => PageActions.validate([{ steps: [{ wait: 1 }, { type: '#q' }] }]), /step 2 \(type\) needs "text"/);
+});
+
+test('describe shows the action and its shortened argument', () => {
+    assert.strictEqual(PageActions.describe({ action: 'click', selector: '#accept' }), 'click "#accept"');
+    assert.strictEqual(PageActions.describe({ action: 'screenshot' }), 'screenshot');
+    assert.strictEqual(PageActions.describe({ action: 'evaluate', script: 'x'.repeat(80) }), `evaluate "${'x'.repeat(57)}..."`);
+});
+
+test('run executes matching scripts in order and collects evaluate results', async () => {
+    const actions = new PageActions([
+        { name: 'consent', steps: [{ click: '#accept' }] },
+        { name: 'search', match: '**/products/**', steps: [
+            { type: '#q', text: 'mug', pressEnter: true },
+            { select: '#sort', value: 'price' },
+            { evaluate: 'document.title', as: 'title' },
+            { goto: 'page/2' }
+        ] },
+        { name: 'elsewhere', match: '**/blog/**', steps: [{ click: '#never' }] }
+    ], { logger });
+    const page = fakePage();
+    const outcome = await actions.run(page, 'https://a.test/products/');
+
+    assert.deepStrictEqual(outcome, { scripts: ['consent', 'search'], results: { title: 'Products' }, screenshots: [], skippedSteps: [] });
+    assert.deepStrictEqual(page.calls, [
+        ['waitForSelector', '#accept', true], ['click', '#accept'],
+        ['waitForSelector', '#q', true], ['type', '#q', 'mug'], ['press', 'Enter'],
+        ['waitForSelector', '#sort', undefined],
+        ['goto', 'https://a.test/products/page/2', 'networkidle2']
+    ]);
+    assert.strictEqual(await new PageActions([{ match: '**/blog/**', steps: [{ wait: 1 }] }], { logger }).run(page, 'https://a.test/about'), null);
+});
+
+test('a failing step rejects with the script and step; optional steps are skipped', async () => {
+    const page = fakePage(['#banner']);
+    const optional = await new PageActions([{ steps: [{ click: '#banner', optional: true }, { click: '#ok' }] }], { logger }).run(page, 'https://a.test/');
+    assert.deepStrictEqual(optional.skippedSteps, [{ script: 'script1', step: 1, action: 'click', error: 'Waiting for selector `#banner` failed' }]);
+
+    const error = await new PageActions([{ name: 'nav', steps: [{ wait: 0 }, { goto: '/missing' }] }], { logger })
+        .run({ ...page, waitForTimeout: async () => {} }, 'https://a.test/')
+        .catch(caught => caught);
+    assert.strictEqual(error.message, 'Action script "nav" failed at step 2 (goto "/missing"): https://a.test/missing returned status 404');
+    assert.deepStrictEqual([error.script, error.step, error.action], ['nav', 2, 'goto']);
+
+    await assert.rejects(
+        new PageActions([{ steps: [{ select: '#sort', value: 'none' }] }], { logger }).run(page, 'https://a.test/'),
+        /no option with value none/
+    );
+});
+
+test('screenshots go under the screenshot directory', async () => {
+    const screenshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'actions-test-'));
+    try {
+        const actions = new PageActions([{ name: 'Shots!', steps: [{ screenshot: 'named/a.png', fullPage: false }, { screenshot: true, selector: '.card' }] }], { logger, screenshotDir });
+        const page = fakePage();
+        const { screenshots } = await actions.run(page, 'https://a.test/');
+
+        assert.strictEqual(screenshots[0], path.join(screenshotDir, 'named', 'a.png'));
+        assert.match(path.basename(screenshots[1]), /^\d+-shots_-step2\.png$/);
+        assert.deepStrictEqual(page.calls.filter(call => call[0].endsWith('creenshot')), [
+            ['screenshot', screenshots[0], false],
+            ['elementScreenshot', screenshots[1]]
+        ]);
+    } finally {
+        fs.rmSync(screenshotDir, { recursive: true });
+    }
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Paginator = require('../src/paginator');
+
+const listing = (n, next) => ({
+    url: `https://a.test/list?page=${n}`,
+    title: `Page ${n}`,
+    statusCode: 200,
+    contentKind: 'html',
+    text: `items on ${n}`,
+    html: `<ul><li>${n}</li></ul>${next || ''}`,
+    links: [{ url: 'https://a.test/about' }, { url: `https://a.test/item/${n}` }],
+    images: [{ src: 'https://a.test/logo.png' }],
+    records: [{ type: 'item', data: { n } }]
+});
+
+test('next finds rel=next links and resolves them against the page', () => {
+    const paginator = new Paginator();
+    assert.deepStrictEqual(paginator.next('<head><link rel="prev next" href="?page=2"></head>', 'https://a.test/list?page=1'), { url: 'https://a.test/list?page=2' });
+    assert.deepStrictEqual(paginator.next('<a rel="next" href="/p/3">Next</a>', 'https://a.test/p/2'), { url: 'https://a.test/p/3' });
+    assert.strictEqual(paginator.next('<a href="/p/3">Next</a>', 'https://a.test/'), null);
+    assert.strictEqual(paginator.next('<a rel="next" href="#">Next</a>', 'https://a.test/'), null);
+});
+
+test('a selector may match a wrapper, a disabled control or a script-driven button', () => {
+    const paginator = new Paginator({ selector: '.pager .next' });
+    const base = 'https://a.test/list';
+    assert.deepStrictEqual(paginator.next('<ul class="pager"><li class="next"><a href="?p=2">»</a></li></ul>', base), { url: 'https://a.test/list?p=2' });
+    assert.deepStrictEqual(paginator.next('<div class="pager"><button class="next">More</button></div>', base), { click: true });
+    assert.deepStrictEqual(paginator.next('<div class="pager"><a class="next" href="javascript:void(0)">More</a></div>', base), { click: true });
+    assert.strictEqual(paginator.next('<div class="pager"><button class="next" disabled>More</button></div>', base), null);
+    assert.strictEqual(paginator.next('<div class="pager"><a class="next" aria-disabled="true" href="?p=9">»</a></div>', base), null);
+    assert.strictEqual(paginator.next('<p>no pager</p>', base), null);
+});
+
+test('group merges links, images, text and records under the first page', () => {
+    const grouped = Paginator.group([listing(1), listing(2)], 'last-page');
+
+    assert.strictEqual(grouped.url, 'https://a.test/list?page=1');
+    assert.strictEqual(grouped.text, 'items on 1\n\nitems on 2');
+    assert.deepStrictEqual(grouped.links.map(link => link.url), ['https://a.test/about', 'https://a.test/item/1', 'https://a.test/item/2']);
+    assert.deepStrictEqual(grouped.images, [{ src: 'https://a.test/logo.png' }]);
+    assert.deepStrictEqual(grouped.records.map(record => record.data.n), [1, 2]);
+    assert.deepStrictEqual(grouped.pagination, {
+        pageCount: 2,
+        stoppedBy: 'last-page',
+        pages: [1, 2].map(n => ({ url: `https://a.test/list?page=${n}`, finalUrl: undefined, statusCode: 200, title: `Page ${n}`, links: 2 }))
+    });
+
+    const single = listing(1);
+    assert.strictEqual(Paginator.group([single], 'last-page'), single);
+    assert.strictEqual(Paginator.group([listing(1), listing(2)], 'error', 'boom').pagination.error, 'boom');
+});
+
+test('follow stops at the last page, maxPages, loops, scope checks and fetch errors', async () => {
+    const nextLink = n => `<a rel="next" href="?page=${n}">Next</a>`;
+    const site = { 1: nextLink(2), 2: nextLink(3), 3: nextLink(1) };
+    const fetchNext = async next => {
+        const n = Number(new URL(next.url).searchParams.get('page'));
+        return listing(n, site[n]);
+    };
+
+    const looped = await new Paginator().follow(listing(1, site[1]), fetchNext);
+    assert.strictEqual(looped.pagination.stoppedBy, 'loop');
+    assert.strictEqual(looped.pagination.pageCount, 3);
+
+    const capped = await new Paginator({ maxPages: 2 }).follow(listing(1, site[1]), fetchNext);
+    assert.deepStrictEqual([capped.pagination.pageCount, capped.pagination.stoppedBy], [2, 'max-pages']);
+
+    const checked = await new Paginator().follow(listing(1, site[1]), fetchNext, { check: async url => (url.endsWith('=3') ? 'excluded:**' : null) });
+    assert.deepStrictEqual([checked.pagination.pageCount, checked.pagination.stoppedBy], [2, 'excluded:**']);
+
+    const failed = await new Paginator().follow(listing(1, site[1]), async next => {
+        if (next.url.endsWith('=3')) throw new Error('Request failed with status code 500');
+        return fetchNext(next);
+    });
+    assert.deepStrictEqual([failed.pagination.pageCount, failed.pagination.stoppedBy, failed.pagination.error], [2, 'error', 'Request failed with status code 500']);
+
+    const last = listing(1);
+    assert.strictEqual(await new Paginator().follow(last, fetchNext), last);
+});
+
+test('clicks are only followed with canClick, and stop when no new content appears', async () => {
+    const button = '<button class="more">More</button>';
+    const paginator = new Paginator({ selector: '.more' });
+    const head = listing(1, button);
+
+    assert.strictEqual(await paginator.follow(head, async () => assert.fail('no click without canClick')), head);
+
+    let clicks = 0;
+    const result = await paginator.follow(head, async (next, current) => {
+        clicks++;
+        assert.deepStrictEqual(next, { click: true });
+        return clicks === 1 ? { ...listing(2, button), url: current.url } : { ...current };
+    }, { canClick: true });
+    assert.deepStrictEqual([result.pagination.pageCount, result.pagination.stoppedBy, clicks], [2, 'no-new-content', 2]);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PolitenessScheduler = require('../src/politeness');
+const WebCrawler = require('../src/crawler');
+
+test('at most maxPerHost requests run at once on a host, other hosts are not held up', async () => {
+    const scheduler = new PolitenessScheduler({ maxPerHost: 2 });
+    const releases = [
+        await scheduler.acquire('https://a.test/1'),
+        await scheduler.acquire('https://a.test/2')
+    ];
+
+    let third = null;
+    const waiting = scheduler.acquire('https://a.test/3').then(release => {
+        third = release;
+    });
+    const other = await scheduler.acquire('https://b.test/1');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(third, null);
+    assert.deepStrictEqual(scheduler.getStats()['a.test'], { active: 2, queued: 1, crawlDelay: 0 });
+
+    releases[0]();
+    releases[0]();
+    await waiting;
+    assert.strictEqual(scheduler.getStats()['a.test'].active, 2);
+    releases[1]();
+    third();
+    other();
+});
+
+test('request starts on one host are spaced by minInterval or the larger crawl delay', async () => {
+    const scheduler = new PolitenessScheduler({ minInterval: 40, maxPerHost: 5 });
+    const start = Date.now();
+    (await scheduler.acquire('https://a.test/1'))();
+    (await scheduler.acquire('https://a.test/2'))();
+    assert.ok(Date.now() - start >= 35);
+
+    (await scheduler.acquire('https://a.test/3', 120))();
+    const delayed = Date.now();
+    (await scheduler.acquire('https://a.test/4'))();
+    assert.ok(Date.now() - delayed >= 110);
+    assert.strictEqual(scheduler.getStats()['a.test'].crawlDelay, 120);
+});
+
+test('the token bucket allows a burst of requests, then one per refill', async () => {
+    const scheduler = new PolitenessScheduler({ maxPerHost: 10, rateLimit: { requests: 2, window: 100 } });
+    const start = Date.now();
+    (await scheduler.acquire('https://a.test/1'))();
+    (await scheduler.acquire('https://a.test/2'))();
+    assert.ok(Date.now() - start < 30);
+
+    (await scheduler.acquire('https://a.test/3'))();
+    assert.ok(Date.now() - start >= 40);
+});
+
+test('fromEnv reads RATE_LIMIT_* only when enabled', () => {
+    assert.strictEqual(PolitenessScheduler.fromEnv({}), null);
+    assert.deepStrictEqual(PolitenessScheduler.fromEnv({ RATE_LIMIT_ENABLED: 'true', RATE_LIMIT_REQUESTS: '5' }), { requests: 5, window: 60000 });
+});
+
+test('the crawler falls back to the env rate limit when rateLimit is passed as undefined', () => {
+    const previous = { ...process.env };
+    Object.assign(process.env, { RATE_LIMIT_ENABLED: 'true', RATE_LIMIT_REQUESTS: '3', RATE_LIMIT_WINDOW: '1000' });
+    try {
+        const crawler = new WebCrawler({ rateLimit: undefined, output: ['json'] });
+        assert.deepStrictEqual(crawler.options.rateLimit, { requests: 3, window: 1000 });
+        assert.strictEqual(crawler.politeness.rateLimit.capacity, 3);
+
+        const explicit = new WebCrawler({ rateLimit: { requests: 1, window: 10 }, output: ['json'] });
+        assert.deepStrictEqual(explicit.options.rateLimit, { requests: 1, window: 10 });
+    } finally {
+        for (const name of ['RATE_LIMIT_ENABLED', 'RATE_LIMIT_REQUESTS', 'RATE_LIMIT_WINDOW']) {
+            if (name in previous) process.env[name] = previous[name];
+            else delete process.env[name];
+        }
+    }
+});
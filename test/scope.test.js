@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CrawlScope = require('../src/scope');
+
+test('compilePattern: * stays inside a path segment, ** crosses segments', () => {
+    const one = CrawlScope.compilePattern('https://a.test/blog/*');
+    assert.ok(one.test('https://a.test/blog/post'));
+    assert.ok(!one.test('https://a.test/blog/2024/post'));
+
+    const any = CrawlScope.compilePattern('https://a.test/blog/**');
+    assert.ok(any.test('https://a.test/blog/2024/post'));
+
+    const single = CrawlScope.compilePattern('https://a.test/p?');
+    assert.ok(single.test('https://a.test/p1'));
+    assert.ok(!single.test('https://a.test/p12'));
+});
+
+test('compilePattern escapes regex characters in globs', () => {
+    const pattern = CrawlScope.compilePattern('https://a.test/search.php?q=*');
+    assert.ok(!pattern.test('https://a.test/searchXphp1q=x'));
+    assert.ok(CrawlScope.compilePattern('**/page(1)').test('https://a.test/page(1)'));
+});
+
+test('compilePattern takes /regex/flags and RegExp objects as they are', () => {
+    assert.ok(CrawlScope.compilePattern('/\\/ARTICLE\\/\\d+$/i').test('https://a.test/article/42'));
+    const regex = /print/;
+    assert.strictEqual(CrawlScope.compilePattern(regex), regex);
+});
+
+test('check applies the domain policy', () => {
+    const host = new CrawlScope('https://www.a.test/');
+    assert.strictEqual(host.check('https://www.a.test/x'), null);
+    assert.strictEqual(host.check('https://WWW.A.TEST/x'), null);
+    assert.strictEqual(host.check('https://blog.a.test/x'), 'off-host');
+
+    const domain = new CrawlScope('https://www.example.co.uk/', { domainPolicy: 'domain' });
+    assert.strictEqual(domain.check('https://shop.example.co.uk/'), null);
+    assert.strictEqual(domain.check('https://other.co.uk/'), 'off-domain');
+
+    assert.strictEqual(new CrawlScope('https://a.test/', { domainPolicy: 'any' }).check('https://b.test/'), null);
+});
+
+test('check refuses other schemes and invalid URLs', () => {
+    const scope = new CrawlScope('https://a.test/');
+    assert.strictEqual(scope.check('ftp://a.test/file'), 'scheme-not-allowed:ftp');
+    assert.strictEqual(scope.check('not a url'), 'invalid-url');
+    assert.strictEqual(new CrawlScope('https://a.test/', { allowedSchemes: ['https:'] }).check('http://a.test/'), 'scheme-not-allowed:http');
+});
+
+test('exclude wins over include, and include limits what is followed', () => {
+    const scope = new CrawlScope('https://a.test/', {
+        include: ['https://a.test/docs/**'],
+        exclude: ['**/drafts/**']
+    });
+    assert.strictEqual(scope.check('https://a.test/docs/intro'), null);
+    assert.strictEqual(scope.check('https://a.test/docs/drafts/x'), 'excluded:**/drafts/**');
+    assert.strictEqual(scope.check('https://a.test/about'), 'not-included');
+});
+
+test('an unknown domain policy is rejected', () => {
+    assert.throws(() => new CrawlScope('https://a.test/', { domainPolicy: 'site' }), /Unknown domain policy: site/);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SeoAudit = require('../src/seo-audit');
+
+// A page that passes every check unless overridden
+function page(url, overrides = {}) {
+    const { seo, meta, ...rest } = overrides;
+    return {
+        url,
+        finalUrl: url,
+        redirects: 0,
+        contentType: 'text/html; charset=utf-8',
+        links: [],
+        meta: { description: `A description for ${url} that is comfortably long enough for the audit.`, ...meta },
+        seo: {
+            title: `A good title for ${url}`.padEnd(40, '.'),
+            h1: ['Heading'],
+            robots: '',
+            viewport: true,
+            canonical: url,
+            imagesWithoutAlt: [],
+            ...seo
+        },
+        ...rest
+    };
+}
+
+const ids = report => report.issues.map(issue => issue.id);
+
+test('a clean site has no issues', () => {
+    const home = page('https://a.test/', { links: [{ url: 'https://a.test/about' }] });
+    const report = new SeoAudit().audit([home, page('https://a.test/about')]);
+    assert.deepStrictEqual(report, { summary: { pages: 2, issues: 0, errors: 0, warnings: 0, notices: 0 }, issues: [] });
+    assert.match(SeoAudit.format(report), /No issues found\./);
+});
+
+test('title, description, heading and meta problems are flagged, errors first', () => {
+    const pages = [
+        page('https://a.test/', {
+            seo: { title: '', h1: [], viewport: false, robots: 'noindex, follow', imagesWithoutAlt: ['https://a.test/x.png'] },
+            meta: { description: '' },
+            links: ['a', 'b'].map(path => ({ url: `https://a.test/${path}` }))
+        }),
+        page('https://a.test/a', { seo: { title: 'Same Title Here That Is Long Enough', h1: ['One', 'Two'], canonical: '' }, meta: { description: 'Too short' } }),
+        page('https://a.test/b', { seo: { title: 'same title here that is  long enough' } })
+    ];
+    const report = new SeoAudit().audit(pages);
+
+    assert.deepStrictEqual(ids(report), [
+        'missing-title',
+        'duplicate-title', 'missing-description', 'missing-h1', 'image-alt', 'missing-viewport', 'noindex',
+        'description-length', 'multiple-h1', 'missing-canonical'
+    ]);
+    const issue = id => report.issues.find(entry => entry.id === id);
+    assert.deepStrictEqual(issue('duplicate-title').pages.map(entry => entry.url), ['https://a.test/a', 'https://a.test/b']);
+    assert.deepStrictEqual(issue('description-length').pages, [{ url: 'https://a.test/a', detail: '9 characters' }]);
+    assert.deepStrictEqual(issue('noindex').pages, [{ url: 'https://a.test/', detail: 'noindex, follow' }]);
+    assert.strictEqual(report.summary.errors, 1);
+});
+
+test('limits are configurable', () => {
+    const short = page('https://a.test/', { seo: { title: 'Short' } });
+    assert.ok(ids(new SeoAudit().audit([short])).includes('title-length'));
+    assert.ok(!ids(new SeoAudit({ limits: { titleMin: 5 } }).audit([short])).includes('title-length'));
+});
+
+test('redirects and orphan pages are reported; non-HTML pages are skipped', () => {
+    const pages = [
+        page('https://a.test/', { links: [{ url: 'https://a.test/moved' }, { url: 'https://a.test/chained' }] }),
+        page('https://a.test/moved', { redirects: 1, finalUrl: 'https://a.test/new' }),
+        page('https://a.test/chained', { redirects: 2, finalUrl: 'https://a.test/end' }),
+        page('https://a.test/sitemap-only', { links: [{ url: 'https://a.test/sitemap-only' }] }),
+        page('https://a.test/feed.json', { contentType: 'application/json' }),
+        { url: 'https://a.test/file.pdf', contentType: 'application/pdf' }
+    ];
+    const report = new SeoAudit().audit(pages);
+    const issue = id => report.issues.find(entry => entry.id === id);
+
+    assert.strictEqual(report.summary.pages, 4);
+    assert.deepStrictEqual(issue('redirect-chain').pages, [{ url: 'https://a.test/chained', detail: '2 redirects to https://a.test/end' }]);
+    assert.deepStrictEqual(issue('redirect').pages, [{ url: 'https://a.test/moved', detail: 'redirects to https://a.test/new' }]);
+    assert.deepStrictEqual(issue('orphan').pages, [{ url: 'https://a.test/sitemap-only' }]);
+});
+
+test('format nests under the given heading level', () => {
+    const report = new SeoAudit().audit([page('https://a.test/', { seo: { title: '' } })]);
+    const markdown = SeoAudit.format(report, 2);
+    assert.ok(markdown.startsWith('## SEO Audit\n'));
+    assert.match(markdown, /^### \[ERROR\] Missing <title> \(1\)\n\n- https:\/\/a\.test\/$/m);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const SiteMirror = require('../src/site-mirror');
+const WebCrawler = require('../src/crawler');
+
+function crawler() {
+    const instance = new WebCrawler({ output: ['json'], delay: 0 });
+    instance.logger.silent = true;
+    return instance;
+}
+
+test('localPath maps pages to index.html files and hashes their query strings', () => {
+    const mirror = new SiteMirror(crawler(), { outputDir: '/out' });
+    assert.strictEqual(mirror.localPath('https://a.test/', true), '/out/a.test/index.html');
+    assert.strictEqual(mirror.localPath('https://a.test/docs', true), '/out/a.test/docs/index.html');
+    assert.strictEqual(mirror.localPath('https://a.test/page.HTML', true), '/out/a.test/page.HTML');
+    assert.match(mirror.localPath('https://a.test/list?page=2', true), /^\/out\/a\.test\/list\/index-[0-9a-f]{8}\.html$/);
+    assert.strictEqual(mirror.localPath('https://a.test:8443/img/a%20b.png'), '/out/a.test_8443/img/a b.png');
+    assert.strictEqual(mirror.localPath('https://a.test/.../x'), '/out/a.test/_/x');
+});
+
+test('safeSegment and relativeUrl keep paths inside the mirror and usable from file://', () => {
+    assert.strictEqual(SiteMirror.safeSegment('a%3Fb%2Fc'), 'a_b_c');
+    assert.strictEqual(SiteMirror.safeSegment('%E0%A4%A'), '%E0%A4%A');
+    assert.strictEqual(SiteMirror.relativeUrl('/out/a/docs/index.html', '/out/a/img/my logo.png'), '../img/my%20logo.png');
+});
+
+test('save rewrites pages and assets to relative paths and revalidates assets on the next run', async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(`${req.url} ${req.headers['if-none-match'] || '-'}`);
+        if (req.url === '/style.css') {
+            res.writeHead(200, { 'Content-Type': 'text/css' });
+            return res.end('@import "theme.css"; body { background: url(img/bg.png); }');
+        }
+        if (req.url === '/theme.css') {
+            res.writeHead(200, { 'Content-Type': 'text/css' });
+            return res.end('@import "style.css";');
+        }
+        if (req.url === '/img/bg.png' || req.url === '/logo.png') {
+            if (req.headers['if-none-match'] === '"png"') {
+                res.writeHead(304);
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': 'image/png', ETag: '"png"' });
+            return res.end(Buffer.from([0x89, 0x50]));
+        }
+        res.writeHead(404);
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mirror-test-'));
+
+    try {
+        const pages = [
+            {
+                url: `${base}/`,
+                html: `<html><head><base href="${base}/"><link rel="stylesheet" href="style.css"></head><body>
+                    <a href="docs#top">Docs</a><a href="https://elsewhere.test/">Away</a><a href="mailto:me@a.test">Mail</a>
+                    <img src="logo.png" srcset="logo.png 1x, missing.png 2x"></body></html>`
+            },
+            { url: `${base}/docs`, html: `<a href="${base}/">Home</a>` }
+        ];
+
+        const first = await new SiteMirror(crawler(), { outputDir, concurrency: 1 }).save(`${base}/`, pages);
+        const host = `127.0.0.1_${server.address().port}`;
+        assert.strictEqual(first.indexPath, path.join(outputDir, host, 'index.html'));
+        assert.deepStrictEqual(first.stats, { pages: 2, downloaded: 4, unchanged: 0, failed: 1 });
+
+        const index = fs.readFileSync(first.indexPath, 'utf8');
+        assert.ok(!index.includes('<base'));
+        assert.match(index, /href="docs\/index\.html#top"/);
+        assert.match(index, /href="https:\/\/elsewhere\.test\/"/);
+        assert.match(index, /href="mailto:me@a\.test"/);
+        assert.match(index, /src="logo\.[0-9a-f]{10}\.png"/);
+        assert.match(index, new RegExp(`srcset="logo\\.[0-9a-f]{10}\\.png 1x, ${base}/missing\\.png 2x"`));
+        assert.match(fs.readFileSync(path.join(outputDir, host, 'docs', 'index.html'), 'utf8'), /href="\.\.\/index\.html"/);
+
+        const css = fs.readdirSync(path.join(outputDir, host)).filter(name => name.endsWith('.css'));
+        const style = fs.readFileSync(path.join(outputDir, host, css.find(name => name.startsWith('style.'))), 'utf8');
+        assert.match(style, /@import "theme\.[0-9a-f]{10}\.css"; body \{ background: url\("img\/bg\.[0-9a-f]{10}\.png"\); \}/);
+        const theme = fs.readFileSync(path.join(outputDir, host, css.find(name => name.startsWith('theme.'))), 'utf8');
+        assert.strictEqual(theme, `@import "${base}/style.css";`);
+
+        requests.length = 0;
+        const second = await new SiteMirror(crawler(), { outputDir, concurrency: 1 }).save(`${base}/`, pages);
+        assert.deepStrictEqual(second.stats, { pages: 2, downloaded: 0, unchanged: 4, failed: 1 });
+        assert.ok(requests.includes('/logo.png "png"'));
+        assert.ok(requests.includes('/style.css -'));
+    } finally {
+        server.close();
+        fs.rmSync(outputDir, { recursive: true });
+    }
+});
+
+test('external assets are left as absolute URLs when external is false', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mirror-test-'));
+    try {
+        const mirror = new SiteMirror(crawler(), { outputDir, external: false });
+        const result = await mirror.save('https://a.test/', [{ url: 'https://a.test/', html: '<img src="https://cdn.test/x.png">' }]);
+        assert.match(fs.readFileSync(result.indexPath, 'utf8'), /src="https:\/\/cdn\.test\/x\.png"/);
+        assert.deepStrictEqual(result.stats, { pages: 1, downloaded: 0, unchanged: 0, failed: 0 });
+    } finally {
+        fs.rmSync(outputDir, { recursive: true });
+    }
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const SitemapReader = require('../src/sitemap');
+const UrlCanonicalizer = require('../src/canonicalizer');
+
+const logger = { info() {}, warn() {} };
+
+// A crawler stand-in that serves sitemap bodies from a map of URL -> string or Buffer
+function fakeCrawler(bodies, robotsSitemaps = []) {
+    const canonicalizer = new UrlCanonicalizer();
+    const requested = [];
+    return {
+        logger,
+        requested,
+        canonicalize: url => canonicalizer.canonicalize(url),
+        getRobots: async () => ({ getSitemaps: () => robotsSitemaps }),
+        makeRequest: async url => {
+            requested.push(url);
+            if (!(url in bodies)) throw new Error('Request failed with status code 404');
+            return { data: Buffer.from(bodies[url]) };
+        }
+    };
+}
+
+test('parse reads urlset entries with lastmod, priority and changefreq', () => {
+    const reader = new SitemapReader(fakeCrawler({}));
+    const { sitemaps, urls } = reader.parse(`<?xml version="1.0"?>
+        <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+            <url><loc> https://a.test/one </loc><lastmod>2024-01-02</lastmod><priority>0.8</priority><changefreq>daily</changefreq></url>
+            <url><loc>https://a.test/two</loc></url>
+            <url><lastmod>2024-01-02</lastmod></url>
+        </urlset>`, 'https://a.test/sitemap.xml');
+
+    assert.deepStrictEqual(sitemaps, []);
+    assert.deepStrictEqual(urls, [
+        { url: 'https://a.test/one', lastmod: '2024-01-02', priority: 0.8, changefreq: 'daily', sitemap: 'https://a.test/sitemap.xml' },
+        { url: 'https://a.test/two', lastmod: null, priority: null, changefreq: null, sitemap: 'https://a.test/sitemap.xml' }
+    ]);
+});
+
+test('parse reads sitemap indexes and plain-text sitemaps', () => {
+    const reader = new SitemapReader(fakeCrawler({}));
+    const index = reader.parse('<sitemapindex><sitemap><loc>https://a.test/posts.xml</loc></sitemap></sitemapindex>', 'x');
+    assert.deepStrictEqual(index.sitemaps, ['https://a.test/posts.xml']);
+
+    const text = reader.parse('https://a.test/a\r\nnot a url\nhttps://a.test/b\n', 'x');
+    assert.deepStrictEqual(text.urls.map(entry => entry.url), ['https://a.test/a', 'https://a.test/b']);
+});
+
+test('read follows nested and gzipped sitemaps and keeps one entry per canonical URL', async () => {
+    const crawler = fakeCrawler({
+        'https://a.test/sitemap.xml': '<sitemapindex><sitemap><loc>https://a.test/pages.xml.gz</loc></sitemap><sitemap><loc>https://a.test/sitemap.xml</loc></sitemap></sitemapindex>',
+        'https://a.test/pages.xml.gz': zlib.gzipSync('<urlset><url><loc>https://a.test/docs/?utm_source=map</loc></url><url><loc>https://a.test/docs</loc></url></urlset>')
+    });
+    const entries = await new SitemapReader(crawler).read(['https://a.test/sitemap.xml', 'https://a.test/missing.xml']);
+
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].url, 'https://a.test/docs');
+    assert.strictEqual(entries[0].requestedUrl, 'https://a.test/docs/?utm_source=map');
+    assert.strictEqual(entries[0].sitemap, 'https://a.test/pages.xml.gz');
+    assert.deepStrictEqual(crawler.requested, ['https://a.test/sitemap.xml', 'https://a.test/missing.xml', 'https://a.test/pages.xml.gz']);
+});
+
+test('read stops after maxSitemaps sitemaps', async () => {
+    const crawler = fakeCrawler({
+        'https://a.test/1.xml': '<sitemapindex><sitemap><loc>https://a.test/2.xml</loc></sitemap></sitemapindex>',
+        'https://a.test/2.xml': '<urlset><url><loc>https://a.test/page</loc></url></urlset>'
+    });
+    const entries = await new SitemapReader(crawler, { maxSitemaps: 1 }).read(['https://a.test/1.xml']);
+    assert.deepStrictEqual(entries, []);
+});
+
+test('discover reads robots.txt sitemaps before /sitemap.xml', async () => {
+    const crawler = fakeCrawler({
+        'https://a.test/from-robots.xml': '<urlset><url><loc>https://a.test/r</loc></url></urlset>',
+        'https://a.test/sitemap.xml': '<urlset><url><loc>https://a.test/s</loc></url></urlset>'
+    }, ['https://a.test/from-robots.xml']);
+    const entries = await new SitemapReader(crawler).discover('https://a.test/some/page');
+    assert.deepStrictEqual(entries.map(entry => entry.url), ['https://a.test/r', 'https://a.test/s']);
+});
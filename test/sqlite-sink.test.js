@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const SqliteSink = require('../src/sqlite-sink');
+
+const page = {
+    url: 'https://a.test/',
+    finalUrl: 'https://a.test/',
+    title: 'Home',
+    statusCode: 200,
+    fromCache: true,
+    text: 'Hello',
+    meta: { description: 'Front page', robots: 'index' },
+    links: [{ url: 'https://a.test/about', text: 'About' }],
+    images: [{ src: 'https://a.test/logo.png', alt: 'Logo' }],
+    timing: { total: 12 }
+};
+
+test('the SQLite sink stores pages, links and images, and extra fields as JSON', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sink-test-'));
+    const file = path.join(dir, 'crawl.db');
+    try {
+        const sink = new SqliteSink(file);
+        sink.write(page);
+        await sink.close();
+
+        const db = new Database(file, { readonly: true });
+        const row = db.prepare('SELECT * FROM pages').get();
+        assert.strictEqual(row.title, 'Home');
+        assert.strictEqual(row.status_code, 200);
+        assert.strictEqual(row.description, 'Front page');
+        assert.strictEqual(row.from_cache, 1);
+        assert.strictEqual(row.html, null);
+        assert.deepStrictEqual(JSON.parse(row.extra), { timing: { total: 12 }, meta: { robots: 'index' } });
+        assert.deepStrictEqual(db.prepare('SELECT url, text FROM links WHERE page_id = ?').all(row.id), [{ url: 'https://a.test/about', text: 'About' }]);
+        assert.deepStrictEqual(db.prepare('SELECT src, alt FROM images').all(), [{ src: 'https://a.test/logo.png', alt: 'Logo' }]);
+        db.close();
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
+
+test('a recrawled URL replaces its row, links and images', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sink-test-'));
+    const file = path.join(dir, 'crawl.db');
+    try {
+        const sink = new SqliteSink(file);
+        sink.write(page);
+        await sink.close();
+
+        const resumed = new SqliteSink(file);
+        resumed.write({ ...page, title: 'Home v2', links: [], images: [] });
+        await resumed.close();
+
+        const db = new Database(file, { readonly: true });
+        assert.deepStrictEqual(db.prepare('SELECT title FROM pages').all(), [{ title: 'Home v2' }]);
+        assert.strictEqual(db.prepare('SELECT COUNT(*) AS n FROM links').get().n, 0);
+        assert.strictEqual(db.prepare('SELECT COUNT(*) AS n FROM images').get().n, 0);
+        db.close();
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const WarcWriter = require('../src/warc-writer');
+const WarcReader = require('../src/warc-reader');
+
+test('surt drops the scheme and www, reverses the host and sorts the query', () => {
+    assert.strictEqual(WarcReader.surt('https://www.Example.com/Path?b=2&a=1'), 'com,example)/path?a=1&b=2');
+    assert.strictEqual(WarcReader.surt('http://a.test:8080/'), 'test,a:8080)/');
+    assert.strictEqual(WarcReader.surt('not a url'), 'not a url');
+});
+
+test('records written by WarcWriter read back with their offsets, including bodies past the read window', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'warc-test-'));
+    try {
+        // Random bytes don't compress, so the gzip member outgrows the initial 64 KiB window
+        const large = crypto.randomBytes(200 * 1024);
+        const writer = new WarcWriter({ dir });
+        await writer.writeExchange({
+            url: 'https://a.test/big.bin',
+            requestHead: 'GET /big.bin HTTP/1.1\r\n\r\n',
+            statusLine: 'HTTP/1.1 200 OK',
+            headers: [['Content-Type', 'application/octet-stream']],
+            body: large
+        });
+        await writer.writeExchange({
+            url: 'https://a.test/small',
+            requestHead: 'GET /small HTTP/1.1\r\n\r\n',
+            statusLine: 'HTTP/1.1 200 OK',
+            headers: [],
+            body: Buffer.from('small')
+        });
+        const [file] = await writer.close();
+
+        const records = [];
+        for await (const record of WarcReader.records(file)) records.push(record);
+        assert.deepStrictEqual(records.map(record => record.headers['warc-type']), ['warcinfo', 'response', 'request', 'response', 'request']);
+        assert.ok(WarcReader.parseHttp(records[1].block).payload.equals(large));
+        assert.strictEqual(WarcReader.parseHttp(records[3].block).payload.toString(), 'small');
+
+        const size = fs.statSync(file).size;
+        const last = records[records.length - 1];
+        assert.strictEqual(last.offset + last.length, size);
+        records.slice(1).forEach((record, index) => assert.strictEqual(record.offset, records[index].offset + records[index].length));
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
+
+test('index builds a sorted CDX with redirects and revisits', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'warc-test-'));
+    try {
+        const writer = new WarcWriter({ dir });
+        await writer.writeExchange({
+            url: 'https://a.test/old',
+            requestHead: 'GET /old HTTP/1.1\r\n\r\n',
+            statusLine: 'HTTP/1.1 302 Found',
+            headers: [['Location', 'https://a.test/new page']]
+        });
+        await writer.writeExchange({
+            url: 'https://a.test/new page',
+            requestHead: 'GET /new%20page HTTP/1.1\r\n\r\n',
+            statusLine: 'HTTP/1.1 200 OK',
+            headers: [['Content-Type', 'Text/HTML; charset=utf-8']],
+            body: Buffer.from('<p>new</p>')
+        });
+        await writer.writeExchange({
+            url: 'https://a.test/cached',
+            requestHead: 'GET /cached HTTP/1.1\r\n\r\n',
+            statusLine: 'HTTP/1.1 304 Not Modified',
+            headers: [],
+            notModified: true
+        });
+        const files = await writer.close();
+
+        const [header, ...lines] = (await WarcReader.index(files)).trimEnd().split('\n');
+        assert.strictEqual(header, ' CDX N b a m s k r M S V g');
+        const rows = lines.map(line => line.split(' '));
+        assert.deepStrictEqual(rows.map(row => [row[0], row[2], row[3], row[4], row[6]]), [
+            ['test,a)/cached', 'https://a.test/cached', 'warc/revisit', '304', '-'],
+            ['test,a)/new%20page', 'https://a.test/new%20page', 'text/html', '200', '-'],
+            ['test,a)/old', 'https://a.test/old', '-', '302', 'https://a.test/new%20page']
+        ]);
+        assert.strictEqual(rows[1][5], WarcWriter.digest(Buffer.from('<p>new</p>')).slice(5));
+        assert.ok(rows.every(row => row[10] === 'crawl-00000.warc.gz' && /^\d{14}$/.test(row[1])));
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
+
+test('files that are not gzip-per-record WARCs are rejected', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'warc-test-'));
+    try {
+        const file = path.join(dir, 'plain.warc');
+        fs.writeFileSync(file, 'WARC/1.1\r\n\r\n');
+        await assert.rejects(WarcReader.indexFile(file), /no gzip member at offset 0/);
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WarcWriter = require('../src/warc-writer');
+const WarcReader = require('../src/warc-reader');
+const WebCrawler = require('../src/crawler');
+
+async function readAll(filePath) {
+    const records = [];
+    for await (const record of WarcReader.records(filePath)) records.push(record);
+    return records;
+}
+
+test('digests are base32 SHA-1', () => {
+    assert.strictEqual(WarcWriter.digest(Buffer.from('')), 'sha1:3I42H3S6NNFQ2MSVX7XZKYAYSCX5QBYJ');
+    assert.strictEqual(WarcWriter.base32(Buffer.from('f')), 'MY');
+});
+
+test('request heads are rebuilt with a Host header and credentials redacted', () => {
+    const head = WarcWriter.requestHead('get', 'https://a.test/p?q=1', { Cookie: 'sid=1', Accept: '*/*' });
+    assert.strictEqual(head, 'GET /p?q=1 HTTP/1.1\r\nHost: a.test\r\nCookie: sid=1\r\nAccept: */*\r\n\r\n');
+    assert.strictEqual(
+        WarcWriter.redactRequest(head + 'authorization: Basic eA==\r\n'),
+        'GET /p?q=1 HTTP/1.1\r\nHost: a.test\r\nCookie: [redacted]\r\nAccept: */*\r\n\r\nauthorization: [redacted]\r\n'
+    );
+});
+
+test('response heads describe the decoded body', () => {
+    const head = WarcWriter.responseHead('HTTP/1.1 200 OK', [
+        ['Content-Type', 'text/html'],
+        ['Content-Encoding', 'gzip'],
+        ['Content-Length', '10']
+    ], Buffer.from('hello'));
+    assert.strictEqual(head, 'HTTP/1.1 200 OK\r\nContent-Type: text/html\r\nX-Archive-Orig-Content-Encoding: gzip\r\nContent-Length: 5\r\n\r\n');
+});
+
+test('an exchange is written as response, request and metadata records', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'warc-test-'));
+    try {
+        const writer = new WarcWriter({ dir, info: { operator: 'tests' } });
+        await writer.writeExchange({
+            url: 'https://a.test/',
+            requestHead: WarcWriter.requestHead('GET', 'https://a.test/', { Authorization: 'Bearer t' }),
+            statusLine: 'HTTP/1.1 200 OK',
+            headers: [['Content-Type', 'text/html']],
+            body: Buffer.from('<p>hi</p>'),
+            metadata: { fetchTimeMs: 5, crawlMethod: 'axios', missing: null }
+        });
+        const files = await writer.close();
+        assert.deepStrictEqual(files.map(file => path.basename(file)), ['crawl-00000.warc.gz']);
+
+        const records = await readAll(files[0]);
+        assert.deepStrictEqual(records.map(record => record.headers['warc-type']), ['warcinfo', 'response', 'request', 'metadata']);
+        assert.match(records[0].block.toString(), /operator: tests/);
+        assert.strictEqual(records[2].headers['warc-concurrent-to'], records[1].headers['warc-record-id']);
+        assert.match(records[2].block.toString(), /Authorization: \[redacted\]/);
+        assert.strictEqual(records[3].block.toString(), 'fetchTimeMs: 5\r\ncrawlMethod: axios\r\n');
+        assert.strictEqual(WarcReader.parseHttp(records[1].block).payload.toString(), '<p>hi</p>');
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
+
+test('a new file is started past maxSize, and existing files are never reused', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'warc-test-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'crawl-00000.warc.gz'), '');
+        const writer = new WarcWriter({ dir, maxSize: 1 });
+        const exchange = { url: 'https://a.test/', requestHead: 'GET / HTTP/1.1\r\n\r\n', statusLine: 'HTTP/1.1 200 OK', headers: [] };
+        await writer.writeExchange(exchange);
+        await writer.writeExchange(exchange);
+        const files = await writer.close();
+        assert.deepStrictEqual(files.map(file => path.basename(file)), ['crawl-00001.warc.gz', 'crawl-00002.warc.gz']);
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
+
+test('the crawler removes a query-parameter API key from archived exchanges', () => {
+    const crawler = new WebCrawler({ auth: { type: 'apikey', credentials: { key: 's3cret', param: 'api_key' } }, output: ['json'] });
+    crawler.logger.silent = true;
+    const exchange = crawler.redactExchange({
+        url: 'https://a.test/p?api_key=s3cret&x=1',
+        requestHead: 'GET /p?api_key=s3cret&x=1 HTTP/1.1\r\nHost: a.test\r\n\r\n',
+        statusLine: 'HTTP/1.1 302 Found',
+        headers: [['Location', '/q?api_key=s3cret'], ['Content-Type', 'text/html']]
+    });
+
+    assert.strictEqual(exchange.url, 'https://a.test/p?x=1');
+    assert.strictEqual(exchange.requestHead, 'GET /p?x=1 HTTP/1.1\r\nHost: a.test\r\n\r\n');
+    assert.deepStrictEqual(exchange.headers, [['Location', '/q'], ['Content-Type', 'text/html']]);
+    assert.ok(!JSON.stringify(exchange).includes('s3cret'));
+});
+
+test('curl redirect hops are archived before the final response', async () => {
+    const crawler = new WebCrawler({ output: ['json'] });
+    crawler.logger.silent = true;
+    const archived = [];
+    crawler.archive = async exchange => archived.push(exchange);
+
+    await crawler.archiveCurlResponse({
+        status: 200,
+        finalUrl: 'https://a.test/new',
+        raw: {
+            url: 'https://a.test/old',
+            headers: 'HTTP/1.1 301 Moved\r\nLocation: /new\r\n\r\nHTTP/1.1 200 OK\r\nContent-Type: text/plain\r\n\r\n',
+            body: Buffer.from('ok'),
+            requestHeads: ['GET /old HTTP/1.1\r\n\r\n', 'GET /new HTTP/1.1\r\n\r\n']
+        },
+        timing: { total: 1, dns: 0, connect: 0, firstByte: 1 }
+    });
+
+    assert.deepStrictEqual(archived.map(exchange => [exchange.url, exchange.statusLine, exchange.requestHead]), [
+        ['https://a.test/old', 'HTTP/1.1 301 Moved', 'GET /old HTTP/1.1\r\n\r\n'],
+        ['https://a.test/new', 'HTTP/1.1 200 OK', 'GET /new HTTP/1.1\r\n\r\n']
+    ]);
+    assert.strictEqual(archived[0].body, undefined);
+    assert.deepStrictEqual(archived[0].metadata, { crawlMethod: 'curl' });
+    assert.strictEqual(archived[1].body.toString(), 'ok');
+});